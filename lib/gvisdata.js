@@ -4,9 +4,11 @@
  * Create this object, populate it with data, then call one of the ToJS...
  * methods to return a string representation of the data in the format described.
  *
- * You can clear all data from the object to reuse it, but you cannot clear
- * individual cells, rows, or columns. You also cannot modify the table schema
- * specified in the constructor.
+ * You can clear all data from the object to reuse it, and read, set, insert and
+ * remove individual cells and rows with the methods of the Google
+ * Visualization API DataTable (getValue(), setCell(), insertRows(),
+ * removeRows()...), and add, remove and change columns (addColumn(),
+ * removeColumns(), changeColumnType()...).
  *
  * You can add new data one or more rows at a time. All data added to an
  * instantiated DataTable must conform to the schema passed in to the constructor
@@ -50,6 +52,111 @@
  */
 
 
+/**
+ * Base class of the exceptions thrown by DataTable.
+ *
+ * Args:
+ *   message: The error message.
+ *   details: Optional. An object whose properties are copied to the error, to
+ *            describe what caused it:
+ *            - columnId: The id of the offending column.
+ *            - rowIndex: The index of the offending row.
+ *            - value: The offending value.
+ *            The subclasses may add more properties.
+ */
+function DataTableError(message, details) {
+	this.message = message;
+	for( var key in details ) { this[key] = details[key]; }
+	if( Error.captureStackTrace ) {
+		Error.captureStackTrace(this, this.constructor);
+	} else {
+		this.stack = (new Error(message)).stack;
+	}
+}
+DataTableError.prototype = Object.create(Error.prototype);
+DataTableError.prototype.constructor = DataTableError;
+DataTableError.prototype.name = 'DataTableError';
+
+// Thrown when a table description or a column description is invalid.
+function SchemaError(message, details) {
+	DataTableError.call(this, message, details);
+}
+SchemaError.prototype = Object.create(DataTableError.prototype);
+SchemaError.prototype.constructor = SchemaError;
+SchemaError.prototype.name = 'SchemaError';
+
+// Thrown when data does not match the table description, or a value does not
+// match the type of its column.
+function DataTypeError(message, details) {
+	DataTableError.call(this, message, details);
+}
+DataTypeError.prototype = Object.create(DataTableError.prototype);
+DataTypeError.prototype.constructor = DataTypeError;
+DataTypeError.prototype.name = 'DataTypeError';
+
+// Thrown when the tqx request parameter is malformed or not supported. The
+// error has the property key, the offending tqx key, when there is one.
+function TqxError(message, details) {
+	DataTableError.call(this, message, details);
+}
+TqxError.prototype = Object.create(DataTableError.prototype);
+TqxError.prototype.constructor = TqxError;
+TqxError.prototype.name = 'TqxError';
+
+// Thrown when a query is malformed or does not match the table. The error has
+// the property position, the position in the query string (counting from 0)
+// where the error was found, when there is one.
+function QueryError(message, details) {
+	DataTableError.call(this, message, details);
+}
+QueryError.prototype = Object.create(DataTableError.prototype);
+QueryError.prototype.constructor = QueryError;
+QueryError.prototype.name = 'QueryError';
+
+/**
+ * A timeofday value, as an alternative to the Dates of timeofday columns.
+ *
+ * Arrays can't be used for timeofday values everywhere, as they also hold a
+ * value with its formatted value and custom properties. A TimeOfDay can be
+ * used anywhere a timeofday value is, and is stored as a Date.
+ * Note that DataTable._t reads the types of objects from the source of their
+ * constructor, which must not name types: the methods are on the prototype.
+ *
+ * Args:
+ *   hours: The hours, from 0 to 23, or an [hours, minutes, seconds,
+ *          milliseconds] array (as the Google Visualization API writes
+ *          timeofday values), the seconds and milliseconds being optional.
+ *   minutes: The minutes, from 0 to 59.
+ *   seconds: Optional. The seconds, from 0 to 59.
+ *   milliseconds: Optional. The milliseconds, from 0 to 999.
+ *
+ * Example:
+ *   table.appendData([[new TimeOfDay(13, 30)], [new TimeOfDay([8, 0, 15, 500])]])
+ *
+ * Throws a DataTypeError if a part is not an integer or is out of range.
+ */
+function TimeOfDay(hours, minutes, seconds, milliseconds) {
+	var parts = hours != null && typeof(hours) == 'object' ? hours : [hours, minutes, seconds, milliseconds];
+	parts = DataTable._timeOfDayParts(parts);
+	this.hours = parts[0];
+	this.minutes = parts[1];
+	this.seconds = parts[2];
+	this.milliseconds = parts[3];
+}
+
+// Returns the time in milliseconds since midnight, so that times of day
+// compare as numbers.
+TimeOfDay.prototype.valueOf = function() {
+	return ((this.hours * 60 + this.minutes) * 60 + this.seconds) * 1000 + this.milliseconds;
+};
+
+// Returns the time as HH:mm:ss, followed by .SSS when the milliseconds are not
+// 0.
+TimeOfDay.prototype.toString = function() {
+	var pad = function(n, length) { return String(n + 1000).substring(4 - length); };
+	return pad(this.hours, 2)+':'+pad(this.minutes, 2)+':'+pad(this.seconds, 2)+
+		(this.milliseconds ? '.'+pad(this.milliseconds, 3) : '');
+};
 
 
 /**
@@ -67,11 +174,13 @@
  *   customProperties: Optional. An object that describes the table's custom 
  *                     properties This can be later changed by changing 
  *                     this.customProperties.
+ *   options: Optional. An object with the property:
+ *     timeZone: The time zone of the table, see setTimeZone().
  *
- * Throws an exception if the data and the description did not match, or did not
- * use the supported formats.
+ * Throws a SchemaError if the description does not use the supported formats,
+ * or a DataTypeError if the data does not match the description.
  */
-function DataTable(tableDescription, data, customProperties) {
+function DataTable(tableDescription, data, customProperties, options) {
 	/**
 	 * Loads new rows to the data table, clearing existing rows.
 	 * 
@@ -99,16 +208,30 @@ function DataTable(tableDescription, data, customProperties) {
 	 * for a list of acceptable data types. See the Contructor documentation for more 
 	 * information and examples of schema and data values.
 	 *
+	 * A cell with a formatted value or custom properties is given either as a
+	 * [value, formatted value, custom properties] array or as a {v: value,
+	 * f: formatted value, p: custom properties} object.
+	 *
+	 * Date and datetime values may also be given as epoch numbers (milliseconds
+	 * since 1970-01-01 UTC) or ISO 8601 strings, as in '2020-01-05' or
+	 * '2020-01-05T10:30:00.250Z', and timeofday values as 'HH:mm:ss[.SSS]'
+	 * strings, TimeOfDays or [hours, minutes, seconds(, milliseconds)] arrays
+	 * of numbers. They are stored as Dates, read in the time zone of their column
+	 * (see setTimeZone()) when they need one.
+	 *
 	 * Args:
 	 *  data: The row to add to the table. The data must conform to the table
 	 *        description format.
 	 *  customProperties: An object representing the custom properties to add to all
 	 *  the rows.
 	 *
-	 * Throws an exception if the data structure does not match the description.
+	 * Throws a DataTypeError if the data structure does not match the description,
+	 * or a SchemaError if a calculated column is given a value, no row being
+	 * appended then.
 	 */
 	this.appendData = function(data, customProperties) {
 		if( arguments.length < 2 ) { customProperties = null; }
+		var start = this._data.length;
 
 		// If the maximal depth is 0, we simply iterate over the data table
 		// lines and insert them using _innerAppendData. Otherwise, we simply
@@ -122,13 +245,47 @@ function DataTable(tableDescription, data, customProperties) {
 		} else {
 			this._innerAppendData([{},customProperties], data, 0)
 		}
+
+		// Storing the cells added, see _storedCell()
+		for( var i = start; i < this._data.length; i++ ) {
+			var values = this._data[i][0];
+			for( var j in this._columns ) {
+				var id = this._columns[j].id;
+				if( values[id] == null ) { continue; }
+				if( this._columns[j].calc != null ) {
+					this._data.splice(start, this._data.length - start);
+					throw DataTable._calculatedCellError(this._columns[j], i);
+				}
+				values[id] = this._storedCell(values[id], this._columns[j], i);
+			}
+		}
+	};
+
+	// Returns the cell stored for an input cell of a column: {v, f, p} cells
+	// are stored as arrays, and the epoch numbers and ISO 8601 strings of date,
+	// datetime and timeofday columns, and the TimeOfDays and arrays of
+	// timeofday columns, as Dates.
+	this._storedCell = function(cell, column, rowIndex) {
+		if( DataTable._isCellObject(cell) ) { cell = DataTable._cellFromObject(cell); }
+		if( cell == null || (column.type != 'date' && column.type != 'datetime' && column.type != 'timeofday') ) {
+			return cell;
+		}
+		var timeArray = column.type == 'timeofday' && DataTable._isTimeArray(cell);
+		try {
+			var value = DataTable._tz.input(timeArray ? cell : DataTable._cellValue(cell), column.type,
+				this._columnTimeZone(column));
+		} catch( e ) {
+			throw DataTable._cellError(e, column, rowIndex);
+		}
+		return DataTable._t.isArray(cell) && !timeArray ? [value].concat(cell.slice(1)) : value;
 	};
 
 	// Inner function to assist LoadData.
 	this._innerAppendData = function(prevColValues, data, colIndex){
 		// We first check that colIndex has not exceeded the columns size
-		if( colIndex >= this._columns ) {
-			throw 'The data does not match description, too deep';
+		if( colIndex >= this._columns.length ) {
+			throw new DataTypeError('The data does not match description, too deep',
+				{rowIndex: this._data.length, value: data});
 		}
 
 		// Dealing with the scalar case, the data is the last value.
@@ -140,14 +297,16 @@ function DataTable(tableDescription, data, customProperties) {
 
 		if( this._columns[colIndex].container == 'iter' ) {
 			if( !DataTable._t.isArray(data) ) {
-				throw 'Expected iterable object, got '+DataTable._t.type(data);
+				throw new DataTypeError('Expected iterable object, got '+DataTable._t.type(data),
+					{columnId: this._columns[colIndex].id, rowIndex: this._data.length, value: data});
 			}
 
 			// We only need to insert the rest of the columns
 			// If there are less items than expected, we only add what there is.
 			for( i in data ) {
 				if( colIndex >= this._columns.length ) {
-					throw 'Too many elements given in data';
+					throw new DataTypeError('Too many elements given in data',
+						{rowIndex: this._data.length, value: data});
 				}
 				prevColValues[0][this._columns[colIndex]['id']] = data[i];
 				colIndex += 1;
@@ -158,14 +317,15 @@ function DataTable(tableDescription, data, customProperties) {
 
 		// We know the current level is an object, we verifiy the type
 		if( !DataTable._t.isObject(data) || DataTable._t.isArray(data) ) {
-			throw 'Expected dictionary at current level, got '+DataTable._t.type(data);
+			throw new DataTypeError('Expected dictionary at current level, got '+DataTable._t.type(data),
+				{columnId: this._columns[colIndex].id, rowIndex: this._data.length, value: data});
 		}
 
 		// We check if this is the last level
 		if( this._columns[colIndex].depth == this._columns[this._columns.length -1].depth ) {
 			// We need to add the properties in the object as they are
-			for( key in this._columns[colIndex] ) {
-				var curId = this._columns[colIndex][key].id;
+			for( var key = colIndex; key < this._columns.length; key++ ) {
+				var curId = this._columns[key].id;
 				if( data[curId] != null ) {
 					prevColValues[0][curId] = data[curId];
 				}
@@ -193,6 +353,471 @@ function DataTable(tableDescription, data, customProperties) {
 		return this._data.length;
 	};
 
+	/**
+	 * Returns a cell of the table.
+	 *
+	 * Args:
+	 *   rowIndex: The index of the row, in the order the rows were added.
+	 *   column: The index of the column, or its id when it is a string.
+	 *
+	 * Returns:
+	 *   The cell as a {v: value, f: formatted value, p: custom properties}
+	 *   object, f and p being null when the cell has none. The formatted
+	 *   values written by formatters are not included.
+	 *   Example:
+	 *     {v: 1000, f: '$1,000', p: null}
+	 *
+	 * Throws a DataTableError if the row does not exist, or a SchemaError if the
+	 * column does not exist.
+	 */
+	this.getCell = function(rowIndex, column) {
+		return DataTable._cellObject(this._cellAt(rowIndex, column));
+	};
+
+	// Returns the stored cell of a row and column, calculating it for a
+	// calculated column. See getCell() for the arguments.
+	this._cellAt = function(rowIndex, column) {
+		column = this._column(column);
+		var values = this._data[this._rowIndex(rowIndex)][0];
+		if( column.calc != null ) { values = this._calculatedRow(values, rowIndex); }
+		return values[column.id];
+	};
+
+	// Returns the value of a cell, see getCell() for the arguments.
+	this.getValue = function(rowIndex, column) {
+		return this.getCell(rowIndex, column).v;
+	};
+
+	/**
+	 * Returns the formatted value of a cell.
+	 *
+	 * Args: See getCell().
+	 *
+	 * Returns:
+	 *   The formatted value of the cell or, when it has none, its value as
+	 *   written in CSV (see toCSV()). An empty string for a null value.
+	 */
+	this.getFormattedValue = function(rowIndex, column) {
+		return DataTable._cellText(this._cellAt(rowIndex, column), this._column(column).type);
+	};
+
+	// Returns the custom property of a cell with the given name, or null, see
+	// getCell() for the other arguments.
+	this.getProperty = function(rowIndex, column, name) {
+		var p = this.getCell(rowIndex, column).p;
+		return p != null && p[name] !== undefined ? p[name] : null;
+	};
+
+	// Returns the custom properties of a row, an empty object when it has none.
+	this.getRowProperties = function(rowIndex) {
+		var p = this._data[this._rowIndex(rowIndex)][1];
+		return p != null ? p : {};
+	};
+
+	/**
+	 * Sets a cell of the table.
+	 *
+	 * Args:
+	 *   rowIndex: The index of the row, in the order the rows were added.
+	 *   column: The index of the column, or its id when it is a string.
+	 *   value: The value, in any of the forms accepted by appendData(). A
+	 *          [value, formatted value, custom properties] array or a {v, f, p}
+	 *          object sets the whole cell, when formattedValue and properties
+	 *          are left out. Undefined leaves the value as it is, null
+	 *          clears it.
+	 *   formattedValue: Optional. The formatted value. Undefined leaves it as
+	 *                   it is, null clears it.
+	 *   properties: Optional. The custom properties. Undefined leaves them as
+	 *               they are, null clears them.
+	 *
+	 * Throws a DataTableError if the row does not exist, a SchemaError if the
+	 * column does not exist or is calculated, or a DataTypeError if the value
+	 * does not match the type of the column.
+	 */
+	this.setCell = function(rowIndex, column, value, formattedValue, properties) {
+		column = this._column(column);
+		rowIndex = this._rowIndex(rowIndex);
+		if( column.calc != null ) { throw DataTable._calculatedCellError(column, rowIndex); }
+		var cell;
+		if( formattedValue === undefined && properties === undefined && (DataTable._isCellObject(value) ||
+			DataTable._t.isArray(value) && !(column.type == 'timeofday' && DataTable._isTimeArray(value))) ) {
+			cell = this._storedCell(value, column, rowIndex);
+			if( DataTable._t.isArray(cell) && cell[1] == null && cell.length == 2 ) { cell = cell[0]; }
+		} else {
+			var current = DataTable._cellObject(this._data[rowIndex][0][column.id]);
+			var v = value === undefined ? current.v : this._storedCell(value, column, rowIndex),
+				f = formattedValue === undefined ? current.f : formattedValue,
+				p = properties === undefined ? current.p : properties;
+			cell = p != null ? [v, f, p] : f != null ? [v, f] : v;
+		}
+		// Checks that the value matches the column
+		DataTable._cellToJS(cell, column, rowIndex);
+		if( cell == null ) {
+			delete this._data[rowIndex][0][column.id];
+		} else {
+			this._data[rowIndex][0][column.id] = cell;
+		}
+	};
+
+	// Sets the value of a cell, keeping its custom properties but not its
+	// formatted value, which was that of the former value. See setCell().
+	this.setValue = function(rowIndex, column, value) {
+		this.setCell(rowIndex, column, value, null);
+	};
+
+	// Sets the formatted value of a cell, null removing it. See setCell().
+	this.setFormattedValue = function(rowIndex, column, formattedValue) {
+		this.setCell(rowIndex, column, undefined, formattedValue);
+	};
+
+	// Sets a custom property of a cell, see setCell(). A null value removes the
+	// property.
+	this.setProperty = function(rowIndex, column, name, value) {
+		var cell = this.getCell(rowIndex, column);
+		var p = {};
+		for( var key in cell.p ) { p[key] = cell.p[key]; }
+		if( value == null ) {
+			delete p[name];
+		} else {
+			p[name] = value;
+		}
+		this.setCell(rowIndex, column, undefined, undefined, DataTable._o.prop(p).length ? p : null);
+	};
+
+	/**
+	 * Inserts rows in the table.
+	 *
+	 * Args:
+	 *   rowIndex: The index the rows are inserted at. The number of rows of the
+	 *             table appends them.
+	 *   rows: The number of empty rows to insert, or an array of rows, each an
+	 *         array of cells in the order of the columns, in any of the forms
+	 *         accepted by appendData(). The rows are flat even if the table
+	 *         description is nested.
+	 *   customProperties: Optional. The custom properties of all the rows
+	 *                     inserted.
+	 *
+	 * Returns:
+	 *   The index of the last row inserted.
+	 *
+	 * Throws a DataTableError if the index is out of range, a DataTypeError if
+	 * a row does not match the columns, or a SchemaError if a calculated column
+	 * is given a value. No row is inserted then.
+	 */
+	this.insertRows = function(rowIndex, rows, customProperties) {
+		if( rowIndex !== this._data.length ) { this._rowIndex(rowIndex); }
+		if( typeof(rows) == 'number' ) {
+			var count = rows;
+			rows = [];
+			for( var i = 0; i < count; i++ ) { rows.push([]); }
+		}
+
+		var newRows = [];
+		for( var i in rows ) {
+			var index = rowIndex + newRows.length;
+			if( !DataTable._t.isArray(rows[i]) || rows[i].length > this._columns.length ) {
+				throw new DataTypeError('Expected an array of at most '+this._columns.length+' cells',
+					{rowIndex: index, value: rows[i]});
+			}
+			var values = {};
+			for( var j = 0; j < rows[i].length; j++ ) {
+				var column = this._columns[j];
+				if( column.calc != null && rows[i][j] != null ) {
+					throw DataTable._calculatedCellError(column, index);
+				}
+				var cell = this._storedCell(rows[i][j], column, index);
+				if( cell == null ) { continue; }
+				// Checks that the value matches the column
+				DataTable._cellToJS(cell, column, index);
+				values[column.id] = cell;
+			}
+			newRows.push([values, customProperties == null ? null : customProperties]);
+		}
+		this._data.splice.apply(this._data, [rowIndex, 0].concat(newRows));
+		return rowIndex + newRows.length - 1;
+	};
+
+	// Removes numberOfRows rows (1 by default) from the given index. Throws a
+	// DataTableError if a row does not exist.
+	this.removeRows = function(rowIndex, numberOfRows) {
+		if( numberOfRows == null ) { numberOfRows = 1; }
+		this._rowIndex(rowIndex);
+		if( numberOfRows > 0 ) { this._rowIndex(rowIndex + numberOfRows - 1); }
+		this._data.splice(rowIndex, numberOfRows);
+	};
+
+	// Returns the number of columns of the table.
+	this.getNumberOfColumns = function() {
+		return this._columns.length;
+	};
+
+	// Returns the id of a column, given its index or id.
+	this.getColumnId = function(column) {
+		return this._column(column).id;
+	};
+
+	// Returns the label of a column, given its index or id.
+	this.getColumnLabel = function(column) {
+		return this._column(column).label;
+	};
+
+	// Returns the type of a column, given its index or id.
+	this.getColumnType = function(column) {
+		return this._column(column).type;
+	};
+
+	// Returns the index of the column with the given id, or -1 if there is none.
+	this.getColumnIndex = function(columnId) {
+		for( var i = 0; i < this._columns.length; i++ ) {
+			if( this._columns[i].id == columnId ) { return i; }
+		}
+		return -1;
+	};
+
+	/**
+	 * Adds a column at the end of the table. Its cells are null.
+	 *
+	 * The table description stays flat if it was (an array of column
+	 * descriptions, or an object of them). A nested description becomes an
+	 * array of all the columns, so that appendData() takes rows as arrays of
+	 * cells in the order of the columns from then on.
+	 *
+	 * Args:
+	 *   description: The column description, in any of the forms accepted by
+	 *                DataTable.columnTypeParser(), as in ['id', 'number',
+	 *                'Label'].
+	 *
+	 * Returns:
+	 *   The index of the new column.
+	 *
+	 * Throws a SchemaError if the description is invalid or the id is used by
+	 * another column.
+	 */
+	this.addColumn = function(description) {
+		return this.insertColumn(this._columns.length, description);
+	};
+
+	// Inserts a column before the column of the given index (or id), or at the
+	// end of the table for the number of columns. See addColumn().
+	this.insertColumn = function(column, description) {
+		var index = column === this._columns.length ? column : this.getColumnIndex(this._column(column).id);
+		var parsedCol = DataTable.columnTypeParser(description);
+		if( this.getColumnIndex(parsedCol.id) > -1 ) {
+			throw new SchemaError('Column \''+parsedCol.id+'\' already exists', {columnId: parsedCol.id});
+		}
+
+		this._flattenColumns();
+		parsedCol.depth = 0;
+		parsedCol.container = this._columns[0].container;
+		this._columns.splice(index, 0, parsedCol);
+		return index;
+	};
+
+	/**
+	 * Adds a calculated column at the end of the table.
+	 *
+	 * The values of a calculated column are not stored: they are calculated
+	 * from the other values of each row whenever the rows are read, by
+	 * preparedData() and so by every output, query and sort.
+	 *
+	 * Args:
+	 *   description: The column description, see addColumn().
+	 *   calc: The function calculating the cells of the column, called as
+	 *         calc(row, rowIndex, table) where row is an object of the values of
+	 *         the row by column id, including those of the calculated columns
+	 *         before this one. It returns the value of the cell, or the whole
+	 *         cell in any of the forms accepted by appendData().
+	 *
+	 * Returns:
+	 *   The index of the new column.
+	 *   Example:
+	 *     table.addCalculatedColumn(['ratio', 'number', 'Ratio'], function(row) {
+	 *       return row.b ? row.a / row.b : null;
+	 *     });
+	 *
+	 * Throws a SchemaError if the description is invalid, the id is used by
+	 * another column, or calc is not a function.
+	 */
+	this.addCalculatedColumn = function(description, calc) {
+		if( typeof(calc) != 'function' ) {
+			throw new SchemaError('Expected a function to calculate the column, got '+DataTable._t.type(calc),
+				{value: calc});
+		}
+		var index = this.addColumn(description);
+		this._columns[index].calc = calc;
+		return index;
+	};
+
+	// Returns the rows of the table, with the values of the calculated columns.
+	// The rows are copies when there are calculated columns.
+	this._calculatedData = function() {
+		var self = this;
+		if( !this._columns.some(function(col) { return col.calc != null; }) ) { return this._data; }
+		return this._data.map(function(row, i) { return [self._calculatedRow(row[0], i), row[1]]; });
+	};
+
+	// Returns a copy of the values of a row, with the values of the calculated
+	// columns.
+	this._calculatedRow = function(values, rowIndex) {
+		var result = {}, row = {};
+		for( var id in values ) {
+			result[id] = values[id];
+			row[id] = DataTable._cellValue(values[id]);
+		}
+		for( var i in this._columns ) {
+			var col = this._columns[i];
+			if( col.calc != null ) {
+				var cell = this._storedCell(col.calc(row, rowIndex, this), col, rowIndex);
+				if( cell == null ) {
+					delete result[col.id];
+				} else {
+					result[col.id] = cell;
+				}
+			}
+			row[col.id] = DataTable._cellValue(result[col.id]);
+		}
+		return result;
+	};
+
+	/**
+	 * Removes columns from the table, with their cells.
+	 *
+	 * Args:
+	 *   column: The index (or id) of the first column to remove.
+	 *   numberOfColumns: Optional. The number of columns to remove, 1 by
+	 *                    default.
+	 *
+	 * Throws a SchemaError if a column does not exist, or if no column would be
+	 * left.
+	 */
+	this.removeColumns = function(column, numberOfColumns) {
+		if( numberOfColumns == null ) { numberOfColumns = 1; }
+		var index = this.getColumnIndex(this._column(column).id);
+		if( numberOfColumns > 0 ) { this._column(index + numberOfColumns - 1); }
+		if( numberOfColumns >= this._columns.length ) {
+			throw new SchemaError('A table must have at least one column', {value: numberOfColumns});
+		}
+
+		this._flattenColumns();
+		var removed = this._columns.splice(index, numberOfColumns);
+		for( var i in this._data ) {
+			for( var j in removed ) { delete this._data[i][0][removed[j].id]; }
+		}
+		// Formatters reading a removed column are removed with it
+		for( var i in this._columns ) {
+			var sources = this._columns[i].formatterSources;
+			if( sources && removed.some(function(col){ return sources.indexOf(col.id) > -1; }) ) {
+				this.setColumnFormatter(this._columns[i].id, null);
+			}
+		}
+	};
+
+	// Sets the label of a column, given its index or id.
+	this.setColumnLabel = function(column, label) {
+		this._column(column).label = String(label);
+	};
+
+	// Sets a custom property of a column, given its index or id. A null value
+	// removes the property. Setting the role property sets the role of the
+	// column, see DataTable.columnRoles. Throws a SchemaError if the role is
+	// not supported for the column.
+	this.setColumnProperty = function(column, name, value) {
+		column = this._column(column);
+		var properties = {};
+		for( var key in column.custom_properties ) { properties[key] = column.custom_properties[key]; }
+		if( value == null ) {
+			delete properties[name];
+		} else {
+			properties[name] = value;
+		}
+
+		var parsedCol = DataTable.columnTypeParser([column.id, column.type, column.label, properties,
+			name == 'role' ? undefined : column.role]);
+		column.custom_properties = properties;
+		if( parsedCol.role != null ) {
+			column.role = parsedCol.role;
+		} else {
+			delete column.role;
+		}
+	};
+
+	/**
+	 * Changes the type of a column, converting its values.
+	 *
+	 * Values are converted to strings as toCSV() writes them, and strings are
+	 * read as fromCSV() reads them or as ISO 8601 dates. Numbers and booleans
+	 * convert to each other (0 being false), numbers to dates and datetimes as
+	 * epoch milliseconds, dates and datetimes to each other (a date being a
+	 * datetime at midnight), and datetimes to timeofday values, in the time
+	 * zone of the column. The formatted values and custom properties of the cells
+	 * are kept.
+	 *
+	 * Args:
+	 *   column: The index or id of the column.
+	 *   type: The new type of the column.
+	 *
+	 * Throws a SchemaError if the type is not supported (or not allowed by the
+	 * role of the column), or a DataTypeError if a value can't be converted.
+	 * The table is left as it was then.
+	 */
+	this.changeColumnType = function(column, type) {
+		column = this._column(column);
+		var parsedCol = DataTable.columnTypeParser([column.id, type, column.label, column.custom_properties,
+			column.role]);
+
+		var cells = [];
+		for( var i = 0; i < this._data.length; i++ ) {
+			var cell = this._data[i][0][column.id];
+			if( cell == null ) { cells.push(cell); continue; }
+			try {
+				var value = DataTable._convertValue(DataTable._cellValue(cell), column.type, type,
+					this._columnTimeZone(column));
+			} catch( e ) {
+				throw DataTable._cellError(e, column, i);
+			}
+			cells.push(DataTable._t.isArray(cell) ? [value].concat(cell.slice(1)) : value);
+		}
+
+		column.type = parsedCol.type;
+		for( var i = 0; i < this._data.length; i++ ) {
+			if( cells[i] != null ) { this._data[i][0][column.id] = cells[i]; }
+		}
+	};
+
+	// Makes the table description flat before a column is added or removed: a
+	// nested description becomes an array of all the columns.
+	this._flattenColumns = function() {
+		var nested = this._columns.some(function(col) {
+			return col.depth > 0 || col.container == 'scalar';
+		});
+		if( !nested ) { return; }
+		for( var i in this._columns ) {
+			this._columns[i].depth = 0;
+			this._columns[i].container = 'iter';
+		}
+	};
+
+	// Returns the column of the given index, or of the given id when it is a
+	// string. Throws a SchemaError if there is none.
+	this._column = function(column) {
+		if( typeof(column) == 'number' ) {
+			if( column % 1 == 0 && column >= 0 && column < this._columns.length ) { return this._columns[column]; }
+			throw new SchemaError('Invalid column index '+column, {value: column});
+		}
+		for( var i in this._columns ) {
+			if( this._columns[i].id == column ) { return this._columns[i]; }
+		}
+		throw new SchemaError('Unknown column \''+column+'\'', {columnId: column});
+	};
+
+	// Returns the row index if the row exists, or throws a DataTableError.
+	this._rowIndex = function(rowIndex) {
+		if( typeof(rowIndex) != 'number' || rowIndex % 1 != 0 || rowIndex < 0 || rowIndex >= this._data.length ) {
+			throw new DataTableError('Invalid row index '+rowIndex, {rowIndex: rowIndex});
+		}
+		return rowIndex;
+	};
+
 	/**
 	 * Sets the custom properties for given row(s).
 	 * 
@@ -210,6 +835,99 @@ function DataTable(tableDescription, data, customProperties) {
 		}
 	};
 
+	/**
+	 * Sets the formatter of a column.
+	 *
+	 * The formatter writes the formatted values of the cells of the column when
+	 * the table is written, replacing the formatted values given with the data.
+	 * See NumberFormat, DateFormat, PatternFormat, BarFormat and ArrowFormat.
+	 * The format() method of the formatters calls this method.
+	 *
+	 * Args:
+	 *   columnId: The id of the column to format.
+	 *   formatter: The formatter, or null to remove the formatter of the column.
+	 *   sourceColumnIds: Optional. The ids of the columns whose values the
+	 *                    formatter writes, for PatternFormat. The column itself
+	 *                    by default.
+	 *
+	 * Throws a SchemaError if a column does not exist.
+	 */
+	this.setColumnFormatter = function(columnId, formatter, sourceColumnIds) {
+		var colDict = {};
+		for( var i in this._columns ) { colDict[this._columns[i].id] = this._columns[i]; }
+		if( sourceColumnIds == null ) { sourceColumnIds = [columnId]; }
+		[columnId].concat(sourceColumnIds).forEach(function(id) {
+			if( !colDict.hasOwnProperty(id) ) {
+				throw new SchemaError('Unknown column \''+id+'\'', {columnId: id});
+			}
+		});
+
+		var column = colDict[columnId];
+		delete column.formatter;
+		delete column.formatterSources;
+		delete column.pattern;
+		if( formatter == null ) { return; }
+		column.formatter = formatter;
+		column.formatterSources = sourceColumnIds;
+		if( formatter.pattern != null && !(formatter instanceof PatternFormat) ) {
+			column.pattern = formatter.pattern;
+		}
+	};
+
+	/**
+	 * Sets the time zone of the table, or of some of its columns.
+	 *
+	 * Datetime values are written in the time zone of their column, by every
+	 * output and by queries, rather than in the local time zone of the host.
+	 * Date values are calendar dates, and timeofday values wall clock times:
+	 * they are written as they are. The time zone is also used to read the
+	 * epoch numbers and ISO 8601 strings given as data (see appendData()), so
+	 * set it before adding that data.
+	 *
+	 * Args:
+	 *   timeZone: null for the local time zone (the default), 'UTC', an offset
+	 *             from UTC as a number of hours (as in -5 or 5.5) or a string
+	 *             (as in '+05:30'), or an IANA time zone name (as in
+	 *             'Europe/Paris', which needs Intl.DateTimeFormat).
+	 *   columnIds: Optional. The ids of the columns to set the time zone of.
+	 *              By default, sets the time zone of the table, used by the
+	 *              columns without a time zone of their own. Passing null as
+	 *              the time zone of a column makes it use the time zone of
+	 *              the table again.
+	 *
+	 * Throws a DataTableError if the time zone is not supported, or a
+	 * SchemaError if a column does not exist.
+	 */
+	this.setTimeZone = function(timeZone, columnIds) {
+		if( arguments.length < 2 || columnIds == null ) {
+			if( timeZone != null ) { DataTable._tz.check(timeZone); }
+			this._timeZone = timeZone == null ? null : timeZone;
+			return;
+		}
+
+		if( !DataTable._t.isArray(columnIds) ) { columnIds = [columnIds]; }
+		var colDict = {};
+		for( var i in this._columns ) { colDict[this._columns[i].id] = this._columns[i]; }
+		for( var i in columnIds ) {
+			if( !colDict.hasOwnProperty(columnIds[i]) ) {
+				throw new SchemaError('Unknown column \''+columnIds[i]+'\'', {columnId: columnIds[i]});
+			}
+		}
+		if( timeZone != null ) { DataTable._tz.check(timeZone); }
+		for( var i in columnIds ) {
+			if( timeZone == null ) {
+				delete colDict[columnIds[i]].timeZone;
+			} else {
+				colDict[columnIds[i]].timeZone = timeZone;
+			}
+		}
+	};
+
+	// Returns the time zone of a column: its own, or else that of the table.
+	this._columnTimeZone = function(column) {
+		return column.timeZone != null ? column.timeZone : this._timeZone;
+	};
+
 	/**
 	 * Prepares the data for enumeration - sorting it by orderBy.
 	 * 
@@ -221,69 +939,417 @@ function DataTable(tableDescription, data, customProperties) {
 	 *             ['string_col_name', 'asc|desc'] -- For a single key.
 	 *             [['col_1','asc|desc'], ['col_2','asc|desc']] -- For more than
 	 *              one column, an array of arrays of [col_name, "asc|desc"].
+	 *             {column: 'col_1', desc: true, nulls: 'last'} -- For a key
+	 *              with options, alone or in an array of keys, with the
+	 *              properties:
+	 *              - column: The id (or index) of the column.
+	 *              - desc: Optional. True for descending order.
+	 *              - nulls: Optional. 'first' or 'last', to put the null values
+	 *                there whatever the direction. By default null is smaller
+	 *                than any value.
+	 *              - collator: Optional. An Intl.Collator, or the locale of
+	 *                one, comparing the values of a string column.
+	 *              - compare: Optional. A function called as compare(a, b) on
+	 *                the values of the column (including nulls unless nulls is
+	 *                set), returning a negative number, 0 or a positive number.
+	 *            Values are compared by the type of their column (Dates by
+	 *            time, booleans false first) and strings by code unit unless a
+	 *            collator is given. Rows with the same keys keep their order.
 	 * 
 	 * Returns:
-	 *   The data sorted by the keys given.
+	 *   The data sorted by the keys given, with the values of the calculated
+	 *   columns (see addCalculatedColumn()), which can be keys too. Each row is
+	 *   an array of its cells by column id, its custom properties and its
+	 *   index in the table.
 	 * 
-	 * Throws an exception if sort direction is not 'asc' or 'desc'
+	 * Throws a DataTableError if sort direction is not 'asc' or 'desc' or
+	 * nulls is not 'first' or 'last', or a SchemaError if a column does not
+	 * exist.
 	 */
 	this.preparedData = function(orderBy) {
-		if( arguments.length == 0 || orderBy == null ) { orderBy = [] }
+		var data = this._calculatedData().map(function(row, i) { return [row[0], row[1], i]; });
+		var compare = this._rowComparator(orderBy);
+		if( compare == null ) { return data; }
 
-		if( !(orderBy.length) ) { return this._data; }
+		// The indexes are sorted, the rows are neither copied nor modified
+		return data.map(function(row, i) { return i; }).sort(function(a, b) {
+			return compare(data[a], data[b]) || a - b;
+		}).map(function(i) { return data[i]; });
+	};
 
-		properSortKeys = [];
-		if( DataTable._t.isString(orderBy) ||
-			(DataTable._t.isArray(orderBy && orderBy.length == 2) &&
-			(orderBy[1].toLowerCase() == 'asc' || orderBy[1].toLowerCase() == 'desc')) ) {
+	// Returns the function comparing two rows for the orderBy of preparedData(),
+	// or null if there is no key to sort by.
+	this._rowComparator = function(orderBy) {
+		var _t = DataTable._t;
+		var direction = /^(asc|desc)$/i;
+		if( orderBy == null || ((_t.isString(orderBy) || _t.isArray(orderBy)) && !orderBy.length) ) {
+			return null;
+		}
+		if( !_t.isArray(orderBy) ||
+			(orderBy.length == 2 && _t.isString(orderBy[1]) && direction.test(orderBy[1])) ) {
 			orderBy = [orderBy,];
 		}
 
-		for( i in orderBy ) {
-			if( DataTable._t.isString(orderBy[i]) ) {
-				properSortKeys.push([orderBy[i], 1]);
-			} else if((DataTable._t.isArray(orderBy[i]) && orderBy[i].length == 2) &&
-				(orderBy[i][1].toLowerCase() == 'asc' || orderBy[i][1].toLowerCase() == 'desc')) {
-				properSortKeys.push([orderBy[i][0], orderBy[i][1].toLowerCase() == 'asc' ? 1 : -1]);
-			} else {
-				throw 'Expected array with second value: \'asc\' or \'desc\'';
-			}			
-		}
+		var self = this;
+		var properSortKeys = orderBy.map(function(key) {
+			if( _t.isArray(key) ) {
+				if( key.length != 2 || !_t.isString(key[1]) || !direction.test(key[1]) ) {
+					throw new DataTableError('Expected array with second value: \'asc\' or \'desc\'',
+						{value: key});
+				}
+				key = {column: key[0], desc: key[1].toLowerCase() == 'desc'};
+			} else if( !_t.isObject(key) || key == null ) {
+				key = {column: key};
+			}
+			if( key.nulls != null && key.nulls != 'first' && key.nulls != 'last' ) {
+				throw new DataTableError('Expected nulls \'first\' or \'last\', got \''+key.nulls+'\'',
+					{value: key});
+			}
+
+			var col = self._column(key.column);
+			var collator = key.collator;
+			if( collator != null && typeof(collator.compare) != 'function' ) {
+				collator = new Intl.Collator(collator);
+			}
+			var compare = key.compare;
+			if( typeof(compare) != 'function' ) {
+				compare = function(a, b) {
+					if( collator != null && col.type == 'string' && a != null && b != null ) {
+						return collator.compare(a, b);
+					}
+					return DataTable._query.compare(a, b, col.type);
+				};
+			}
+			return {id: col.id, ascMult: key.desc ? -1 : 1, nulls: key.nulls, compare: compare};
+		});
 
-		return DataTable._o.clone(this._data).sort(function(row1,row2){
-			for( i in properSortKeys ) {
-				var key = properSortKeys[i][0],
-					ascMult = properSortKeys[i][1];
-				var a = row1[0][key],
-					b = row2[0][key];
-				var cmpResult = ascMult * (a == b ? 0 : a < b ? -1 : 1);
+		return function(row1,row2){
+			for( var i in properSortKeys ) {
+				var key = properSortKeys[i];
+				var a = DataTable._cellValue(row1[0][key.id]),
+					b = DataTable._cellValue(row2[0][key.id]);
+				if( key.nulls != null && (a == null || b == null) ) {
+					if( a == null && b == null ) { continue; }
+					return (a == null) == (key.nulls == 'first') ? -1 : 1;
+				}
+				var cmpResult = key.ascMult * key.compare(a, b);
 				if( cmpResult ) { return cmpResult; }
 			}
 			return 0;
-		});
+		};
 	};
 
 	/**
-	 * Writes the data table as a JS code string.
-	 * 
-	 * This method writes a string of JS code that can be run to
-	 * generate a DataTable with the specified data. Typically used for debugging
-	 * only.
-	 * 
+	 * Prepares the data for reading - sorting it as preparedData() does, then
+	 * writing the datetime values in the time zone of their column (see
+	 * setTimeZone()), as local Dates holding the wall clock time.
+	 *
 	 * Args:
-	 *   name: The name of the table. The name would be used as the DataTable's
-	 *         variable name in the created JS code.
-	 *   columnOrder: Optional. Specifies the order of columns in the
-	 *                output table. Specify a list of all column IDs in the order
-	 *                in which you want the table created.
-	 *                Note that you must list all column IDs in this parameter,
-	 *                if you use it.
-	 *   orderBy: Optional. Specifies the name of the column(s) to sort by.
-	 *            Passed as is to _preparedData().
-	 * 
+	 *   orderBy: Optional. Passed as is to preparedData().
+	 *
 	 * Returns:
-	 *   A string of JS code that, when run, generates a DataTable with the given
-	 *   name and the data stored in the DataTable object.
+	 *   The data sorted, in the time zones. The data of the table is not
+	 *   modified.
+	 */
+	this._zonedData = function(orderBy) {
+		var prepData = this.preparedData(orderBy);
+		var self = this;
+		var columns = this._columns.filter(function(col) {
+			return col.type == 'datetime' && self._columnTimeZone(col) != null;
+		});
+		if( !columns.length ) { return prepData; }
+
+		return prepData.map(function(row) {
+			var values = {};
+			for( var id in row[0] ) { values[id] = row[0][id]; }
+			for( var i in columns ) {
+				var cell = values[columns[i].id],
+					value = DataTable._cellValue(cell);
+				if( !DataTable._t.isDate(value) ) { continue; }
+				value = DataTable._tz.toZone(value, self._columnTimeZone(columns[i]));
+				values[columns[i].id] = DataTable._t.isArray(cell) ? [value].concat(cell.slice(1)) : value;
+			}
+			return [values, row[1], row[2]];
+		});
+	};
+
+	/**
+	 * Prepares the data for writing - sorting it and writing it in the time
+	 * zones as _zonedData() does, then setting the formatted values written by
+	 * the formatters of the columns.
+	 *
+	 * Args:
+	 *   orderBy: Optional. Passed as is to preparedData().
+	 *   html: Optional. If false, the formatters writing HTML (BarFormat and
+	 *         ArrowFormat) are left out. True by default.
+	 *
+	 * Returns:
+	 *   The data sorted and formatted. Each row also holds, after its index in
+	 *   the table, an object of the ids of the columns whose formatted value is
+	 *   HTML written by a formatter, the only formatted values toHTML() does not
+	 *   escape. The data of the table is not modified.
+	 */
+	this._formattedData = function(orderBy, html) {
+		var prepData = this._zonedData(orderBy);
+		var columns = this._columns.filter(function(col) {
+			return col.formatter != null && (html !== false || !col.formatter.html);
+		});
+		if( !columns.length ) { return prepData; }
+
+		var colDict = {};
+		for( var i in this._columns ) { colDict[this._columns[i].id] = this._columns[i]; }
+		var rows = prepData.map(function(row) {
+			var values = {};
+			for( var id in row[0] ) { values[id] = row[0][id]; }
+			return [values, row[1], row[2], {}];
+		});
+
+		// The columns are formatted in order, so that a PatternFormat reads the
+		// values written by the formatters of the columns before it.
+		for( var i in columns ) {
+			var col = columns[i];
+			var cells = rows.map(function(row) { return row[0][col.id]; });
+			var sources = rows.map(function(row) {
+				return col.formatterSources.map(function(id) {
+					return DataTable._cellText(row[0][id], colDict[id].type);
+				});
+			});
+			var results = col.formatter.formatColumn(cells, col, sources,
+				col.type == 'datetime' ? this._columnTimeZone(col) : null);
+			for( var j in rows ) {
+				if( results[j] == null ) { continue; }
+				var cell = cells[j];
+				var p = DataTable._t.isArray(cell) && cell.length == 3 ? DataTable._o.clone(cell[2]) : {};
+				for( var key in results[j].p ) { p[key] = results[j].p[key]; }
+				rows[j][0][col.id] = DataTable._o.prop(p).length ?
+					[DataTable._cellValue(cell), results[j].f, p] : [DataTable._cellValue(cell), results[j].f];
+				if( col.formatter.html ) { rows[j][3][col.id] = true; }
+			}
+		}
+		return rows;
+	};
+
+	/**
+	 * Returns the indexes of the rows matching filters.
+	 *
+	 * Args:
+	 *   filters: A function called as filter(row, rowIndex, table), row being
+	 *            an object of the values of the row by column id (including
+	 *            those of the calculated columns), returning true for the rows
+	 *            to keep. Or a filter on a column, or an array of filters, see
+	 *            DataTable._rowFilter().
+	 *
+	 * Returns:
+	 *   The indexes of the rows matching all the filters, in order.
+	 *   Example:
+	 *     table.getFilteredRows([{column: 'age', minValue: 18}, {column: 'city',
+	 *       value: 'Paris'}])
+	 *     table.getFilteredRows(function(row) { return row.age >= 18; })
+	 *
+	 * Throws a DataTableError if a filter is not valid, or a SchemaError if a
+	 * column does not exist.
+	 */
+	this.getFilteredRows = function(filters) {
+		var match = DataTable._rowFilter(filters, this);
+		var result = [];
+		this.preparedData().forEach(function(row, i) {
+			if( match(row[0], i) ) { result.push(i); }
+		});
+		return result;
+	};
+
+	// Returns a table of the rows matching filters (see getFilteredRows()),
+	// sharing them, or the table itself for no filters. Used by the output
+	// methods for their filters option.
+	this._filteredTable = function(filters) {
+		if( filters == null ) { return this; }
+		var view = new DataView(this);
+		view.setRows(this.getFilteredRows(filters));
+		return view._viewTable();
+	};
+
+	/**
+	 * Runs a Google Visualization Query Language query against the table.
+	 *
+	 * Args:
+	 *   query: The query, either as a string (the "tq" request parameter) or as
+	 *          the object returned by DataTable.parseQuery().
+	 *   columnOrder: Optional. Specifies the columns, and their order, visible to
+	 *                the query. 'select *' returns the columns in this order.
+	 *   orderBy: Optional. Specifies the order of the rows the query runs on.
+	 *            Passed as is to preparedData().
+	 *
+	 * Returns:
+	 *   A new DataTable holding the result of the query. The table itself is not
+	 *   modified.
+	 *   Example:
+	 *     table.query("select dept, sum(salary) where age > 30 group by dept "+
+	 *                 "order by sum(salary) desc limit 5 label dept 'Department'")
+	 *
+	 * Throws a QueryError if the query is malformed or does not match the table.
+	 */
+	this.query = function(query, columnOrder, orderBy) {
+		return DataTable._query.execute(this, query, columnOrder, orderBy);
+	};
+
+	/**
+	 * Groups the rows of the table by the values of key columns, and aggregates
+	 * the values of other columns over each group.
+	 *
+	 * Args:
+	 *   keys: An array of the key columns, each the index or id of a column, or
+	 *         an object with the properties:
+	 *         - column: The index or id of the column.
+	 *         - modifier: Optional. The function called as modifier(value) on
+	 *           the values of the column to get the values to group by, or the
+	 *           name of a one argument scalar function of the query language,
+	 *           such as 'year' or 'month' for a date column.
+	 *         - type: Optional. The type of the values returned by a modifier
+	 *           function, the type of the column by default.
+	 *         - id, label: Optional. The id and label of the result column, the
+	 *           ones of the column by default.
+	 *   columns: Optional. An array of the aggregated columns, each an object
+	 *            with the properties:
+	 *            - column: The index or id of the column.
+	 *            - aggregation: 'sum', 'avg', 'count', 'min', 'max',
+	 *              'count-distinct', or a function called as
+	 *              aggregation(values) with the non null values of the group,
+	 *              returning the aggregated value.
+	 *            - type: Optional. The type of the values returned by an
+	 *              aggregation function, the type of the column by default.
+	 *            - id, label: Optional. The id and label of the result column.
+	 *              The id is the aggregation and the column id by default, as in
+	 *              'sum-salary' (the column id for an aggregation function), and
+	 *              the label is the one of the column.
+	 *
+	 * Returns:
+	 *   A new DataTable with the key columns then the aggregated columns, and a
+	 *   row for each combination of key values, ordered by the keys. The result
+	 *   columns keep the custom properties of their column. The table itself is
+	 *   not modified.
+	 *   Example:
+	 *     table.group([{column: 'date', modifier: 'year', label: 'Year'}],
+	 *                 [{column: 'sales', aggregation: 'sum', label: 'Sales'}])
+	 *
+	 * Throws a SchemaError if a column does not exist or two result columns have
+	 * the same id, or a DataTableError if an aggregation or a modifier is
+	 * unknown or does not apply to the type of its column.
+	 */
+	this.group = function(keys, columns) {
+		var self = this;
+		if( !DataTable._t.isArray(keys) ) { keys = [keys]; }
+		keys = keys.map(function(key) { return DataTable._groupKey(key, self); });
+		columns = (columns || []).map(function(column) { return DataTable._aggregation(column, self); });
+
+		var result = DataTable._groupedTable(keys.concat(columns), this.customProperties);
+		var groups = DataTable._groupRows(this._rowValues(), keys);
+		for( var i in groups ) {
+			var cells = groups[i].values.slice();
+			for( var j in columns ) { cells.push(columns[j].aggregate(groups[i].rows)); }
+			result.appendData([cells]);
+		}
+		return result;
+	};
+
+	/**
+	 * Pivots the table: groups its rows by the values of key columns, as group()
+	 * does, with a column for each aggregation and each value of the pivot
+	 * columns.
+	 *
+	 * Args:
+	 *   keys: The key columns, as for group(). Can be empty, for a single row.
+	 *   pivotColumns: The pivot column, or an array of them, in the forms of the
+	 *                 key columns.
+	 *   aggregations: The aggregated column, or an array of them, as for
+	 *                 group().
+	 *
+	 * Returns:
+	 *   A new DataTable with the key columns then, for each aggregation, a
+	 *   column for each combination of pivot values, ordered by the values. The
+	 *   id and label of these columns are the pivot values (separated by commas)
+	 *   followed by the id and label of the aggregation, as in '2010 sales'.
+	 *   The cells of the combinations no row of the group has are null. The
+	 *   table itself is not modified.
+	 *   Example:
+	 *     table.pivot(['region'], [{column: 'date', modifier: 'year'}],
+	 *                 [{column: 'amount', aggregation: 'sum', id: 'sales'}])
+	 *     has the columns 'region', '2010 sales', '2011 sales'...
+	 *
+	 * Throws a SchemaError if a column does not exist or two result columns have
+	 * the same id, or a DataTableError if there is no pivot column or
+	 * aggregation, or an aggregation or a modifier is unknown or does not apply
+	 * to the type of its column.
+	 */
+	this.pivot = function(keys, pivotColumns, aggregations) {
+		var self = this;
+		var parse = function(list, parser) {
+			if( list == null ) { return []; }
+			if( !DataTable._t.isArray(list) ) { list = [list]; }
+			return list.map(function(item) { return parser(item, self); });
+		};
+		keys = parse(keys, DataTable._groupKey);
+		var pivots = parse(pivotColumns, DataTable._groupKey);
+		aggregations = parse(aggregations, DataTable._aggregation);
+		if( !pivots.length || !aggregations.length ) {
+			throw new DataTableError('Expected at least one pivot column and one aggregation',
+				{value: !pivots.length ? pivotColumns : aggregations});
+		}
+
+		var groups = DataTable._groupRows(this._rowValues(), keys);
+		var pivotGroups = DataTable._pivotGroups(groups, pivots);
+		var columns = [];
+		for( var i in aggregations ) {
+			for( var j in pivotGroups ) {
+				var column = DataTable._pivotColumn(aggregations[i], pivotGroups[j]);
+				column.custom_properties = aggregations[i].custom_properties;
+				column.aggregate = aggregations[i].aggregate;
+				columns.push(column);
+			}
+		}
+
+		var result = DataTable._groupedTable(keys.concat(columns), this.customProperties);
+		for( var i in groups ) {
+			var cells = groups[i].values.slice();
+			for( var j in columns ) {
+				var pivotRows = groups[i].pivots[columns[j].pivotKey];
+				cells.push(pivotRows ? columns[j].aggregate(pivotRows) : null);
+			}
+			result.appendData([cells]);
+		}
+		return result;
+	};
+
+	// Returns the values of the rows by column id, with the datetime values in
+	// the time zones of their columns, for group() and pivot().
+	this._rowValues = function() {
+		return this._zonedData().map(function(row) {
+			var values = {};
+			for( var id in row[0] ) { values[id] = DataTable._cellValue(row[0][id]); }
+			return values;
+		});
+	};
+
+	/**
+	 * Writes the data table as a JS code string.
+	 * 
+	 * This method writes a string of JS code that can be run to
+	 * generate a DataTable with the specified data. Typically used for debugging
+	 * only.
+	 * 
+	 * Args:
+	 *   name: The name of the table. The name would be used as the DataTable's
+	 *         variable name in the created JS code.
+	 *   columnOrder: Optional. Specifies the order of columns in the
+	 *                output table. Specify a list of all column IDs in the order
+	 *                in which you want the table created.
+	 *                Note that you must list all column IDs in this parameter,
+	 *                if you use it.
+	 *   orderBy: Optional. Specifies the name of the column(s) to sort by.
+	 *            Passed as is to _preparedData().
+	 * 
+	 * Returns:
+	 *   A string of JS code that, when run, generates a DataTable with the given
+	 *   name and the data stored in the DataTable object.
 	 *   Example result:
 	 *     "var tab1 = new google.visualization.DataTable();
 	 *      tab1.addColumn('string', 'a', 'a');
@@ -298,7 +1364,7 @@ function DataTable(tableDescription, data, customProperties) {
 	 *      tab1.setCell(9, 1, 3, '3$');
 	 *      tab1.setCell(9, 2, false);"
 	 * 
-	 * Throws an exception if the data does not match the type.
+	 * Throws a DataTypeError if the data does not match the type.
 	 */
 	this.toJSCode = function(name, columnOrder, orderBy) {
 		if( arguments.length == 1 || columnOrder == null ) {
@@ -322,7 +1388,16 @@ function DataTable(tableDescription, data, customProperties) {
           		label = DataTable._escapeValue(colDict[col].label),
           		id = DataTable._escapeValue(colDict[col].id);
 
-			jscode += name+".addColumn('"+type+"', "+label+", "+id+");\n";
+			if( colDict[col].role != null || colDict[col].pattern != null ) {
+				var pattern = colDict[col].pattern != null ?
+					", pattern: "+DataTable._escapeValue(colDict[col].pattern) : '';
+				var role = colDict[col].role != null ?
+					", role: "+DataTable._escapeValue(colDict[col].role) : '';
+				jscode += name+".addColumn({type: '"+type+"', label: "+label+", id: "+id+
+					pattern+role+"});\n";
+			} else {
+				jscode += name+".addColumn('"+type+"', "+label+", "+id+");\n";
+			}
 			
 			if( DataTable._o.prop(colDict[col].custom_properties).length ) {
 				var props = DataTable._escapeCustomProperties(colDict[col].custom_properties);
@@ -332,7 +1407,7 @@ function DataTable(tableDescription, data, customProperties) {
 		jscode += name+'.addRows('+this._data.length+');\n';
 
 		// We now go over the data and add each row
-		var prepData = this.preparedData(orderBy);
+		var prepData = this._formattedData(orderBy);
 		for( i in prepData ) {
 			var row = prepData[i][0],
 				cp = prepData[i][1];
@@ -345,7 +1420,7 @@ function DataTable(tableDescription, data, customProperties) {
 				if( DataTable._t.isArray(row[col]) && row[col].length == 3 ) {
 					cellCp = ', '+DataTable._escapeCustomProperties(row[col][2]);
 				}
-				var value = DataTable.singleValueToJS(row[col], colDict[col].type);
+				var value = DataTable._cellToJS(row[col], colDict[col], prepData[i][2]);
 				if( DataTable._t.isArray(value) ) {
 					// We have a formatted value or custom property as well
 					if( value[1] == null ) { value = [value[0], 'null']; }
@@ -385,6 +1460,9 @@ function DataTable(tableDescription, data, customProperties) {
 	 *                if you use it.
 	 *   orderBy: Optional. Specifies the name of the column(s) to sort by.
 	 *            Passed as is to _preparedData().
+	 *   options: Optional. An object with the property:
+	 *     filters: The filters of the rows to write, as given to
+	 *              getFilteredRows(). All the rows by default.
 	 * 
 	 * Returns:
 	 *  A JSon constructor string to generate a JS DataTable with the data
@@ -395,83 +1473,127 @@ function DataTable(tableDescription, data, customProperties) {
 	 *           {id:'c',label:'c',type:'number'}],
 	 *    rows: [{c:[{v:1},{v:'z'},{v:2}]}, c:{[{v:3,f:'3$'},{v:'w'},{v:null}]}],
 	 *    p:     {'foo': 'bar'}}
+	 *  Columns with a role have it in their description, as in
+	 *   {id:'d',label:'d',type:'string',role:'tooltip'}
 	 * 
-	 * Throws an exception if the data does not match the type.
+	 * Throws a DataTypeError if the data does not match the type.
+	 */
+	this.toJSON = function(columnOrder, orderBy, options) {
+		if( arguments.length < 3 || options == null ) { options = {}; }
+		if( arguments.length < 2 ) { orderBy = []; }
+		if( arguments.length < 1 ) { columnOrder = null; }
+
+		return this._filteredTable(options.filters)._innerToJSON(columnOrder, orderBy, DataTable._writers.js);
+	};
+
+	/**
+	 * Writes the data table as a strict JSON string.
+	 *
+	 * Unlike toJSON(), which writes a JS literal, the result of this method can
+	 * be read by JSON.parse() and by any other JSON parser. The keys and the
+	 * strings are double quoted, date and datetime values are written as
+	 * "Date(year,month,day[,hours,minutes,seconds])" strings (the encoding
+	 * the Google Visualization API reads back into Date objects) and timeofday
+	 * values as [hours,minutes,seconds] arrays.
+	 *
+	 * Args:
+	 *   columnOrder: Optional. Passed as is to toJSON().
+	 *   orderBy: Optional. Passed as is to toJSON().
+	 *   options: Optional. Passed as is to toJSON().
+	 *
+	 * Returns:
+	 *  A JSON string holding the data stored in the DataTable object.
+	 *  Example result (the result is without the newlines):
+	 *   {"cols":[{"id":"a","label":"a","type":"number"},
+	 *            {"id":"b","label":"b","type":"date"}],
+	 *    "rows":[{"c":[{"v":1},{"v":"Date(2010,0,2)"}]},
+	 *            {"c":[{"v":3,"f":"3$"},null]}],
+	 *    "p":{"foo":"bar"}}
+	 *
+	 * Throws a DataTypeError if the data does not match the type.
 	 */
-	this.toJSON = function(columnOrder, orderBy) {
-		if( arguments.length == 0 || columnOrder == null ) {
+	this.toStrictJSON = function(columnOrder, orderBy, options) {
+		if( arguments.length < 3 || options == null ) { options = {}; }
+		if( arguments.length < 2 ) { orderBy = []; }
+		if( arguments.length < 1 ) { columnOrder = null; }
+
+		return this._filteredTable(options.filters)._innerToJSON(columnOrder, orderBy, DataTable._writers.json);
+	};
+
+	// Walks the columns and rows of the table for toJSON() and toStrictJSON(),
+	// writing them with one of DataTable._writers.
+	this._innerToJSON = function(columnOrder, orderBy, writer) {
+		if( columnOrder == null ) {
 			columnOrder = [];
 			for( var i in this._columns ) {	columnOrder.push(this._columns[i].id); }
 		}
 		var colDict = {};
 		for( var i in this._columns ) { colDict[this._columns[i].id] = this._columns[i]; }
+		var k = writer.key;
 
 		// Creating the columns jsons
 		var colJSON = [];
 		for( var i in columnOrder ) {
-			var d = DataTable._o.clone(colDict[columnOrder[i]]);
-			d.id = DataTable._escapeValue(d.id);
-			d.label = DataTable._escapeValue(d.label);
-			d.cp = '';
-			if( DataTable._o.prop(colDict[columnOrder[i]].custom_properties).length ) {
-				var prop = colDict[columnOrder[i]].custom_properties
-				d.cp = ',p:'+DataTable._escapeCustomProperties(prop);
+			var col = colDict[columnOrder[i]];
+			var cp = '';
+			if( DataTable._o.prop(col.custom_properties).length ) {
+				cp = ','+k('p')+':'+writer.properties(col.custom_properties);
 			}
-			colJSON.push("{id:"+d.id+",label:"+d.label+",type:'"+d.type+"'"+d.cp+"}");
+			var role = col.role != null ? ','+k('role')+':'+writer.string(col.role) : '';
+			var pattern = col.pattern != null ? ','+k('pattern')+':'+writer.string(col.pattern) : '';
+			colJSON.push('{'+k('id')+':'+writer.string(col.id)+','+k('label')+':'+writer.string(col.label)+
+				','+k('type')+':'+writer.string(col.type)+pattern+role+cp+'}');
 		}
 
 		// Creating the rows jsons
 		var rowJSON = [];
-		var prepData = this.preparedData(orderBy);
+		var prepData = this._formattedData(orderBy);
 		for( var i in prepData ) {
 			var row = prepData[i][0],
 				cp = prepData[i][1];
 			var cellJSON = [];
-			for( var i in columnOrder ) {
+			for( var j = 0; j < columnOrder.length; j++ ) {
 				// We omit the {v:null} for a None value of the not last column
-				var value = row[columnOrder[i]];
-				if( !value && columnOrder[i] != columnOrder[columnOrder.length-1] ) {
-					cellJSON.push('');
+				var cell = row[columnOrder[j]];
+				if( cell == null && j < columnOrder.length-1 ) {
+					cellJSON.push(writer.emptyCell);
+					continue;
+				}
+				var value = writer.cell(cell, colDict[columnOrder[j]], prepData[i][2]);
+				if( DataTable._t.isArray(value) ) {
+					// We have a formatted value or custom property as well
+					var parts = [k('v')+':'+value[0]];
+					if( value[1] != null ) { parts.push(k('f')+':'+value[1]); }
+					if( cell.length == 3 ) { parts.push(k('p')+':'+writer.properties(cell[2])); }
+					cellJSON.push('{'+parts.join(',')+'}');
 				} else {
-					value = DataTable.singleValueToJS(value, colDict[columnOrder[i]]['type']);
-					if( DataTable._t.isArray(value) ) {
-						// We have a formatted value or custom property as well
-						if( row[columnOrder[i]].length == 3 ) {
-							if( value[1] == null ) {
-								cellJSON.push('{v:'+value[0]+',p:'
-									+DataTable._escapeCustomProperties(row[columnOrder[i]][2])+'}');
-							} else {
-								cellJSON.push('{v:'+value+',f:'
-									+DataTable._escapeCustomProperties(row[columnOrder[i]][2])+',p:}');
-							}
-						} else {
-							cellJSON.push('{v:'+value[0]+',f:'+value[1]+'}');
-						}
-					} else {
-						cellJSON.push('{v:'+value+'}');
-					}
+					cellJSON.push('{'+k('v')+':'+value+'}');
 				}
 			}
 			if( DataTable._o.prop(cp).length ) {
-				rowJSON.push('{c:['+cellJSON.join(',')+'],p:'
-					+DataTable._escapeCustomProperties(cp)+'}'); 
+				rowJSON.push('{'+k('c')+':['+cellJSON.join(',')+'],'+k('p')+':'+writer.properties(cp)+'}');
 			} else {
-				rowJSON.push('{c:['+cellJSON.join(',')+']}');
+				rowJSON.push('{'+k('c')+':['+cellJSON.join(',')+']}');
 			}
 		}
 		
 		var genCustomProperties = '';
 		if( DataTable._o.prop(this.customProperties).length ) {
-			genCustomProperties = ',p:'+DataTable._escapeCustomProperties(this.customProperties);
+			genCustomProperties = ','+k('p')+':'+writer.properties(this.customProperties);
 		}  
 		
-		var json = "{cols:["+colJSON.join(',')+"],rows:["+rowJSON.join(',')+"]"+genCustomProperties+"}";
-		return json;
+		return '{'+k('cols')+':['+colJSON.join(',')+'],'+k('rows')+':['+rowJSON.join(',')+']'+
+			genCustomProperties+'}';
 	};
 
 	/**
 	 * Writes the data table as a CSV string.
 	 * 
+	 * The CSV follows RFC 4180: fields holding the separator, double quotes or
+	 * line breaks are put in double quotes, and double quotes inside them are
+	 * doubled. Null values are written as empty fields, and empty strings as
+	 * "" so that DataTable.fromCSV() can tell them apart.
+	 * 
 	 * Args:
 	 *   columnOrder: Optional. Specifies the order of columns in the
 	 *                output table. Specify a list of all column IDs in the order
@@ -480,21 +1602,66 @@ function DataTable(tableDescription, data, customProperties) {
 	 *                if you use it.
 	 *   orderBy: Optional. Specifies the name of the column(s) to sort by.
 	 *            Passed as is to _PreparedData.
-	 *   separator: Optional. The separator to use between the values.
+	 *   separator: Optional. The separator to use between the values, ',' by
+	 *              default.
+	 *   options: Optional. An object with any of the properties:
+	 *     lineEnding: The line ending, '\r\n' by default.
+	 *     quote: Which fields are put in quotes: 'minimal' (the default) for
+	 *            only the fields that need it, 'all' for all fields but null
+	 *            values, or 'nonnumeric' for all fields but null, number and
+	 *            boolean values.
+	 *     bom: If true, the CSV starts with a byte order mark, which some
+	 *          spreadsheets need to read the CSV as unicode. False by default.
+	 *     header: If false, the line of column labels is left out. True by
+	 *             default.
+	 *     sanitize: If true, tabs and line breaks in the labels and values are
+	 *               replaced by spaces, for readers that do not support quoted
+	 *               line breaks. False by default.
+	 *     formatted: Whether to write the formatted values of the cells, where
+	 *                they have one, rather than their values. Either true or
+	 *                false for all the columns, or an object mapping column
+	 *                ids to true or false. By default formatted values are
+	 *                written for date, datetime and timeofday columns, and
+	 *                for the columns with a formatter that does not write
+	 *                HTML (see setColumnFormatter()).
+	 *                Values are written as numbers, true and false, yyyy-MM-dd
+	 *                dates, yyyy-MM-dd HH:mm:ss datetimes and HH:mm:ss times
+	 *                of day, with milliseconds when they are not 0.
+	 *     roles: If false, the columns with a role other than domain and data
+	 *            (see DataTable.columnRoles) are left out. True by default.
+	 *     filters: The filters of the rows to write, as given to
+	 *              getFilteredRows(). All the rows by default.
 	 * 
 	 * Returns:
 	 *   A CSV string representing the table.
 	 *   Example result:
-	 *    'a', 'b', 'c'
-	 *    1, 'z', 2
-	 *    3, 'w', ''
+	 *    a,b,c
+	 *    1,z,2
+	 *    3,"w, ""x""",
 	 * 
-	 * Throws an exception if the data does not match the type.
+	 * Throws a DataTypeError if the data does not match the type, or a
+	 * DataTableError if the quote option is not supported.
 	 */
-	this.toCSV = function(columnOrder, orderBy, separator) {
-		if( arguments.length < 3 ) { separator = ', '; }
+	this.toCSV = function(columnOrder, orderBy, separator, options) {
+		if( arguments.length < 4 || options == null ) { options = {}; }
+		if( arguments.length < 3 || separator == null ) { separator = ','; }
 		if( arguments.length < 2 ) { orderBy = []; }
 		if( arguments.length < 1 ) { columnOrder= null; }
+		if( options.filters != null ) {
+			return this._filteredTable(options.filters).toCSV(columnOrder, orderBy, separator,
+				DataTable._o.defaults({filters: null}, options));
+		}
+
+		var lineEnding = options.lineEnding != null ? options.lineEnding : '\r\n';
+		var quote = options.quote != null ? options.quote : 'minimal';
+		if( !['minimal', 'all', 'nonnumeric'].some(function(e){ return e == quote; }) ) {
+			throw new DataTableError('Unsupported quote option \''+quote+'\'', {value: quote});
+		}
+		var escape = function(text, numeric) {
+			if( options.sanitize ) { text = String(text).replace(/\r\n|[\t\r\n]/g, ' '); }
+			return DataTable._escapeValueForCSV(text, separator,
+				quote == 'all' || (quote == 'nonnumeric' && !numeric));
+		};
 		
 		if( columnOrder == null ) {
 			columnOrder = [];
@@ -502,67 +1669,179 @@ function DataTable(tableDescription, data, customProperties) {
 		}
 		var colDict = {};
 		for( var i in this._columns ) { colDict[this._columns[i].id] = this._columns[i]; }
+		if( options.roles === false ) { columnOrder = DataTable._withoutRoleColumns(columnOrder, colDict); }
+		var formatted = {};
+		for( var id in colDict ) {
+			var type = colDict[id].type;
+			formatted[id] = type == 'date' || type == 'datetime' || type == 'timeofday' ||
+				(colDict[id].formatter != null && !colDict[id].formatter.html);
+			if( DataTable._t.isObject(options.formatted) ) {
+				if( options.formatted[id] != null ) { formatted[id] = !!options.formatted[id]; }
+			} else if( options.formatted != null ) {
+				formatted[id] = !!options.formatted;
+			}
+		}
 
-		var columnList = [];
-		for( var i in columnOrder ) {
-			columnList.push(DataTable._escapeValueForCSV(colDict[columnOrder[i]].label));
+		var lines = [];
+		if( options.header !== false ) {
+			var columnList = [];
+			for( var i in columnOrder ) {
+				columnList.push(escape(colDict[columnOrder[i]].label, false));
+			}
+			lines.push(columnList.join(separator));
 		}
-		var columnLine = columnList.join(separator);
 
-		var rowList = [];
 		// We now go over the data and add each row
-		var prepData = this.preparedData(orderBy);
+		var prepData = this._formattedData(orderBy, false);
 		for( var i in prepData ) {
 			var row = prepData[i][0];
 			var cellList = [];
 			// We add all the elements of this row by their order
 			for( var j in columnOrder ) {
-				var col = columnOrder[j];
-				var value = '""';
-				if( row[col] != null ) {
-					value = DataTable.singleValueToJS(row[col], colDict[col].type,
-						DataTable._escapeValueForCSV);
+				var col = colDict[columnOrder[j]];
+				var cell = row[col.id];
+				if( cell == null ) {
+					cellList.push('');
+					continue;
 				}
-				if( DataTable._t.isArray(value) ) {
-					// We have a formatted value. Using it only for date/time types.
-					if( ['date', 'datetime', 'timeofday'].some(function(e){ return e == colDict[col].type; }) ) {
-						cellList.push(value[1]);
-					} else {
-						cellList.push(value[0]);
-					}
+				// Checks that the value matches the column
+				DataTable._cellToJS(cell, col, prepData[i][2]);
+				var value = DataTable._cellValue(cell);
+				if( formatted[col.id] && DataTable._t.isArray(cell) && cell[1] != null ) {
+					cellList.push(escape(cell[1], false));
+				} else if( value == null ) {
+					cellList.push('');
 				} else {
-					// We need to quote date types, because they contain commas.
-					if( value != '""' &&
-						['date', 'datetime', 'timeofday'].some(function(e){ return e == colDict[col].type; }) ) {
-						value = '"'+value+'"';
-					}
-					cellList.push(value); 
+					cellList.push(escape(DataTable._csv.text(value, col.type),
+						col.type == 'number' || col.type == 'boolean'));
 				}
 			}
-			rowList.push(cellList.join(separator));
+			lines.push(cellList.join(separator));
 		}
-		return columnLine+'\n'+rowList.join('\n');
+		return (options.bom ? '\ufeff' : '')+lines.join(lineEnding);
 	}
 
 	/*
 	 * Returns a file in tab-separated-format readable by MS Excel.
 	 * 
 	 * Returns a file in UTF-16 little endian encoding, with tabs separating the
-	 * values.
+	 * values. The file starts with a byte order mark and its lines end with
+	 * CRLF, so that Excel reads unicode labels and values as they are. Tabs and
+	 * line breaks in the values are replaced by spaces.
 	 * 
 	 * Args:
 	 *   columnOrder: Delegated to toCsv().
 	 *   orderBy: Delegated to toCsv().
 	 * 
 	 * Returns:
-	 *   A tab-separated little endian UTF16 file representing the table.
+	 *   A tab-separated little endian UTF16 file representing the table, as a
+	 *   Buffer in Node.js and as a Uint8Array elsewhere.
 	 */
 	this.toTSVExcel = function(columnOrder, orderBy) {
 		if( arguments.length < 2 ) { orderBy = []; }
 		if( arguments.length < 1 ) { columnOrder= null; }
 		
-		return this.toCSV(columnOrder, orderBy, "\t");
+		var tsv = this.toCSV(columnOrder, orderBy, "\t",
+			{lineEnding: '\r\n', bom: true, sanitize: true});
+		return DataTable._encodeUTF16LE(tsv);
 	}
+
+	/**
+	 * Writes the data table as an Excel workbook.
+	 *
+	 * The workbook is an Office Open XML (.xlsx) file holding a single sheet.
+	 * The first row of the sheet holds the column labels in bold. Numbers and
+	 * booleans are written as number and boolean cells, and date, datetime and
+	 * timeofday values as Excel dates, formatted as yyyy-mm-dd, yyyy-mm-dd
+	 * hh:mm:ss and hh:mm:ss. Cells with a formatted value (given with the data
+	 * or written by the formatter of the column) keep their values, so that
+	 * numbers and dates can be computed with in the sheet, and show the
+	 * formatted value through a number format. Booleans, which Excel does not
+	 * format, and formatted values too long for a number format are written
+	 * as that text.
+	 *
+	 * Args:
+	 *   columnOrder: Optional. Specifies the order of columns in the
+	 *                output table. Specify a list of all column IDs in the order
+	 *                in which you want the table created.
+	 *                Note that you must list all column IDs in this parameter,
+	 *                if you use it.
+	 *   orderBy: Optional. Specifies the name of the column(s) to sort by.
+	 *            Passed as is to _preparedData().
+	 *   sheetName: Optional. The name of the sheet, 'Sheet1' by default.
+	 *              Characters Excel does not allow in names are replaced by
+	 *              spaces, and the name is cut to 31 characters.
+	 *
+	 * Returns:
+	 *   The .xlsx file, as a Buffer in Node.js and as a Uint8Array elsewhere.
+	 *
+	 * Throws a DataTypeError if the data does not match the type.
+	 */
+	this.toXLSX = function(columnOrder, orderBy, sheetName) {
+		if( arguments.length < 3 || sheetName == null ) { sheetName = 'Sheet1'; }
+		if( arguments.length < 2 ) { orderBy = []; }
+		if( arguments.length < 1 ) { columnOrder = null; }
+		var x = DataTable._xlsx;
+
+		if( columnOrder == null ) {
+			columnOrder = [];
+			for( var i in this._columns ) {	columnOrder.push(this._columns[i].id); }
+		}
+		var colDict = {};
+		for( var i in this._columns ) { colDict[this._columns[i].id] = this._columns[i]; }
+
+		var cellList = [];
+		for( var j = 0; j < columnOrder.length; j++ ) {
+			cellList.push(x.stringCell(x.ref(j, 0), colDict[columnOrder[j]].label, x.styles.header));
+		}
+		var rowList = [x.row(0, cellList)];
+
+		// The styles of the formatted values, by number format, after those of
+		// x.styles
+		var formats = [], formatStyles = {};
+		var formatStyle = function(format) {
+			if( !formatStyles.hasOwnProperty(format) ) {
+				formatStyles[format] = x.formatStyle + formats.length;
+				formats.push(format);
+			}
+			return formatStyles[format];
+		};
+
+		// We now go over the data and add each row
+		var prepData = this._formattedData(orderBy, false);
+		for( var i = 0; i < prepData.length; i++ ) {
+			var row = prepData[i][0];
+			cellList = [];
+			for( var j = 0; j < columnOrder.length; j++ ) {
+				var col = colDict[columnOrder[j]];
+				var cell = row[col.id];
+				if( cell == null ) { continue; }
+				// Checks that the value matches the column
+				DataTable._cellToJS(cell, col, prepData[i][2]);
+				var ref = x.ref(j, i+1), value = DataTable._cellValue(cell);
+				var format = DataTable._t.isArray(cell) && cell[1] != null && value != null ?
+					x.numFmt(cell[1], col.type) : null;
+				if( format != null ) {
+					cellList.push(x.cell(ref, value, col.type, formatStyle(format)));
+				} else if( DataTable._t.isArray(cell) && cell[1] != null ) {
+					cellList.push(x.stringCell(ref, cell[1]));
+				} else if( value != null ) {
+					cellList.push(x.cell(ref, value, col.type));
+				}
+			}
+			rowList.push(x.row(i+1, cellList));
+		}
+
+		sheetName = String(sheetName).replace(/[\[\]:*?\/\\]/g, ' ').substring(0, 31);
+		return DataTable._zip([
+			['[Content_Types].xml', x.contentTypes],
+			['_rels/.rels', x.rels],
+			['xl/workbook.xml', x.workbook.split('%s').join(x.escape(sheetName))],
+			['xl/_rels/workbook.xml.rels', x.workbookRels],
+			['xl/styles.xml', x.stylesXML(formats)],
+			['xl/worksheets/sheet1.xml', x.sheet.split('%s').join(rowList.join(''))]
+		]);
+	};
 	
 	/**
 	 * Writes the data table as an HTML table code string.
@@ -575,6 +1854,33 @@ function DataTable(tableDescription, data, customProperties) {
 	 *                if you use it.
 	 *   orderBy: Optional. Specifies the name of the column(s) to sort by.
 	 *            Passed as is to _preparedData().
+	 *   options: Optional. An object with any of the properties:
+	 *     fragment: If true, only the table element is written, to be put in a
+	 *               page. False by default, for a whole HTML document.
+	 *     border: The border attribute of the table, '1' by default. Null leaves
+	 *             the attribute out.
+	 *     properties: If true, the className and style custom properties of the
+	 *                 table, the columns, the rows and the cells are written as
+	 *                 the class and style attributes of their elements (those
+	 *                 of a column on each of its cells), and the caption custom
+	 *                 property of the table as its caption. False by default.
+	 *     scope: If true, the header cells have a scope='col' attribute. False
+	 *            by default.
+	 *     alignNumbers: If true, the cells of number columns are aligned to the
+	 *                   right. False by default.
+	 *     typeClassPrefix: If given, the cells of each column have the class
+	 *                      of the prefix followed by the column type, as in
+	 *                      'gv-number' for the prefix 'gv-'.
+	 *     formatted: If true (the default), cells are written with their
+	 *                formatted value, where they have one, or as JS values.
+	 *                The HTML written by the formatter of a column (BarFormat
+	 *                and ArrowFormat) is written as it is; every other
+	 *                formatted value is escaped. If false, cells are written
+	 *                with their values, in the formats of toCSV().
+	 *     roles: If false, the columns with a role other than domain and data
+	 *            (see DataTable.columnRoles) are left out. True by default.
+	 *     filters: The filters of the rows to write, as given to
+	 *              getFilteredRows(). All the rows by default.
 	 * 
 	 * Returns:
 	 *  An HTML table code string.
@@ -586,19 +1892,36 @@ function DataTable(tableDescription, data, customProperties) {
 	 *      <tr><td>"3$"</td><td>"w"</td><td></td></tr>
 	 *     </tbody>
 	 *   </table></body></html>
+	 *   With the fragment, properties, scope and alignNumbers options:
+	 *    <table border='1' class='report'><caption>Sales</caption>
+	 *     <thead><tr><th scope='col'>a</th>...</tr></thead>
+	 *     <tbody><tr><td style='text-align: right'>1</td>...</tr></tbody>
+	 *    </table>
 	 * 
-	 * Throws an exception if the data does not match the type.
+	 * Throws a DataTypeError if the data does not match the type.
 	 */
-	this.toHTML = function(columnOrder, orderBy) {
+	this.toHTML = function(columnOrder, orderBy, options) {
+		if( arguments.length < 3 || options == null ) { options = {}; }
 		if( arguments.length < 2 ) { orderBy = []; }
 		if( arguments.length < 1 ) { columnOrder= null; }
+		if( options.filters != null ) {
+			return this._filteredTable(options.filters).toHTML(columnOrder, orderBy,
+				DataTable._o.defaults({filters: null}, options));
+		}
 
-		var tableTemp = "<html><body><table border='1'>%s</table></body></html>";
-		var colTemp = "<thead><tr>%s</tr></thead>";
-		var bodyTemp = "<tbody>%s</tbody>";
-		var rowTemp = "<tr>%s</tr>";
-		var headerCellTemp = "<th>%s</th>";
-		var cellTemp = "<td>%s</td>";
+		var border = options.border !== undefined ? options.border : '1';
+		var formatted = options.formatted !== false;
+		var props = function(p) { return options.properties && p != null ? p : {}; };
+		// Writes the class and style attributes from the classes and styles
+		// given, leaving out the empty ones.
+		var attributes = function(classes, styles) {
+			var attrs = [];
+			classes = classes.filter(function(c){ return c != null && c !== ''; });
+			styles = styles.filter(function(s){ return s != null && s !== ''; });
+			if( classes.length ) { attrs.push(['class', classes.join(' ')]); }
+			if( styles.length ) { attrs.push(['style', styles.join('; ')]); }
+			return DataTable._htmlAttributes(attrs);
+		};
 
 		if( columnOrder == null ) {
 			columnOrder = [];
@@ -606,39 +1929,76 @@ function DataTable(tableDescription, data, customProperties) {
 		}
 		var colDict = {};
 		for( var i in this._columns ) { colDict[this._columns[i].id] = this._columns[i]; }
+		if( options.roles === false ) { columnOrder = DataTable._withoutRoleColumns(columnOrder, colDict); }
+
+		var tableProps = props(this.customProperties);
+		var html = '<table'+DataTable._htmlAttributes([['border', border]])+
+			attributes([tableProps.className], [tableProps.style])+'>';
+		if( tableProps.caption != null ) {
+			html += '<caption>'+DataTable._escapeHTML(String(tableProps.caption))+'</caption>';
+		}
+
+		// Each column gives the classes and styles of its cells
+		var columnClasses = {}, columnStyles = {};
+		for( var id in colDict ) {
+			var colProps = props(colDict[id].custom_properties);
+			columnClasses[id] = [options.typeClassPrefix != null ? options.typeClassPrefix+colDict[id].type : null,
+				colProps.className];
+			columnStyles[id] = [colProps.style];
+		}
 		
-		var columnList = [];
+		html += '<thead><tr>';
 		for( var i in columnOrder ) {
-			col = columnOrder[i];
-			columnList.push(headerCellTemp.replace(/%s/g,DataTable._escapeHTML(colDict[col].label)));
+			var col = colDict[columnOrder[i]];
+			html += '<th'+(options.scope ? DataTable._htmlAttributes([['scope', 'col']]) : '')+
+				attributes(columnClasses[col.id], columnStyles[col.id])+'>'+
+				DataTable._escapeHTML(String(col.label))+'</th>';
 		}
-		var headHTML = colTemp.replace(/%s/g,columnList.join(''));
+		html += '</tr></thead>';
 		
-		var rowList = [];
+		html += '<tbody>';
 		// We now go over the data and add each row
-		var prepData = this.preparedData(orderBy);
+		var prepData = this._formattedData(orderBy);
 		for( var i in prepData ) {
-			var row = prepData[i][0];
-			var cellList = [];
+			var row = prepData[i][0],
+				rowProps = props(prepData[i][1]);
+			html += '<tr'+attributes([rowProps.className], [rowProps.style])+'>';
 			// We add all the elements of this row by their order
 			for( var j in columnOrder ) {
-				var col = columnOrder[j];
+				var col = colDict[columnOrder[j]];
+				var cell = row[col.id];
 				// For empty string we want empty quotes ("").
 				var value = "";
-				if( row[col] != null ) {
-					value = DataTable.singleValueToJS(row[col], colDict[col].type);
+				if( cell != null ) {
+					value = DataTable._cellToJS(cell, col, prepData[i][2]);
 				}
-				if( DataTable._t.isArray(value) ) {
+				if( !formatted ) {
+					// The value itself, as written in CSV
+					value = DataTable._cellValue(cell);
+					value = value == null ? '' : DataTable._csv.text(value, col.type);
+				} else if( DataTable._t.isArray(value) ) {
 					// We have a formatted value and we're going to use it
-					cellList.push(cellTemp.replace(/%s/g,DataTable._escapeHTML(value[1])));
+					value = value[1] != null ? value[1] : value[0];
+				}
+				var cellProps = DataTable._t.isArray(cell) && cell.length == 3 ? props(cell[2]) : {};
+				var styles = columnStyles[col.id].concat([cellProps.style]);
+				if( options.alignNumbers && col.type == 'number' ) { styles.unshift('text-align: right'); }
+				if( formatted && prepData[i][3] != null && prepData[i][3][col.id] ) {
+					// The formatted value is HTML, written by BarFormat or
+					// ArrowFormat. The formatted values of the data are always
+					// escaped.
+					value = cell[1];
 				} else {
-					cellList.push(cellTemp.replace(/%s/g,DataTable._escapeHTML(value)));
+					value = DataTable._escapeHTML(value);
 				}
+				html += '<td'+attributes(columnClasses[col.id].concat([cellProps.className]), styles)+'>'+
+					value+'</td>';
 			}
-			rowList.push(rowTemp.replace(/%s/g,cellList.join('')));
+			html += '</tr>';
 		}
-		var bodyHTML = bodyTemp.replace(/%s/g,rowList.join(''));
-		return tableTemp.replace(/%s/g,headHTML + bodyHTML);
+		html += '</tbody></table>';
+
+		return options.fragment ? html : '<html><body>'+html+'</body></html>';
 	};
 	
 	/**
@@ -655,29 +2015,97 @@ function DataTable(tableDescription, data, customProperties) {
 	 *   reqId: Optional. The response id, as retrieved by the request.
 	 *   responseHandler: Optional. The response handler, as retrieved by the
 	 *       request.
+	 *   warnings: Optional. Warnings to return along with the table, as an array
+	 *       of objects {reason: ..., message: ..., detailedMessage: ...}. The
+	 *       reason is 'data_truncated' or 'other' (see
+	 *       DataTable.responseReasons), message and detailedMessage are
+	 *       optional. If given, the status of the response is 'warning'.
+	 *   sig: Optional. The signature sent by the client, as retrieved by the
+	 *       request. If it matches the signature of the table, the table has
+	 *       not changed since the client last received it, and a 'not_modified'
+	 *       error response is returned instead of the table.
 	 * 
 	 * Returns:
 	 *   A JSON response string to be received by JS the visualization Query
 	 *   object. This response would be translated into a DataTable on the
-	 *   client side.
+	 *   client side. The response holds the signature of the table, which the
+	 *   client sends back in the sig parameter of tqx on its next request.
 	 *   Example result (newlines added for readability):
 	 *    google.visualization.Query.setResponse({
-	 *       'version':'0.6', 'reqId':'0', 'status':'OK',
+	 *       'version':'0.6', 'reqId':'0', 'status':'OK', 'sig': '5dd91e0a2c3b1a47',
 	 *       'table': {cols: [...], rows: [...]}});
+	 *   With warnings:
+	 *    google.visualization.Query.setResponse({
+	 *       'version':'0.6', 'reqId':'0', 'status':'warning',
+	 *       'warnings': [{'reason':'data_truncated','message':'Data truncated'}],
+	 *       'sig': '5dd91e0a2c3b1a47', 'table': {cols: [...], rows: [...]}});
+	 *   When the signature matches:
+	 *    google.visualization.Query.setResponse({
+	 *       'version':'0.6', 'reqId':'0', 'status':'error',
+	 *       'errors': [{'reason':'not_modified','message':'Data not modified'}]});
 	 * 
 	 * Note: The URL returning this string can be used as a data source by Google
 	 *       Visualization Gadgets or from JS code.
+	 *
+	 * Throws a DataTableError if a warning has another reason.
 	 */
-	this.toJSONResponse = function(columnOrder,orderBy,reqId,responseHandler) {
-		if( arguments.length < 4 ) { responseHandler = 'google.visualization.Query.setResponse'; }
-		if( arguments.length < 3 ) { reqId = 0; }
-		if( arguments.length < 2 || orderBy == null ) { orderBy = []; }		
-		if( arguments.length < 1 ) { columnOrder = null; }
+	this.toJSONResponse = function(columnOrder,orderBy,reqId,responseHandler,warnings,sig) {
+		return this._innerToJSONResponse(columnOrder, orderBy, reqId, responseHandler,
+			warnings, sig, DataTable._writers.js);
+	};
 
-		var table = this.toJSON(columnOrder, orderBy);
-		return "%s({'version':'0.6', 'reqId':'%s', 'status':'OK', 'table': %s});"
-			.replace('%s',responseHandler).replace('%s',reqId).replace('%s',table);
-	}
+	/**
+	 * Writes a table as a strict JSON response that can be returned as-is to a
+	 * client.
+	 *
+	 * Same as toJSONResponse(), but the object passed to the response handler
+	 * is strict JSON, and the table in it is written with toStrictJSON(). Use it
+	 * for clients that parse the response with a JSON parser rather than run it.
+	 *
+	 * Args:
+	 *   The same as toJSONResponse().
+	 *
+	 * Returns:
+	 *   A JSON response string.
+	 *   Example result (newlines added for readability):
+	 *    google.visualization.Query.setResponse({
+	 *       "version":"0.6", "reqId":"0", "status":"OK", "sig": "5dd91e0a2c3b1a47",
+	 *       "table": {"cols": [...], "rows": [...]}});
+	 */
+	this.toStrictJSONResponse = function(columnOrder,orderBy,reqId,responseHandler,warnings,sig) {
+		return this._innerToJSONResponse(columnOrder, orderBy, reqId, responseHandler,
+			warnings, sig, DataTable._writers.json);
+	};
+
+	// Writes the response of toJSONResponse() and toStrictJSONResponse() with
+	// one of DataTable._writers.
+	this._innerToJSONResponse = function(columnOrder,orderBy,reqId,responseHandler,warnings,sig,writer) {
+		if( sig === undefined ) { sig = null; }
+		if( warnings == null ) { warnings = []; }
+		DataTable._checkWarnings(warnings);
+		if( responseHandler == null ) {
+			responseHandler = 'google.visualization.Query.setResponse';
+		}
+		if( reqId == null ) { reqId = 0; }
+		if( orderBy == null ) { orderBy = []; }
+		if( columnOrder === undefined ) { columnOrder = null; }
+
+		var table = this._innerToJSON(columnOrder, orderBy, writer);
+		var signature = DataTable._signature(table);
+		if( sig != null && sig == signature ) {
+			return DataTable._jsonResponse(responseHandler, reqId, 'error',
+				{errors: DataTable._escapeResponseMessages([{reason: 'not_modified'}], writer)}, writer);
+		}
+
+		var response = {};
+		if( warnings.length ) {
+			response.warnings = DataTable._escapeResponseMessages(warnings, writer);
+		}
+		response.sig = writer.string(signature);
+		response.table = table;
+		return DataTable._jsonResponse(responseHandler, reqId,
+			warnings.length ? 'warning' : 'OK', response, writer);
+	};
 	
 	/**
 	 * Writes the right response according to the request string passed in tqx.
@@ -686,62 +2114,89 @@ function DataTable(tableDescription, data, customProperties) {
 	 * the documentation for implementing a data source of Google Visualization),
 	 * and returns the right response according to the request.
 	 * It parses out the "out" parameter of tqx, calls the relevant response
-	 * (toJSONResponse() for "json", toCSV() for "csv", toHTML() for "html",
-	 * toTSVExcel() for "tsv-excel") and passes the response function the rest of
+	 * (toJSONResponse() for "json", toStrictJSONResponse() for "json-strict",
+	 * toCSV() for "csv", toHTML() for "html", toTSVExcel() for "tsv-excel",
+	 * toXLSX() for "xlsx")
+	 * and passes the response function the rest of
 	 * the relevant request keys.
-	 * 
+	 * If a query is passed in tq, it is run with query() first and the response
+	 * is written from the resulting table.
+	 * Errors are not written as responses, they are thrown. Catch them and pass
+	 * them to DataTable.toErrorResponse() to answer the request.
+	 *
 	 * Args:
-	 *  columnOrder: Optional. Passed as is to the relevant response function.
-	 *  orderBy: Optional. Passed as is to the relevant response function.
+	 *  columnOrder: Optional. Passed as is to the relevant response function, or
+	 *               to query() when a query is given.
+	 *  orderBy: Optional. Passed as is to the relevant response function, or
+	 *           to query() when a query is given.
 	 *  tqx: Optional. The request string as received by HTTP GET. Should be in
 	 *       the format "key1:value1;key2:value2...". All keys have a default
 	 *       value, so an empty string will just do the default (which is calling
 	 *       ToJSonResponse() with no extra parameters).
-	 * 
+	 *  tq: Optional. The query string as received by HTTP GET, in the Google
+	 *      Visualization Query Language. An empty string returns the whole table.
+	 *  warnings: Optional. Warnings to return along with the table, in the
+	 *            format described in toJSONResponse(). Warnings are written in
+	 *            the json, json-strict and html outputs, the other outputs cannot hold them.
+	 *  options: Optional. An object with the property:
+	 *    filters: The filters of the rows to respond with, as given to
+	 *             getFilteredRows(), applied before the query. All the rows
+	 *             by default.
+	 *
 	 * Returns:
-	 *   A response string, as returned by the relevant response function.
-	 * 
-	 * Throws an exception if one of the parameters passed in tqx is not supported.
+	 *   A response string, as returned by the relevant response function, or
+	 *   for "tsv-excel" and "xlsx" the file returned by toTSVExcel() and
+	 *   toXLSX().
+	 *
+	 * Throws a TqxError if one of the parameters passed in tqx is not supported,
+	 * a QueryError if the query is invalid, or a DataTableError if a warning
+	 * has a reason other than 'data_truncated' or 'other'.
 	 */
-	this.toResponse = function(columnOrder,orderBy,tqx) {
-		if( arguments.length < 3 ) { tqx = ''; }
+	this.toResponse = function(columnOrder,orderBy,tqx,tq,warnings,options) {
+		if( arguments.length < 6 || options == null ) { options = {}; }
+		if( arguments.length < 5 || warnings == null ) { warnings = []; }
+		DataTable._checkWarnings(warnings);
+		if( arguments.length < 4 ) { tq = ''; }
+		if( arguments.length < 3 || tqx == null ) { tqx = ''; }
 		if( arguments.length < 2 || orderBy == null ) { orderBy = []; }
 		if( arguments.length < 1 ) { columnOrder = null; }
 		
-		var tqxDict = {
-			version: '0.6',
-			out: 'json',
-			responseHandler: 'google.visualization.Query.setResponse',
-			reqId: 0
-		}
-		
-		if( tqx ) {
-			var options = tqx.split(';');
-			if( !options || !options.length ) { throw 'Invalid tqx provided.'; }
-			for( i in options ) {
-				var opt = options[i].split(':');
-				if( opt.length != 2 ) { throw 'Invalid tqx provided.'; }
-				tqxDict[opt[0]] = opt[1];
-			}
-		}
-		if( tqxDict.version != '0.6' ) { 
-			throw 'Version (%s) passed by request is not supported.'.replace('%s',tqxDict['version']);
+		var tqxDict = DataTable._parseTqx(tqx);
+
+		var table = this._filteredTable(options.filters);
+		if( tq ) {
+			table = table.query(tq, columnOrder, orderBy);
+			columnOrder = null;
+			orderBy = [];
 		}
-		
+
 		if( tqxDict.out == 'json' ) {
-			return this.toJSONResponse(columnOrder, orderBy,
-				tqxDict.reqId, tqxDict.responseHandler)
+			return table.toJSONResponse(columnOrder, orderBy,
+				tqxDict.reqId, tqxDict.responseHandler, warnings, tqxDict.sig)
+		}
+		if( tqxDict.out == 'json-strict' ) {
+			return table.toStrictJSONResponse(columnOrder, orderBy,
+				tqxDict.reqId, tqxDict.responseHandler, warnings, tqxDict.sig)
 		}
 		if( tqxDict.out == 'html' ) {
-			return this.toHTML(columnOrder,orderBy);
+			var html = table.toHTML(columnOrder,orderBy);
+			if( warnings.length ) {
+				html = html.replace(/<\/body><\/html>$/,
+					DataTable._responseMessagesHTML('Warning', warnings)+'</body></html>');
+			}
+			return html;
 		}
 		if( tqxDict.out == 'csv' ) {
-			return this.toCSV(columnOrder,orderBy);
+			return table.toCSV(columnOrder,orderBy);
 		}
 		if( tqxDict.out == 'tsv-excel' ) {
-			return this.toTSVExcel(columnOrder,orderBy);
+			return table.toTSVExcel(columnOrder,orderBy);
+		}
+		if( tqxDict.out == 'xlsx' ) {
+			return table.toXLSX(columnOrder,orderBy);
 		}
-		throw "'out' parameter: '%s' is not supported".replace('%s',tqxDict.out);
+		throw new TqxError("'out' parameter: '%s' is not supported".replace('%s',tqxDict.out),
+			{key: 'out', value: tqxDict.out});
 	};
 
 	/*
@@ -751,6 +2206,10 @@ function DataTable(tableDescription, data, customProperties) {
 	this._columns = DataTable.tableDescriptionParser(tableDescription);
 	this._data = [];
 	this.customProperties = {};
+	this._timeZone = null;
+	if( arguments.length > 3 && options != null && options.timeZone != null ) {
+		this.setTimeZone(options.timeZone);
+	}
 
 	if( arguments.length > 2 && customProperties != null ) {
 		this.customProperties = customProperties;
@@ -778,7 +2237,9 @@ function DataTable(tableDescription, data, customProperties) {
  *   - [value, formatted value]
  *   - [value, formatted value, custom properties]
  *  where the formatted value is a string, and custom properties is a
- *  dictionary of the custom properties for this cell.
+ *  dictionary of the custom properties for this cell. The same cell can be
+ *  given as a {v: value, f: formatted value, p: custom properties} object,
+ *  where f and p are optional.
  *  To specify custom properties without specifying formatted value, one can
  *  pass null as the formatted value.
  *  One can also have a null-valued cell with formatted value and/or custom
@@ -794,23 +2255,34 @@ function DataTable(tableDescription, data, customProperties) {
  *    singleValueToJS(false, "boolean") returns "false"
  *    singleValueToJS([5, "5$"], "number") returns ["5", "'5$'"]
  *    singleValueToJS([null, "5$"], "number") returns ["null", "'5$'"]
+ *    singleValueToJS({v: 5, f: "5$"}, "number") returns ["5", "'5$'"]
+ *    singleValueToJS(new Date(2010,0,2,3,4,5,6), "datetime") returns
+ *      "new Date(2010,0,2,3,4,5,6)", the milliseconds being left out when 0
+ *    singleValueToJS([10,11,12], "timeofday") returns "[10,11,12]", as does
+ *      singleValueToJS(new TimeOfDay(10,11,12), "timeofday")
  *
- * Throws an exception if the value and type did not match in a non-recoverable
- * way, for example given value 'abc' for type 'number'.
+ * Throws a DataTypeError if the value and type did not match in a non-recoverable
+ * way, for example given value 'abc' for type 'number', or a SchemaError if
+ * the type is not supported.
  */
 DataTable.singleValueToJS = function(value, type, escapeFn) {
-	if( arguments.length < 3 ) { escapeFn = DataTable._escapeValue; }
+	if( arguments.length < 3 || escapeFn == null ) { escapeFn = DataTable._escapeValue; }
 	var _t = DataTable._t;
 
+	if( DataTable._isCellObject(value) ) { value = DataTable._cellFromObject(value); }
+	if( type == 'timeofday' && (value instanceof TimeOfDay || DataTable._isTimeArray(value)) ) {
+		value = DataTable._timeOfDay(value);
+	}
 	if( _t.isArray(value) ) {
 		var len = value.length;
 		// In case of an array, we run the same function on the value itself and
 		// add the formatted value.
 		if( (len != 2 && len != 3) || (len == 3 && !_t.isObject(value[2])) ) {
-			throw 'Wrong format for value and formatting - ' + value;
+			throw new DataTypeError('Wrong format for value and formatting - ' + value, {value: value});
 		}
 		if( !_t.isString(value[1]) && value[1] != null ) {
-			throw 'Formatted value is not string, given ' + typeof(value[1]);
+			throw new DataTypeError('Formatted value is not string, given ' + typeof(value[1]),
+				{value: value});
 		}
 		js_value = DataTable.singleValueToJS(value[0], type);
 		if( value[1] == null ) {
@@ -830,14 +2302,18 @@ DataTable.singleValueToJS = function(value, type, escapeFn) {
 	}
 	if( type == 'number' ) {
 		if( t_value == 'number') { return String(value); }
-		throw 'Wrong type '+ t_value +' when expected number';
+		throw new DataTypeError('Wrong type '+ t_value +' when expected number', {value: value});
 	}
 	if( type == 'string' ) {
-		if( t_value == 'array' ) { throw 'Arrays are not allowed as string values'; }
+		if( t_value == 'array' ) {
+			throw new DataTypeError('Arrays are not allowed as string values', {value: value});
+		}
 		return escapeFn(value);
 	}
 	if( type == 'date') {
-		if( t_value != 'date' ) { throw 'Wrong type '+t_value+' when expected Date'; }
+		if( t_value != 'date' ) {
+			throw new DataTypeError('Wrong type '+t_value+' when expected Date', {value: value});
+		}
 		var details = [
 			value.getFullYear(),
 			value.getMonth(),
@@ -846,16 +2322,21 @@ DataTable.singleValueToJS = function(value, type, escapeFn) {
 		return 'new Date('+details.join(',')+')';
 	}
 	if( type == 'timeofday' ) {
-		if( t_value != 'date' ) { throw 'Wrong type '+t_value+' when expected Date'; }
+		if( t_value != 'date' ) {
+			throw new DataTypeError('Wrong type '+t_value+' when expected Date', {value: value});
+		}
 		var details = [
 			value.getHours(),
 			value.getMinutes(),
 			value.getSeconds()
 		];
+		if( value.getMilliseconds() ) { details.push(value.getMilliseconds()); }
 		return '['+details.join(',')+']';
 	}
 	if( type == 'datetime' ) {
-		if( t_value != 'date' ) { throw 'Wrong type '+t_value+' when expected datetime'; }
+		if( t_value != 'date' ) {
+			throw new DataTypeError('Wrong type '+t_value+' when expected datetime', {value: value});
+		}
 		var details = [
 			value.getFullYear(),
 			value.getMonth(),
@@ -864,45 +2345,147 @@ DataTable.singleValueToJS = function(value, type, escapeFn) {
 			value.getMinutes(),
 			value.getSeconds()
 		]
+		if( value.getMilliseconds() ) { details.push(value.getMilliseconds()); }
 		return 'new Date('+details.join(',')+')';
 	}
 
 	// If we got here, it means the given value_type was not one of the
 	// supported types.
-	throw 'Unsupported type '+type;
+	throw new SchemaError('Unsupported type '+type, {value: type});
 };
 
 /**
- * Parses a single column description. Internal helper method.
+ * Translates a single value and type into a strict JSON value.
+ *
+ * Internal helper method.
  *
  * Args:
- *   description: a column description in the possible formats:
- *    'id'
- *    ['id',]
- *    ['id', 'type']
- *    ['id', 'type', 'label']
- *    ['id', 'type', 'label', {custom_prop1: 'custom_val1'}]
+ *  value: The value which should be converted, as accepted by
+ *         singleValueToJS().
+ *  type: One of "string", "number", "boolean", "date", "datetime" or
+ *              "timeofday".
+ *
  * Returns:
- *   Object with the following properties: id, label, type, and
- *   custom_properties where:
- *     - If label not given, it equals the id.
- *     - If type not given, string is used by default.
- *     - If custom properties are not given, an empty object is used by
- *       default.
+ *  The JSON (as string) of the given value, or an array of the JSON of the
+ *  value and of the formatted value, as singleValueToJS() does. Dates are
+ *  written as "Date(...)" strings, and numbers that JSON can't hold (NaN and
+ *  the infinities) as null.
+ *  Examples:
+ *    singleValueToJSON("a'b", "string") returns '"a\'b"'
+ *    singleValueToJSON(new Date(2010,0,2), "date") returns '"Date(2010,0,2)"'
+ *    singleValueToJSON([5, "5$"], "number") returns ['5', '"5$"']
  *
- * Throws an exception if the column description did not match the RE, or
- * an unsupported type was passed.
+ * Throws the same errors as singleValueToJS().
  */
-DataTable.columnTypeParser = function(description) {
+DataTable.singleValueToJSON = function(value, type) {
+	if( DataTable._isCellObject(value) ) { value = DataTable._cellFromObject(value); }
+	if( DataTable._t.isArray(value) && !(type == 'timeofday' && DataTable._isTimeArray(value)) ) {
+		var js = DataTable.singleValueToJS(value, type, DataTable._escapeJSONValue);
+		return [DataTable.singleValueToJSON(value[0], type), js[1]];
+	}
+
+	var json = DataTable.singleValueToJS(value, type, DataTable._escapeJSONValue);
+	if( value == null ) { return json; }
+	if( type == 'date' || type == 'datetime' ) {
+		// new Date(2010,0,2) becomes "Date(2010,0,2)"
+		return '"'+json.replace(/^new /,'')+'"';
+	}
+	if( type == 'number' && !isFinite(value) ) { return 'null'; }
+	return json;
+};
+
+// Calls singleValueToJS() for the cell of a column in a row, adding the column
+// id and the row index to the DataTypeError it may throw.
+DataTable._cellToJS = function(value, column, rowIndex, escapeFn) {
+	try {
+		return DataTable.singleValueToJS(value, column.type, escapeFn);
+	} catch( e ) {
+		throw DataTable._cellError(e, column, rowIndex);
+	}
+};
+
+// Same as _cellToJS(), for singleValueToJSON().
+DataTable._cellToJSON = function(value, column, rowIndex) {
+	try {
+		return DataTable.singleValueToJSON(value, column.type);
+	} catch( e ) {
+		throw DataTable._cellError(e, column, rowIndex);
+	}
+};
+
+// Returns the SchemaError thrown when a cell of a calculated column is given a
+// value.
+DataTable._calculatedCellError = function(column, rowIndex) {
+	return new SchemaError('Column \''+column.id+'\' is calculated, its cells can\'t be set',
+		{columnId: column.id, rowIndex: rowIndex});
+};
+
+// Adds the column id and the row index of a cell to a DataTypeError thrown for
+// it, and returns the error.
+DataTable._cellError = function(e, column, rowIndex) {
+	if( e instanceof DataTypeError && e.columnId === undefined ) {
+		e.columnId = column.id;
+		e.rowIndex = rowIndex;
+		e.message += ' (column \''+column.id+'\', row '+rowIndex+')';
+	}
+	return e;
+};
+
+/**
+ * The roles a column can have, as defined by the Google Visualization API,
+ * with the column types each role allows (null for any type). Columns with a
+ * role other than domain and data hold extra information about the data
+ * columns before them, used by charts.
+ */
+DataTable.columnRoles = {
+	annotation: ['string'],
+	annotationText: ['string'],
+	certainty: ['boolean'],
+	data: null,
+	domain: null,
+	emphasis: ['boolean'],
+	interval: ['number'],
+	scope: ['boolean'],
+	style: ['string'],
+	tooltip: ['string']
+};
+
+/**
+ * Parses a single column description. Internal helper method.
+ *
+ * Args:
+ *   description: a column description in the possible formats:
+ *    'id'
+ *    ['id',]
+ *    ['id', 'type']
+ *    ['id', 'type', 'label']
+ *    ['id', 'type', 'label', {custom_prop1: 'custom_val1'}]
+ *    ['id', 'type', 'label', {custom_prop1: 'custom_val1'}, 'role']
+ *   The role of the column may also be given as the role custom property.
+ * Returns:
+ *   Object with the following properties: id, label, type, and
+ *   custom_properties where:
+ *     - If label not given, it equals the id.
+ *     - If type not given, string is used by default.
+ *     - If custom properties are not given, an empty object is used by
+ *       default.
+ *   and, for a column with a role, the property role. The roles are listed in
+ *   DataTable.columnRoles.
+ *
+ * Throws a SchemaError if the column description did not match the RE, or
+ * an unsupported type or role was passed, or a type the role does not allow.
+ */
+DataTable.columnTypeParser = function(description) {
 	var _t = DataTable._t;
 
 	if( arguments.length < 1 || !description ) {
-		throw 'Description error: empty description given';
+		throw new SchemaError('Description error: empty description given', {value: description});
 	}
 
 	t_desc = _t.type(description);
 	if( t_desc != 'array' && t_desc != 'string' ) {
-		throw 'Description error: expected either string or array, got '+t_desc;
+		throw new SchemaError('Description error: expected either string or array, got '+t_desc,
+			{value: description});
 	}
 
 	if( t_desc == 'string' ) { description = [description,]; }
@@ -911,8 +2494,8 @@ DataTable.columnTypeParser = function(description) {
 	// We verify everything is of type string
 	for( var i in description.slice(0,2) ) {
 		if( !_t.isString(description[i]) ) {
-			throw 'Description error: expected array of strings '+
-				'current element of type '+ _t.type(description[i]);
+			throw new SchemaError('Description error: expected array of strings '+
+				'current element of type '+ _t.type(description[i]), {value: description});
 		}
 	}
 
@@ -929,12 +2512,22 @@ DataTable.columnTypeParser = function(description) {
     		descDict.label = description[2];
 			if( description.length > 3 ) {
 				if( !_t.isObject(description[3]) ) {
-					throw 'Description error: expected custom properties object, '+
-						'current element of type '+_t.type(description[3]);
+					throw new SchemaError('Description error: expected custom properties object, '+
+						'current element of type '+_t.type(description[3]),
+						{columnId: descDict.id, value: description});
 				}
 				descDict.custom_properties = description[3];
-				if( description.length > 4 ) {
-					throw 'Description error: array of length > 4';
+				if( description.length > 4 && description[4] != null ) {
+					if( !_t.isString(description[4]) ) {
+						throw new SchemaError('Description error: expected role string, '+
+							'current element of type '+_t.type(description[4]),
+							{columnId: descDict.id, value: description});
+					}
+					descDict.role = description[4];
+				}
+				if( description.length > 5 ) {
+					throw new SchemaError('Description error: array of length > 5',
+						{columnId: descDict.id, value: description});
 				}
 			}
 		}
@@ -942,7 +2535,29 @@ DataTable.columnTypeParser = function(description) {
 
 	var validTypes = ["string", "number", "boolean","date", "datetime", "timeofday"];
 	if( !validTypes.some(function(e){ return e == descDict.type; }) ) {
-		throw 'Description error: unsupported type \''+descDict.type+'\'';
+		throw new SchemaError('Description error: unsupported type \''+descDict.type+'\'',
+			{columnId: descDict.id, value: description});
+	}
+
+	var propRole = descDict.custom_properties.role;
+	if( propRole != null ) {
+		if( descDict.role != null && descDict.role != propRole ) {
+			throw new SchemaError('Description error: role \''+descDict.role+'\' does not match '+
+				'the role custom property \''+propRole+'\'', {columnId: descDict.id, value: description});
+		}
+		descDict.role = String(propRole);
+	}
+	if( descDict.role != null ) {
+		var roleTypes = DataTable.columnRoles[descDict.role];
+		if( !DataTable.columnRoles.hasOwnProperty(descDict.role) ) {
+			throw new SchemaError('Description error: unsupported role \''+descDict.role+'\'',
+				{columnId: descDict.id, value: description});
+		}
+		if( roleTypes && !roleTypes.some(function(e){ return e == descDict.type; }) ) {
+			throw new SchemaError('Description error: role \''+descDict.role+'\' needs a '+
+				roleTypes.join(' or ')+' column, got \''+descDict.type+'\'',
+				{columnId: descDict.id, value: description});
+		}
 	}
 
 	return descDict;
@@ -970,9 +2585,10 @@ DataTable.columnTypeParser = function(description) {
  *   - depth: The depth of this column in the table description
  *   - container: 'dict', 'iter' or 'scalar' for parsing the format easily.
  *   - custom_properties: The custom properties for this column.
+ *   - role: The role of the column, for columns that have one.
  *   The returned description is flattened regardless of how it was given.
  *
- * Throws an exception if there is an error in a column description or in the 
+ * Throws a SchemaError if there is an error in a column description or in the
  * description structure.
  *
  * Examples:
@@ -982,11 +2598,13 @@ DataTable.columnTypeParser = function(description) {
  *    ['id', 'type']
  *    ['id', 'type', 'label']
  *    ['id', 'type', 'label', {'custom_prop1': 'custom_val1'}]
+ *    ['id', 'type', 'label', {'custom_prop1': 'custom_val1'}, 'role']
  *    or as an object:
  *    {'id': 'type'}
  *    {'id': ['type',]}
  *    {'id': ['type', 'label']}
  *    {'id': ['type', 'label', {'custom_prop1': 'custom_val1'}]}
+ *    {'id': ['type', 'label', {'custom_prop1': 'custom_val1'}, 'role']}
  *   If the type is not specified, we treat it as string.
  *   If no specific label is given, the label is simply the id.
  *   If no custom properties are given, we use an empty dictionary.
@@ -1034,7 +2652,8 @@ DataTable.tableDescriptionParser = function(tableDescription, depth) {
 
 	// Since it is not a string, table_description must be iterable.
 	if( !_t.isArray(tableDescription) && !_t.isObject(tableDescription) ) {
-		throw 'Expected an iterable object, got '+_t.type(tableDescription);
+		throw new SchemaError('Expected an iterable object, got '+_t.type(tableDescription),
+			{value: tableDescription});
 	}
 	if( _t.type(tableDescription) != 'object' ) {
 		// We expect an array.
@@ -1046,26 +2665,29 @@ DataTable.tableDescriptionParser = function(tableDescription, depth) {
 			columns.push(parsedCol);
 		}
     		if( columns.length == 0 ) {
-			throw 'Description iterable objects should not be empty.';
+			throw new SchemaError('Description iterable objects should not be empty.',
+				{value: tableDescription});
     		}
 		return columns;
 	}
 
 	// The other case is an object
 	if( _o.prop(tableDescription).length == 0 ) {
-		throw 'Empty objects are not allowed inside description';
+		throw new SchemaError('Empty objects are not allowed inside description',
+			{value: tableDescription});
 	}
 
 	// To differentiate between the two cases of more levels below or this is
 	// the most inner object, we consider the number of properties (more then one
 	// property is indication for most inner object) and the type of the property and
 	// value in case of only 1 property (if the type of the property is string and the type of
-	// the value is an array of 0-3 items, we assume this is the most inner object).
+	// the value is an array of 0-3 items, or of 4 items with custom properties and a role,
+	// we assume this is the most inner object).
 	// NOTE: this way of differentiating might create ambiguity. See docs.
+	var value = _o.val(tableDescription)[0];
 	if( _o.prop(tableDescription).length != 1 ||
-		(_t.isArray(_o.val(tableDescription)[0]) &&
-		_t.isString(_o.val(tableDescription)[0][0]) &&
-		_o.val(tableDescription)[0].length < 4 ) ) {
+		(_t.isArray(value) && _t.isString(value[0]) &&
+		(value.length < 4 || (value.length == 4 && _t.isObject(value[2]) && !_t.isArray(value[2])))) ) {
 		// This is the most inner object. Parsing types.
 		columns = [];
 		for( var i in tableDescription ) {
@@ -1095,140 +2717,3709 @@ DataTable.tableDescriptionParser = function(tableDescription, depth) {
 	return result;
 };
 
-// Puts the string in quotes, and escapes any inner quotes and slashes.
-/*
- There are characters that are handled inconsistently in browsers, and so must be escaped when placed in strings.
+/**
+ * Creates a DataTable from the JSON of a table.
+ *
+ * The JSON is the one written by toJSON() or toStrictJSON(), or by any other
+ * data source following the Google Visualization API format.
+ *
+ * Args:
+ *   json: The JSON of the table, either as a string, in strict JSON or in the
+ *         JS literal form written by toJSON(), or as the object it stands for:
+ *          {cols: [{id: ..., label: ..., type: ..., role: ..., pattern: ...,
+ *                   p: {...}}, ...],
+ *           rows: [{c: [{v: ..., f: ..., p: {...}}, ...], p: {...}}, ...],
+ *           p: {...}}
+ *         Only the type of a column is required. A missing id is replaced by
+ *         the index of the column, and a missing label by the id. A cell may
+ *         be null or left out for a null value. Date and datetime values are
+ *         Date objects or "Date(year,month,day[,hours,minutes,seconds])"
+ *         strings, timeofday values [hours,minutes,seconds] arrays.
+ *         The strings of a JS literal are unescaped as toJSON() escapes them
+ *         (%XX sequences) only when they all are in that form: a literal
+ *         with a space or a % not starting an escape anywhere in its strings
+ *         is read as it is.
+ *
+ * Returns:
+ *   A new DataTable holding the columns, the rows and the custom properties
+ *   of the JSON. Writing it back with toJSON() gives the JSON it was read from.
+ *   Example:
+ *     DataTable.fromJSON("{cols:[{id:'a',label:'A',type:'number'}],"+
+ *                        "rows:[{c:[{v:1,f:'One'}]}]}")
+ *     is the same as new DataTable([['a', 'number', 'A']], [[[1, 'One']]])
+ *
+ * Throws a DataTableError naming the position of the error if the string can
+ * not be parsed, a SchemaError if the columns are not valid, or a DataTypeError
+ * if a cell does not match its column.
+ */
+DataTable.fromJSON = function(json) {
+	var _t = DataTable._t;
 
-\u0000-\u001f
-\u007f-\u009f
-\u00ad
-\u0600-\u0604
-\u070f
-\u17b4
-\u17b5
-\u200c-\u200f
-\u2028-\u202f
-\u2060-\u206f
-\ufeff
-\ufff0-\uffff
-*/
-DataTable._escapeValue = function(v) {
-	// FIXME this surely isn't strictly correct. It passes the tests
-	var result = String(v)
-	var q = result.indexOf("'") > -1 ? '"' : "'";
+	var literal = false;
+	if( _t.isString(json) ) {
+		try {
+			json = JSON.parse(json);
+		} catch( e ) {
+			json = DataTable._parseJSLiteral(json);
+			literal = true;
+		}
+	}
+	if( !_t.isObject(json) || json == null || _t.isArray(json) || !_t.isArray(json.cols) ) {
+		throw new SchemaError('Expected an object with a cols array', {value: json});
+	}
+	// toJSON() escapes its strings, see _escapeValue(). A JS literal is
+	// unescaped only when all its strings are as toJSON() writes them, so that
+	// the %XX text of other literals is left as it is.
+	var escaped = function(v) {
+		if( _t.isString(v) ) { return DataTable._escapeValue(unescape(v)).slice(1, -1) === v; }
+		if( !_t.isObject(v) || v == null ) { return true; }
+		for( var key in v ) {
+			if( !escaped(key) || !escaped(v[key]) ) { return false; }
+		}
+		return true;
+	};
+	literal = literal && escaped(json);
+	var text = function(v) { return literal && _t.isString(v) ? unescape(v) : v; };
+	var properties = function(p) {
+		if( p == null ) { return {}; }
+		if( !_t.isObject(p) || _t.isArray(p) ) {
+			throw new DataTypeError('Expected custom properties object, got '+_t.type(p), {value: p});
+		}
+		var result = {};
+		for( var key in p ) { result[text(key)] = text(p[key]); }
+		return result;
+	};
 
-	result = escape(result)
-		.replace(/%3C/g,'<').replace(/%3E/g,'>')
-		.replace(/%24/g,'$').replace(/%27/g,"'");
+	var description = [];
+	for( var i = 0; i < json.cols.length; i++ ) {
+		var col = json.cols[i];
+		if( !_t.isObject(col) || col == null ) {
+			throw new SchemaError('Expected column object, got '+_t.type(col), {value: col});
+		}
+		var id = col.id != null && col.id !== '' ? text(col.id) : String(i);
+		description.push([id, col.type, col.label != null ? text(col.label) : id,
+			properties(col.p), col.role != null ? text(col.role) : null]);
+	}
+	var table = new DataTable(description, null, properties(json.p));
+	// The pattern of a column, written by toJSON() for its formatter
+	for( var i = 0; i < json.cols.length; i++ ) {
+		if( json.cols[i].pattern != null ) { table._columns[i].pattern = text(json.cols[i].pattern); }
+	}
 
-	return q+result+q;
+	var rows = json.rows == null ? [] : json.rows;
+	for( var i = 0; i < rows.length; i++ ) {
+		var row = rows[i];
+		if( !_t.isObject(row) || row == null || !_t.isArray(row.c) ) {
+			throw new DataTypeError('Expected row object with a c array', {rowIndex: i, value: row});
+		}
+		var cells = [];
+		for( var j = 0; j < description.length; j++ ) {
+			var cell = row.c[j];
+			if( cell == null ) {
+				cells.push(null);
+				continue;
+			}
+			var value = DataTable._valueFromJSON(text(cell.v), description[j][1]);
+			if( cell.f != null || cell.p != null ) {
+				value = [value, cell.f != null ? text(cell.f) : null];
+				if( cell.p != null ) { value.push(properties(cell.p)); }
+			}
+			// Checks that the value matches the column
+			DataTable._cellToJS(value, table._columns[j], i);
+			cells.push(value);
+		}
+		table.appendData([cells], properties(row.p));
+	}
+	return table;
 };
 
-// Escapes the custom properties object.
-DataTable._escapeCustomProperties = function(properties) {
-	l = [];
-	for( var key in properties ) {
-		l.push(DataTable._escapeValue(key)+':'+DataTable._escapeValue(properties[key]));
+// Converts a value read by fromJSON() into the value stored for its type: the
+// "Date(...)" strings of dates and the [hours,minutes,seconds] arrays of times
+// of day become Date objects.
+DataTable._valueFromJSON = function(value, type) {
+	if( value == null ) { return null; }
+	if( (type == 'date' || type == 'datetime') && DataTable._t.isString(value) ) {
+		var m = /^Date\(\s*(-?\d+(?:\s*,\s*-?\d+){0,6})\s*\)$/.exec(value);
+		if( !m ) {
+			throw new DataTypeError('Wrong format for '+type+' value '+value, {value: value});
+		}
+		var parts = m[1].split(',').map(Number);
+		return new Date(parts[0], parts.length > 1 ? parts[1] : 0, parts.length > 2 ? parts[2] : 1,
+			parts[3] || 0, parts[4] || 0, parts[5] || 0, parts[6] || 0);
 	}
-	return '{'+l.join(',')+'}';
+	if( type == 'timeofday' && DataTable._t.isArray(value) ) {
+		return new Date(0, 0, 0, value[0] || 0, value[1] || 0, value[2] || 0, value[3] || 0);
+	}
+	return value;
 };
 
 /*
- * Escapes the value for use in a CSV file.
- * 
- *  Puts the string in double-quotes, and escapes any inner double-quotes by
- *  doubling them.
- * 
- *  Args:
- *    v: The value to escape.
- * 
- *  Returns:
- *    The escaped values.
+ * Parses a JS literal, as written by toJSON() and the other JS writers.
+ *
+ * Internal helper method. Supports objects (with identifier or quoted keys),
+ * arrays (with left out elements), single or double quoted strings, numbers,
+ * NaN, Infinity, true, false, null and new Date(...) with number arguments.
+ * Nothing is run, the literal is only read.
+ *
+ * Throws a DataTableError naming the position of the error if the literal is
+ * malformed.
  */
-DataTable._escapeValueForCSV = function(value) {
-	return '"'+value.replace('"', '""')+'"'
-}
+DataTable._parseJSLiteral = function(text) {
+	var pos = 0;
+	var fail = function(msg) {
+		return new DataTableError('JSON error at position '+pos+': '+msg, {position: pos, value: text});
+	};
+	var space = function() {
+		while( pos < text.length && /\s/.test(text.charAt(pos)) ) { pos++; }
+	};
+	var expect = function(c) {
+		space();
+		if( text.charAt(pos) != c ) { throw fail('expected '+c); }
+		pos++;
+	};
+	var word = function() {
+		var m = /^[A-Za-z_$][\w$]*/.exec(text.substring(pos));
+		if( !m ) { return null; }
+		pos += m[0].length;
+		return m[0];
+	};
+	var string = function() {
+		var q = text.charAt(pos++), result = '';
+		var escapes = {b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0'};
+		while( pos < text.length && text.charAt(pos) != q ) {
+			var c = text.charAt(pos++);
+			if( c == '\\' ) {
+				c = text.charAt(pos++);
+				if( c == 'u' || c == 'x' ) {
+					var len = c == 'u' ? 4 : 2;
+					var hex = text.substr(pos, len);
+					if( !/^[0-9a-fA-F]+$/.test(hex) || hex.length != len ) { throw fail('bad escape'); }
+					c = String.fromCharCode(parseInt(hex, 16));
+					pos += len;
+				} else if( escapes.hasOwnProperty(c) ) {
+					c = escapes[c];
+				}
+			}
+			result += c;
+		}
+		if( pos >= text.length ) { throw fail('unterminated string'); }
+		pos++;
+		return result;
+	};
+	var value = function() {
+		space();
+		var c = text.charAt(pos);
+		if( c == '{' ) {
+			pos++;
+			var obj = {};
+			space();
+			if( text.charAt(pos) == '}' ) { pos++; return obj; }
+			while( true ) {
+				space();
+				c = text.charAt(pos);
+				var key = c == "'" || c == '"' ? string() : word();
+				if( key == null ) { throw fail('expected property name'); }
+				expect(':');
+				obj[key] = value();
+				space();
+				c = text.charAt(pos++);
+				if( c == '}' ) { return obj; }
+				if( c != ',' ) { pos--; throw fail('expected , or }'); }
+			}
+		}
+		if( c == '[' ) {
+			pos++;
+			var arr = [];
+			while( true ) {
+				space();
+				c = text.charAt(pos);
+				if( c == ']' ) { pos++; return arr; }
+				if( c == ',' ) {
+					// A left out element
+					pos++;
+					arr.push(null);
+					continue;
+				}
+				arr.push(value());
+				space();
+				c = text.charAt(pos++);
+				if( c == ']' ) { return arr; }
+				if( c != ',' ) { pos--; throw fail('expected , or ]'); }
+			}
+		}
+		if( c == "'" || c == '"' ) { return string(); }
+		var m = /^-?(?:Infinity|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(text.substring(pos));
+		if( m ) {
+			pos += m[0].length;
+			return Number(m[0]);
+		}
+		var start = pos;
+		var w = word();
+		if( w == 'true' ) { return true; }
+		if( w == 'false' ) { return false; }
+		if( w == 'null' ) { return null; }
+		if( w == 'NaN' ) { return NaN; }
+		if( w == 'new' ) {
+			space();
+			if( word() == 'Date' ) {
+				expect('(');
+				var args = [];
+				space();
+				if( text.charAt(pos) == ')' ) { pos++; return new Date(); }
+				while( true ) {
+					var arg = value();
+					if( typeof(arg) != 'number' ) { throw fail('expected number'); }
+					args.push(arg);
+					space();
+					c = text.charAt(pos++);
+					if( c == ')' ) { break; }
+					if( c != ',' ) { pos--; throw fail('expected , or )'); }
+				}
+				if( args.length == 1 ) { return new Date(args[0]); }
+				return new Date(args[0], args[1], args.length > 2 ? args[2] : 1,
+					args[3] || 0, args[4] || 0, args[5] || 0, args[6] || 0);
+			}
+		}
+		pos = start;
+		throw fail('unexpected '+(pos < text.length ? "'"+text.charAt(pos)+"'" : 'end of input'));
+	};
 
-// convert appropriate characters to html entities
-DataTable._escapeHTML = function(value) {
-	return value.replace(/&/g,'&amp;')
-		.replace(/>/g,'&gt;')
-		.replace(/</g,'&lt;')
-		.replace(/"/g,'&quot;');
-}
+	var result = value();
+	space();
+	if( pos < text.length ) { throw fail('unexpected \''+text.charAt(pos)+'\''); }
+	return result;
+};
 
-// a fallable heuristic to determine if a value is a column definition
-DataTable._isColumnDesc = function(value) {
-	if( DataTable._t.isString(value) ) { return true; }
-	if( DataTable._t.isArray(value) ) {
-		if( value.length == 1 ) { return false; }
-		if( !DataTable._t.isString(value[1]) ) { return false; }
-		if( [
-			'string','number','boolean','date','timeofday','datetime'
-		].some(function(e){ return e == value[1]}) ) { return true; }
+/**
+ * Creates a DataTable from a CSV string.
+ *
+ * The CSV is read as described in RFC 4180: fields holding the separator,
+ * quotes or line breaks are put in double quotes, and quotes inside them are
+ * doubled. Lines may end with CRLF or LF. The first line is the header.
+ * Empty lines are skipped, but for a single column, where they are null
+ * values.
+ *
+ * Args:
+ *   csv: The CSV string.
+ *   tableDescription: Optional. A flat table description, as given to the
+ *                     constructor, with a column for each field of a line.
+ *                     If not given, the fields of the header line are used as
+ *                     the ids and labels of the columns, and the type of each
+ *                     column is inferred from its values: number (but for
+ *                     integers with leading zeros, as in 01234), boolean
+ *                     (true or false), date (yyyy-MM-dd), datetime
+ *                     (yyyy-MM-dd HH:mm[:ss[.SSS]], with a space or a T),
+ *                     timeofday (HH:mm[:ss[.SSS]]) or, for anything else,
+ *                     string.
+ *   separator: Optional. The separator between the fields, a non empty
+ *              string, ',' by default.
+ *
+ * Returns:
+ *   A new DataTable holding the lines of the CSV after the header. Empty
+ *   fields are null values, unless they are quoted in a string column.
+ *   Example:
+ *     DataTable.fromCSV('name,age\nJohn,34\n"Smith, Jane",')
+ *     is the same as
+ *     new DataTable([['name', 'string'], ['age', 'number']],
+ *                   [['John', 34], ['Smith, Jane', null]])
+ *
+ * Throws a DataTableError if the separator is not valid, or naming the line
+ * and the column (both counted from 1) of malformed CSV or of a header field
+ * used twice, a SchemaError if the table
+ * description is not valid or has the same id twice, or a DataTypeError, also
+ * naming the line and the column, if a value does not match the type of its
+ * column, as for a date out of range.
+ */
+DataTable.fromCSV = function(csv, tableDescription, separator) {
+	if( arguments.length < 3 || separator == null ) { separator = ','; }
+	if( arguments.length < 2 ) { tableDescription = null; }
+	if( !DataTable._t.isString(separator) || !separator.length ) {
+		throw new DataTableError('Expected a separator of at least one character, got '+
+			(DataTable._t.isString(separator) ? 'an empty string' : DataTable._t.type(separator)), {value: separator});
 	}
-	return false;
+	var c = DataTable._csv;
+
+	var records = c.parse(String(csv), separator);
+	while( records.length && records[0].blank ) { records.shift(); }
+	if( !records.length ) {
+		throw new DataTableError('CSV error at line 1, column 1: no header line', {line: 1, column: 1});
+	}
+	var header = records.shift();
+
+	var description = [];
+	if( tableDescription != null ) {
+		var columns = DataTable.tableDescriptionParser(tableDescription);
+		for( var i in columns ) {
+			if( columns[i].depth ) {
+				throw new SchemaError('Expected a flat table description', {value: tableDescription});
+			}
+			description.push([columns[i].id, columns[i].type, columns[i].label,
+				columns[i].custom_properties, columns[i].role]);
+		}
+	} else {
+		for( var i = 0; i < header.fields.length; i++ ) {
+			var types = [];
+			for( var j in records ) {
+				var field = records[j].fields[i];
+				if( field && field.text !== '' ) { types.push(c.infer(field.text)); }
+			}
+			description.push([header.fields[i].text, c.commonType(types)]);
+		}
+	}
+
+	c.checkLength(header, description.length);
+	var ids = {};
+	for( var i in description ) {
+		var id = description[i][0];
+		if( ids.hasOwnProperty(id) ) {
+			if( tableDescription != null ) {
+				throw new SchemaError('Column \''+id+'\' is described twice', {columnId: id});
+			}
+			throw new DataTableError('CSV error at line '+header.line+', column '+header.fields[i].column+
+				': column \''+id+'\' is in the header twice',
+				{line: header.line, column: header.fields[i].column, value: id});
+		}
+		ids[id] = true;
+	}
+	// Empty lines are null values of a single column, else they are skipped
+	if( description.length > 1 ) {
+		records = records.filter(function(record) { return !record.blank; });
+	}
+	var data = [];
+	for( var i in records ) {
+		c.checkLength(records[i], description.length);
+		var row = [];
+		for( var j in records[i].fields ) {
+			row.push(c.value(records[i].fields[j], description[j][1]));
+		}
+		data.push(row);
+	}
+	return new DataTable(description, data);
 };
 
-// type detection
-DataTable._t = {
-	type: function(v){
-		if( this.isString(v) ) return 'string';
-		if( this.isArray(v) ) return 'array';
-		if( this.isDate(v) ) return 'date';
-		if( this.isObject(v) ) return 'object';
-		return typeof(v);
-	},
-	hasConstructor: function(obj,c){
-		if( typeof(obj) != 'object' ) return false;
-		if( obj !== null ) {
-			return obj.constructor.toString().match(new RegExp(c)) ? true : false;
+// Helpers of fromCSV() and toCSV().
+DataTable._csv = {
+	// The formats of the inferred types, tried in order.
+	formats: [
+		['number', /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/],
+		['boolean', /^(?:true|false)$/i],
+		['date', /^(\d{4})-(\d{1,2})-(\d{1,2})$/],
+		['datetime', /^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/],
+		['timeofday', /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/]
+	],
+
+	// Splits the CSV into records {line: n, fields: [field, ...], blank:
+	// true|false}, where each field is {text: ..., quoted: true|false, line: n,
+	// column: n}. Blank records are empty lines, the line after the last line
+	// break is left out when it is empty.
+	parse: function(text, separator) {
+		var records = [], fields = [];
+		var pos = 0, line = 1, lineStart = 0, recordLine = 1;
+		var fail = function(msg) {
+			var column = pos - lineStart + 1;
+			return new DataTableError('CSV error at line '+line+', column '+column+': '+msg,
+				{line: line, column: column});
+		};
+		var atLineEnd = function() {
+			return pos >= text.length || text.charAt(pos) == '\n' ||
+				text.substr(pos, 2) == '\r\n';
+		};
+
+		while( true ) {
+			var field = {text: '', quoted: false, line: line, column: pos - lineStart + 1};
+			if( text.charAt(pos) == '"' ) {
+				field.quoted = true;
+				pos++;
+				while( true ) {
+					if( pos >= text.length ) { throw fail('unterminated quoted field'); }
+					var ch = text.charAt(pos);
+					if( ch == '"' ) {
+						if( text.charAt(pos+1) != '"' ) { break; }
+						pos++;
+					} else if( ch == '\n' ) {
+						line++;
+						lineStart = pos + 1;
+					}
+					field.text += ch;
+					pos++;
+				}
+				pos++;
+				if( !atLineEnd() && text.substr(pos, separator.length) != separator ) {
+					throw fail('expected separator after quoted field');
+				}
+			} else {
+				while( !atLineEnd() && text.substr(pos, separator.length) != separator ) {
+					if( text.charAt(pos) == '"' ) { throw fail('unexpected quote in unquoted field'); }
+					field.text += text.charAt(pos);
+					pos++;
+				}
+			}
+			fields.push(field);
+
+			if( text.substr(pos, separator.length) == separator && !atLineEnd() ) {
+				pos += separator.length;
+				continue;
+			}
+			var blank = fields.length == 1 && !fields[0].quoted && fields[0].text === '';
+			if( !blank || pos < text.length ) {
+				records.push({line: recordLine, fields: fields, blank: blank});
+			}
+			if( pos >= text.length ) { return records; }
+			pos += text.charAt(pos) == '\r' ? 2 : 1;
+			line++;
+			lineStart = pos;
+			recordLine = line;
+			fields = [];
 		}
-		return false;
-	},
-	isObject: function(v){
-		if( typeof(v) == 'object' ) return true;
-		return false;
 	},
-	isString: function(v){
-		if( typeof(v) == 'string' ) return true;
- 		return this.hasConstructor(v,'String');
-	},
-	isDate: function(v){
- 		return this.hasConstructor(v,'Date');
+
+	// Checks that a record has a field for each column.
+	checkLength: function(record, length) {
+		if( record.fields.length != length ) {
+			throw new DataTableError('CSV error at line '+record.line+', column 1: expected '+
+				length+' fields, got '+record.fields.length,
+				{line: record.line, column: 1, value: record.fields.length});
+		}
 	},
-	isArray: function(v){
-		return this.hasConstructor(v,'Array');
-	}
-};
 
-// object enhancement
-DataTable._o = {
-	val: function(obj) {
-		if( typeof(obj) != 'object' ) { return []; }
-		var result = [];
-		for( prop in obj ) { result.push(obj[prop]); }
-		return result;
+	// Writes a value of the type as the text of a field, in the formats read
+	// by infer().
+	text: function(value, type) {
+		if( type == 'date' ) { return DataTable._formatDate(value, 'yyyy-MM-dd'); }
+		if( type == 'datetime' || type == 'timeofday' ) {
+			var pattern = type == 'datetime' ? 'yyyy-MM-dd HH:mm:ss' : 'HH:mm:ss';
+			if( value.getMilliseconds() ) { pattern += '.SSS'; }
+			return DataTable._formatDate(value, pattern);
+		}
+		return String(value);
 	},
-	prop: function(obj) {
-		if( typeof(obj) != 'object' ) { return []; }
-		var result = [];
-		for( prop in obj ) { result.push(prop); }
-		return result;
+
+	// Returns the type inferred from the text of a field. Integers with leading
+	// zeros, as codes often are, are strings.
+	infer: function(text) {
+		var formats = DataTable._csv.formats;
+		if( /^[+-]?0\d+$/.test(text) ) { return 'string'; }
+		for( var i in formats ) {
+			if( formats[i][1].test(text) ) { return formats[i][0]; }
+		}
+		return 'string';
 	},
-	clone: function(obj) {
-		if( !DataTable._t.isObject(obj) ) return {};
-		var newObj = (obj instanceof Array) ? [] : {};
-		for (i in obj) {
-			if (obj[i] && typeof obj[i] == "object") {
-				newObj[i] = this.clone(obj[i]);
+
+	// Returns the type that holds the values of all the inferred types.
+	commonType: function(types) {
+		var type = null;
+		for( var i in types ) {
+			if( type == null || type == types[i] ) {
+				type = types[i];
+			} else if( (type == 'date' || type == 'datetime') &&
+				(types[i] == 'date' || types[i] == 'datetime') ) {
+				type = 'datetime';
 			} else {
-				newObj[i] = obj[i]
+				return 'string';
 			}
-		} 
-		return newObj;
+		}
+		return type == null ? 'string' : type;
+	},
+
+	// Converts the text of a field into a value of the type.
+	value: function(field, type) {
+		var text = field.text;
+		if( text === '' && !(field.quoted && type == 'string') ) { return null; }
+		if( type == 'string' ) { return text; }
+
+		var formats = DataTable._csv.formats;
+		var m = null;
+		for( var i in formats ) {
+			if( formats[i][0] == type ) { m = formats[i][1].exec(text); }
+		}
+		// A date is a datetime at midnight
+		if( type == 'datetime' && !m ) { m = formats[2][1].exec(text); }
+		if( !m ) {
+			throw new DataTypeError('CSV error at line '+field.line+', column '+field.column+
+				': expected '+type+', got \''+text+'\'',
+				{line: field.line, column: field.column, value: text});
+		}
+
+		var n = function(i) { return m[i] ? Number(m[i]) : 0; };
+		var ms = function(i) { return m[i] ? Number((m[i]+'00').substr(0,3)) : 0; };
+		if( type == 'number' ) { return Number(text); }
+		if( type == 'boolean' ) { return text.toLowerCase() == 'true'; }
+		// Dates and times out of range are rejected rather than rolled over.
+		// The years are set with setFullYear(), as the Date constructor reads
+		// 0 to 99 as 1900 to 1999.
+		var date = function(year, month, day) {
+			var result = new Date(2000, 0, 1, n(4), n(5), n(6), ms(7));
+			result.setFullYear(year, month, day);
+			return result;
+		};
+		var time = type == 'timeofday' ? [n(1), n(2), n(3)] : [n(4), n(5), n(6)];
+		var days = type == 'timeofday' ? 31 : date(n(1), n(2), 0).getDate();
+		if( time[0] > 23 || time[1] > 59 || time[2] > 59 ||
+			(type != 'timeofday' && (n(2) < 1 || n(2) > 12 || n(3) < 1 || n(3) > days)) ) {
+			throw new DataTypeError('CSV error at line '+field.line+', column '+field.column+
+				': '+type+' out of range, got \''+text+'\'',
+				{line: field.line, column: field.column, value: text});
+		}
+		if( type == 'timeofday' ) { return new Date(0, 0, 0, n(1), n(2), n(3), ms(4)); }
+		return date(n(1), n(2)-1, n(3));
 	}
 };
 
+/**
+ * Joins two tables on key columns, as a SQL join does.
+ *
+ * Args:
+ *   left, right: The DataTables (or DataViews) to join.
+ *   joinMethod: Which rows are kept:
+ *               - 'inner': The rows whose key values are in both tables.
+ *               - 'left': The rows of the left table, with or without a row of
+ *                 the right table.
+ *               - 'right': The rows of the right table, with or without a row
+ *                 of the left table.
+ *               - 'full': The rows of both tables.
+ *               A row matching several rows of the other table is joined with
+ *               each of them. The cells of a row missing in a table are null.
+ *               As in SQL, a row with a null key value matches no row.
+ *   keys: An array of the key columns, each a pair of the index (or id) of a
+ *         column of the left table and of a column of the same type of the
+ *         right table, as in [['id', 'userId']], or an index or id naming both.
+ *   leftColumns: Optional. An array of the indexes (or ids) of the columns of
+ *                the left table in the result, besides the keys. All the other
+ *                columns by default.
+ *   rightColumns: Optional. The same for the columns of the right table.
+ *
+ * Returns:
+ *   A new DataTable with the key columns (as in the left table), the
+ *   leftColumns then the rightColumns, ordered by the key values. The cells
+ *   keep their formatted values and custom properties, the rows the custom
+ *   properties of both of their rows, and the columns their labels, custom
+ *   properties, time zones and formatters (when the columns they read are in
+ *   the result). The table keeps the custom properties of the left table.
+ *   Example:
+ *     DataTable.join(sales, regions, 'left', [['region', 'id']], ['amount'],
+ *                    ['name'])
+ *
+ * Throws a DataTableError if a table or the join method is not valid or there
+ * is no key, or a SchemaError if a column does not exist, key columns have
+ * different types or two result columns have the same id.
+ */
+DataTable.join = function(left, right, joinMethod, keys, leftColumns, rightColumns) {
+	var q = DataTable._query;
+	var tables = [left, right].map(function(table) {
+		if( table instanceof DataView ) { return table._viewTable(); }
+		if( !(table instanceof DataTable) ) {
+			throw new DataTableError('Expected a DataTable, got '+DataTable._t.type(table), {value: table});
+		}
+		return table;
+	});
+	if( ['inner', 'left', 'right', 'full'].indexOf(joinMethod) < 0 ) {
+		throw new DataTableError('Expected join method \'inner\', \'left\', \'right\' or \'full\', got \''+
+			joinMethod+'\'', {value: joinMethod});
+	}
+	if( !DataTable._t.isArray(keys) ) { keys = [keys]; }
+	if( !keys.length ) { throw new DataTableError('Expected at least one key column', {value: keys}); }
+	keys = keys.map(function(key) {
+		if( !DataTable._t.isArray(key) ) { key = [key, key]; }
+		var pair = [tables[0]._column(key[0]), tables[1]._column(key[1])];
+		if( pair[0].type != pair[1].type ) {
+			throw new SchemaError('Key columns \''+pair[0].id+'\' and \''+pair[1].id+'\' have different types: '+
+				pair[0].type+' and '+pair[1].type, {columnId: pair[1].id});
+		}
+		return pair;
+	});
+	var columns = [leftColumns, rightColumns].map(function(list, side) {
+		if( list == null ) {
+			return tables[side]._columns.filter(function(col) {
+				return !keys.some(function(key) { return key[side] === col; });
+			});
+		}
+		if( !DataTable._t.isArray(list) ) { list = [list]; }
+		return list.map(function(column) { return tables[side]._column(column); });
+	});
+
+	// The result columns keep what the rows are written with
+	var resultColumns = [];
+	var addColumn = function(col, side, sideColumns) {
+		var table = tables[side];
+		var copy = {id: col.id, label: col.label, type: col.type,
+			custom_properties: DataTable._o.clone(col.custom_properties)};
+		if( col.role != null ) { copy.role = col.role; }
+		if( col.pattern != null ) { copy.pattern = col.pattern; }
+		if( table._columnTimeZone(col) != null ) { copy.timeZone = table._columnTimeZone(col); }
+		if( col.formatter != null && col.formatterSources.every(function(id) {
+			return sideColumns.some(function(c) { return c.id == id; });
+		}) ) {
+			copy.formatter = col.formatter;
+			copy.formatterSources = col.formatterSources;
+		}
+		resultColumns.push(copy);
+	};
+	var leftKeys = keys.map(function(key) { return key[0]; });
+	keys.forEach(function(key) { addColumn(key[0], 0, leftKeys.concat(columns[0])); });
+	columns[0].forEach(function(col) { addColumn(col, 0, leftKeys.concat(columns[0])); });
+	columns[1].forEach(function(col) { addColumn(col, 1, columns[1]); });
+	DataTable._checkColumnIds(resultColumns);
+	var result = DataTable._withColumns(resultColumns, DataTable._o.clone(tables[0].customProperties));
+
+	// Splitting the rows of both tables by their key values. As in SQL, a row
+	// with a null key value matches no row: it is a group of its own.
+	var types = keys.map(function(key) { return key[0].type; });
+	var groups = [], groupsByKey = {};
+	tables.forEach(function(table, side) {
+		table._calculatedData().forEach(function(row) {
+			var values = keys.map(function(key) { return DataTable._cellValue(row[0][key[side].id]); });
+			if( values.some(function(value) { return value == null; }) ) {
+				groups.push({values: values, rows: [[], []], index: groups.length});
+				groups[groups.length - 1].rows[side].push(row);
+				return;
+			}
+			var key = q.key(values, types);
+			if( !groupsByKey.hasOwnProperty(key) ) {
+				groupsByKey[key] = {values: values, rows: [[], []], index: groups.length};
+				groups.push(groupsByKey[key]);
+			}
+			groupsByKey[key].rows[side].push(row);
+		});
+	});
+	groups.sort(function(a, b) {
+		for( var i in types ) {
+			var cmp = q.compare(a.values[i], b.values[i], types[i]);
+			if( cmp ) { return cmp; }
+		}
+		return a.index - b.index;
+	});
+
+	var cell = function(row, col) {
+		return row == null || row[0][col.id] == null ? null : DataTable._o.clone([row[0][col.id]])[0];
+	};
+	for( var i in groups ) {
+		var leftRows = groups[i].rows[0], rightRows = groups[i].rows[1];
+		if( (!leftRows.length && (joinMethod == 'inner' || joinMethod == 'left')) ||
+			(!rightRows.length && (joinMethod == 'inner' || joinMethod == 'right')) ) {
+			continue;
+		}
+		if( !leftRows.length ) { leftRows = [null]; }
+		if( !rightRows.length ) { rightRows = [null]; }
+		for( var j in leftRows ) {
+			for( var k in rightRows ) {
+				var l = leftRows[j], r = rightRows[k];
+				var cells = keys.map(function(key) { return l ? cell(l, key[0]) : cell(r, key[1]); });
+				columns[0].forEach(function(col) { cells.push(cell(l, col)); });
+				columns[1].forEach(function(col) { cells.push(cell(r, col)); });
+				var props = DataTable._o.clone(DataTable._o.defaults(r && r[1], l && l[1]));
+				result.appendData([cells], DataTable._o.prop(props).length ? props : null);
+			}
+		}
+	}
+	return result;
+};
+
+/**
+ * Parses a query written in the Google Visualization Query Language.
+ *
+ * Args:
+ *   query: The query string, as sent by the client in the tq request
+ *          parameter. Clauses must appear in the following order: select,
+ *          where, group by, pivot, order by, limit, offset, label, format and
+ *          options.
+ *
+ * Returns:
+ *   An object describing the query, with the properties:
+ *   - select: An array of expressions, or null for 'select *' (or no select).
+ *   - where: An expression, or null.
+ *   - groupBy, pivot: Arrays of expressions, or null.
+ *   - orderBy: An array of {expr: expression, direction: 'asc'|'desc'}, or null.
+ *   - limit, offset: Numbers, or null.
+ *   - labels, formats: Arrays of {expr: expression, value: string}, or null.
+ *   - options: {noValues: boolean, noFormat: boolean}.
+ *   Every expression is an object with a kind, and pos, the position in the
+ *   query string (counting from 0) where the expression starts:
+ *   - {kind: 'column', id: 'salary', pos: 7}
+ *   - {kind: 'literal', type: 'number', value: 10, pos: 26}
+ *   - {kind: 'aggregation', name: 'sum', args: [expression], pos: 7}
+ *   - {kind: 'function', name: 'year', args: [expression, ...], pos: 7}
+ *   - {kind: 'operator', op: '>', args: [expression, expression], pos: 20}
+ *   Literal types are the column types and 'null'. Aggregation and function
+ *   names are in lower case.
+ *
+ * Throws a QueryError naming the position of the error if the query is
+ * malformed.
+ *
+ * Example:
+ *   input: "select a where b > 3"
+ *   output: {select: [{kind: 'column', id: 'a', pos: 7}],
+ *            where: {kind: 'operator', op: '>', pos: 15, args: [
+ *              {kind: 'column', id: 'b', pos: 15},
+ *              {kind: 'literal', type: 'number', value: 3, pos: 19}]},
+ *            groupBy: null, pivot: null, orderBy: null, limit: null,
+ *            offset: null, labels: null, formats: null,
+ *            options: {noValues: false, noFormat: false}}
+ */
+DataTable.parseQuery = function(query) {
+	var q = DataTable._query;
+
+	if( !DataTable._t.isString(query) ) {
+		throw new QueryError('Query error: expected a query string, got '+DataTable._t.type(query),
+			{value: query});
+	}
+	var tokens = q.tokenize(String(query));
+	var index = 0;
+
+	var peek = function(ahead) {
+		return tokens[Math.min(index + (ahead || 0), tokens.length - 1)];
+	};
+	var next = function() {
+		var token = tokens[index];
+		if( token.type != 'eof' ) { index += 1; }
+		return token;
+	};
+	var isWord = function(token, word) {
+		return token.type == 'identifier' && !token.quoted && token.value.toLowerCase() == word;
+	};
+	var isSymbol = function(token, symbol) {
+		return token.type == 'symbol' && token.value == symbol;
+	};
+	var fail = function(token, expected) {
+		var found = token.type == 'eof' ? 'end of query' : '"'+token.text+'"';
+		throw q.error(token.pos, 'Encountered '+found+', expected '+expected);
+	};
+	var expectWord = function(word) {
+		if( !isWord(peek(), word) ) { fail(peek(), '"'+word+'"'); }
+		return next();
+	};
+	var expectSymbol = function(symbol) {
+		if( !isSymbol(peek(), symbol) ) { fail(peek(), '"'+symbol+'"'); }
+		return next();
+	};
+	var parseList = function(parseItem) {
+		var list = [parseItem()];
+		while( isSymbol(peek(), ',') ) {
+			next();
+			list.push(parseItem());
+		}
+		return list;
+	};
+
+	// Expressions, from the lowest precedence to the highest.
+	var parseExpression = function() {
+		var left = parseAnd();
+		while( isWord(peek(), 'or') ) {
+			next();
+			left = {kind: 'operator', op: 'or', args: [left, parseAnd()], pos: left.pos};
+		}
+		return left;
+	};
+	var parseAnd = function() {
+		var left = parseNot();
+		while( isWord(peek(), 'and') ) {
+			next();
+			left = {kind: 'operator', op: 'and', args: [left, parseNot()], pos: left.pos};
+		}
+		return left;
+	};
+	var parseNot = function() {
+		if( isWord(peek(), 'not') ) {
+			var token = next();
+			return {kind: 'operator', op: 'not', args: [parseNot()], pos: token.pos};
+		}
+		return parseComparison();
+	};
+	var parseComparison = function() {
+		var left = parseAdditive();
+		var token = peek();
+		var op = null;
+		if( token.type == 'symbol' && ['=', '!=', '<>', '<', '<=', '>', '>='].indexOf(token.value) > -1 ) {
+			op = token.value == '<>' ? '!=' : token.value;
+			next();
+		} else if( isWord(token, 'is') ) {
+			next();
+			op = 'is null';
+			if( isWord(peek(), 'not') ) {
+				next();
+				op = 'is not null';
+			}
+			expectWord('null');
+			return {kind: 'operator', op: op, args: [left], pos: left.pos};
+		} else if( isWord(token, 'contains') || isWord(token, 'matches') || isWord(token, 'like') ) {
+			op = token.value.toLowerCase();
+			next();
+		} else if( isWord(token, 'starts') || isWord(token, 'ends') ) {
+			op = token.value.toLowerCase()+' with';
+			next();
+			expectWord('with');
+		} else {
+			return left;
+		}
+		return {kind: 'operator', op: op, args: [left, parseAdditive()], pos: left.pos};
+	};
+	var parseAdditive = function() {
+		var left = parseMultiplicative();
+		while( isSymbol(peek(), '+') || isSymbol(peek(), '-') ) {
+			var op = next().value;
+			left = {kind: 'operator', op: op, args: [left, parseMultiplicative()], pos: left.pos};
+		}
+		return left;
+	};
+	var parseMultiplicative = function() {
+		var left = parseUnary();
+		while( isSymbol(peek(), '*') || isSymbol(peek(), '/') ) {
+			var op = next().value;
+			left = {kind: 'operator', op: op, args: [left, parseUnary()], pos: left.pos};
+		}
+		return left;
+	};
+	var parseUnary = function() {
+		if( isSymbol(peek(), '-') ) {
+			var token = next();
+			var arg = parseUnary();
+			if( arg.kind == 'literal' && arg.type == 'number' ) {
+				return {kind: 'literal', type: 'number', value: -arg.value, pos: token.pos};
+			}
+			return {kind: 'operator', op: '-', args: [arg], pos: token.pos};
+		}
+		return parsePrimary();
+	};
+	var parsePrimary = function() {
+		var token = peek();
+		if( token.type == 'number' ) {
+			next();
+			return {kind: 'literal', type: 'number', value: parseFloat(token.value), pos: token.pos};
+		}
+		if( token.type == 'string' ) {
+			next();
+			return {kind: 'literal', type: 'string', value: token.value, pos: token.pos};
+		}
+		if( isSymbol(token, '(') ) {
+			next();
+			var expr = parseExpression();
+			expectSymbol(')');
+			return expr;
+		}
+		if( token.type != 'identifier' ) { fail(token, 'an expression'); }
+		if( token.quoted ) {
+			next();
+			return {kind: 'column', id: token.value, pos: token.pos};
+		}
+
+		var word = token.value.toLowerCase();
+		if( word == 'true' || word == 'false' ) {
+			next();
+			return {kind: 'literal', type: 'boolean', value: word == 'true', pos: token.pos};
+		}
+		if( word == 'null' ) {
+			next();
+			return {kind: 'literal', type: 'null', value: null, pos: token.pos};
+		}
+		if( q.literalTypes.hasOwnProperty(word) && peek(1).type == 'string' ) {
+			next();
+			var string = next();
+			var type = q.literalTypes[word];
+			return {kind: 'literal', type: type,
+				value: q.parseDateLiteral(string.value, type, string.pos), pos: token.pos};
+		}
+		if( isSymbol(peek(1), '(') ) {
+			next();
+			next();
+			var args = [];
+			if( !isSymbol(peek(), ')') ) { args = parseList(parseExpression); }
+			expectSymbol(')');
+			if( q.aggregations.hasOwnProperty(word) ) {
+				if( args.length != 1 ) {
+					throw q.error(token.pos, 'Aggregation "'+word+'" takes exactly one argument');
+				}
+				return {kind: 'aggregation', name: word, args: args, pos: token.pos};
+			}
+			if( !q.functions.hasOwnProperty(word) ) {
+				throw q.error(token.pos, 'Unknown function "'+token.value+'"');
+			}
+			if( args.length != q.functions[word].args.length ) {
+				throw q.error(token.pos, 'Function "'+word+'" takes '+
+					q.functions[word].args.length+' argument(s), got '+args.length);
+			}
+			return {kind: 'function', name: word, args: args, pos: token.pos};
+		}
+		if( q.reserved.indexOf(word) > -1 ) { fail(token, 'an expression'); }
+		next();
+		return {kind: 'column', id: token.value, pos: token.pos};
+	};
+
+	// Clauses
+	var result = {
+		select: null,
+		where: null,
+		groupBy: null,
+		pivot: null,
+		orderBy: null,
+		limit: null,
+		offset: null,
+		labels: null,
+		formats: null,
+		options: {noValues: false, noFormat: false}
+	};
+	var clauses = ['select', 'where', 'group', 'pivot', 'order', 'limit', 'offset',
+		'label', 'format', 'options'];
+	var parseInteger = function() {
+		var token = peek();
+		if( token.type != 'number' || !/^\d+$/.test(token.value) ) {
+			fail(token, 'a non-negative integer');
+		}
+		next();
+		return parseInt(token.value, 10);
+	};
+	var parseString = function() {
+		var token = peek();
+		if( token.type != 'string' ) { fail(token, 'a quoted string'); }
+		next();
+		return token.value;
+	};
+	var parseOrderItem = function() {
+		var item = {expr: parseExpression(), direction: 'asc'};
+		if( isWord(peek(), 'asc') || isWord(peek(), 'desc') ) {
+			item.direction = next().value.toLowerCase();
+		}
+		return item;
+	};
+	var parseStringItem = function() {
+		return {expr: parseExpression(), value: parseString()};
+	};
+	var parseOption = function() {
+		if( isWord(peek(), 'no_values') ) {
+			result.options.noValues = true;
+		} else if( isWord(peek(), 'no_format') ) {
+			result.options.noFormat = true;
+		} else {
+			fail(peek(), '"no_values" or "no_format"');
+		}
+		return next();
+	};
+
+	var last = -1;
+	while( peek().type != 'eof' ) {
+		var token = next();
+		var clause = token.type == 'identifier' && !token.quoted ? token.value.toLowerCase() : null;
+		var at = clauses.indexOf(clause);
+		if( at < 0 ) { fail(token, 'a query clause'); }
+		if( at <= last ) {
+			throw q.error(token.pos, 'Clause "'+clause+'" is repeated or out of order');
+		}
+		last = at;
+
+		if( clause == 'select' ) {
+			if( isSymbol(peek(), '*') ) {
+				next();
+			} else {
+				result.select = parseList(parseExpression);
+			}
+		} else if( clause == 'where' ) {
+			result.where = parseExpression();
+		} else if( clause == 'group' ) {
+			expectWord('by');
+			result.groupBy = parseList(parseExpression);
+		} else if( clause == 'pivot' ) {
+			result.pivot = parseList(parseExpression);
+		} else if( clause == 'order' ) {
+			expectWord('by');
+			result.orderBy = parseList(parseOrderItem);
+		} else if( clause == 'limit' ) {
+			result.limit = parseInteger();
+		} else if( clause == 'offset' ) {
+			result.offset = parseInteger();
+		} else if( clause == 'label' ) {
+			result.labels = parseList(parseStringItem);
+		} else if( clause == 'format' ) {
+			result.formats = parseList(parseStringItem);
+		} else {
+			parseList(parseOption);
+		}
+	}
+	return result;
+};
+
+// Internal helpers of DataTable.parseQuery() and DataTable.query().
+DataTable._query = {
+	// Words that can only be used as column ids when quoted with backquotes.
+	reserved: ['and', 'asc', 'by', 'contains', 'date', 'datetime', 'desc', 'ends',
+		'false', 'format', 'group', 'is', 'label', 'like', 'limit', 'matches', 'not',
+		'null', 'offset', 'options', 'or', 'order', 'pivot', 'select', 'starts',
+		'timeofday', 'timestamp', 'true', 'where', 'with'],
+
+	// Keywords introducing a date literal, and the type of the literal.
+	literalTypes: {date: 'date', datetime: 'datetime', timestamp: 'datetime',
+		timeofday: 'timeofday'},
+
+	// Aggregation functions. A null type means the type of the argument.
+	aggregations: {
+		avg: {type: 'number', fn: function(values) {
+			if( !values.length ) { return null; }
+			var sum = 0;
+			for( var i in values ) { sum += values[i]; }
+			return sum / values.length;
+		}},
+		count: {type: 'number', fn: function(values) {
+			return values.length;
+		}},
+		max: {type: null, fn: function(values, type) {
+			var max = null;
+			for( var i in values ) {
+				if( max == null || DataTable._query.compare(values[i], max, type) > 0 ) { max = values[i]; }
+			}
+			return max;
+		}},
+		min: {type: null, fn: function(values, type) {
+			var min = null;
+			for( var i in values ) {
+				if( min == null || DataTable._query.compare(values[i], min, type) < 0 ) { min = values[i]; }
+			}
+			return min;
+		}},
+		sum: {type: 'number', fn: function(values) {
+			if( !values.length ) { return null; }
+			var sum = 0;
+			for( var i in values ) { sum += values[i]; }
+			return sum;
+		}}
+	},
+
+	// Scalar functions, with the types accepted for each argument.
+	functions: {
+		year: {args: [['date', 'datetime']], type: 'number', fn: function(d) {
+			return d.getFullYear();
+		}},
+		quarter: {args: [['date', 'datetime']], type: 'number', fn: function(d) {
+			return Math.floor(d.getMonth() / 3) + 1;
+		}},
+		month: {args: [['date', 'datetime']], type: 'number', fn: function(d) {
+			return d.getMonth();
+		}},
+		day: {args: [['date', 'datetime']], type: 'number', fn: function(d) {
+			return d.getDate();
+		}},
+		dayofweek: {args: [['date', 'datetime']], type: 'number', fn: function(d) {
+			return d.getDay() + 1;
+		}},
+		hour: {args: [['datetime', 'timeofday']], type: 'number', fn: function(d) {
+			return d.getHours();
+		}},
+		minute: {args: [['datetime', 'timeofday']], type: 'number', fn: function(d) {
+			return d.getMinutes();
+		}},
+		second: {args: [['datetime', 'timeofday']], type: 'number', fn: function(d) {
+			return d.getSeconds();
+		}},
+		millisecond: {args: [['datetime', 'timeofday']], type: 'number', fn: function(d) {
+			return d.getMilliseconds();
+		}},
+		now: {args: [], type: 'datetime', fn: function() {
+			return new Date();
+		}},
+		datediff: {args: [['date', 'datetime'], ['date', 'datetime']], type: 'number', fn: function(a, b) {
+			return Math.round((Date.UTC(a.getFullYear(), a.getMonth(), a.getDate()) -
+				Date.UTC(b.getFullYear(), b.getMonth(), b.getDate())) / 86400000);
+		}},
+		todate: {args: [['date', 'datetime', 'number']], type: 'date', fn: function(v) {
+			var d = DataTable._t.isDate(v) ? v : new Date(v);
+			return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+		}},
+		upper: {args: [['string']], type: 'string', fn: function(s) {
+			return String(s).toUpperCase();
+		}},
+		lower: {args: [['string']], type: 'string', fn: function(s) {
+			return String(s).toLowerCase();
+		}}
+	},
+
+	// Builds the exception thrown for an error at the given query position.
+	error: function(pos, message) {
+		return new QueryError('Query error at position '+pos+': '+message, {position: pos});
+	},
+
+	// Splits the query string into tokens, each an object with the properties
+	// type ('identifier', 'string', 'number', 'symbol' or 'eof'), value, text
+	// (as written in the query) and pos. Backquoted identifiers are marked quoted.
+	tokenize: function(text) {
+		var q = DataTable._query;
+		var tokens = [];
+		var pos = 0;
+		var m = null;
+
+		while( pos < text.length ) {
+			var rest = text.substring(pos);
+			if( (m = /^\s+/.exec(rest)) ) {
+				pos += m[0].length;
+				continue;
+			}
+			var token = null;
+			if( (m = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(rest)) ) {
+				token = {type: 'number', value: m[0]};
+			} else if( (m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest)) ) {
+				token = {type: 'identifier', value: m[0]};
+			} else if( (m = /^`([^`]*)`/.exec(rest)) ) {
+				token = {type: 'identifier', value: m[1], quoted: true};
+			} else if( (m = /^'([^']*)'/.exec(rest)) || (m = /^"([^"]*)"/.exec(rest)) ) {
+				token = {type: 'string', value: m[1]};
+			} else if( (m = /^(<=|>=|!=|<>|[=<>+\-*\/(),])/.exec(rest)) ) {
+				token = {type: 'symbol', value: m[0]};
+			} else if( /^['"`]/.test(rest) ) {
+				throw q.error(pos, 'Unterminated '+(rest.charAt(0) == '`' ? 'identifier' : 'string'));
+			} else {
+				throw q.error(pos, 'Unexpected character "'+rest.charAt(0)+'"');
+			}
+			token.text = m[0];
+			token.pos = pos;
+			tokens.push(token);
+			pos += m[0].length;
+		}
+		tokens.push({type: 'eof', value: null, text: '', pos: pos});
+		return tokens;
+	},
+
+	// Parses the string of a date, datetime or timeofday literal into a Date.
+	parseDateLiteral: function(text, type, pos) {
+		var patterns = {
+			date: /^(\d{4})-(\d{1,2})-(\d{1,2})$/,
+			datetime: /^(\d{4})-(\d{1,2})-(\d{1,2}) (\d{1,2}):(\d{1,2}):(\d{1,2})(\.\d{1,3})?$/,
+			timeofday: /^()()()(\d{1,2}):(\d{1,2}):(\d{1,2})(\.\d{1,3})?$/
+		};
+		var m = patterns[type].exec(text);
+		var n = function(i) { return m[i] ? parseInt(m[i], 10) : 0; };
+		if( !m || n(2) > 12 || n(3) > 31 || n(4) > 23 || n(5) > 59 || n(6) > 59 ||
+			(type != 'timeofday' && (n(2) < 1 || n(3) < 1)) ) {
+			throw DataTable._query.error(pos, 'Invalid '+type+' literal \''+text+'\'');
+		}
+		var ms = m[7] ? parseInt((m[7].substring(1)+'00').substring(0, 3), 10) : 0;
+		if( type == 'date' ) { return new Date(n(1), n(2) - 1, n(3)); }
+		if( type == 'datetime' ) { return new Date(n(1), n(2) - 1, n(3), n(4), n(5), n(6), ms); }
+		return new Date(0, 0, 0, n(4), n(5), n(6), ms);
+	},
+
+	// Returns the id of the column an expression produces.
+	id: function(node) {
+		var q = DataTable._query;
+		if( node.kind == 'column' ) { return node.id; }
+		if( node.kind == 'literal' ) {
+			if( node.type == 'string' ) {
+				return node.value.indexOf("'") > -1 ? '"'+node.value+'"' : "'"+node.value+"'";
+			}
+			if( node.type == 'date' || node.type == 'datetime' || node.type == 'timeofday' ) {
+				return node.type+" '"+DataTable._formatValue(node.value, node.type)+"'";
+			}
+			return String(node.value);
+		}
+
+		var args = [];
+		for( var i in node.args ) {
+			var arg = q.id(node.args[i]);
+			if( node.kind == 'operator' && node.args[i].kind == 'operator' ) { arg = '('+arg+')'; }
+			args.push(arg);
+		}
+		if( node.kind == 'aggregation' ) { return node.name+'-'+args[0]; }
+		if( node.kind == 'function' ) { return node.name+'('+args.join(',')+')'; }
+		if( args.length == 1 ) {
+			if( node.op == '-' ) { return '-'+args[0]; }
+			if( node.op == 'not' ) { return 'not '+args[0]; }
+			return args[0]+' '+node.op;
+		}
+		if( /^\W+$/.test(node.op) ) { return args[0]+node.op+args[1]; }
+		return args[0]+' '+node.op+' '+args[1];
+	},
+
+	// Returns the default label of the column an expression produces.
+	label: function(node, colDict) {
+		if( node.kind == 'column' ) { return colDict[node.id].label; }
+		if( node.kind == 'aggregation' ) {
+			return node.name+' '+DataTable._query.label(node.args[0], colDict);
+		}
+		return DataTable._query.id(node);
+	},
+
+	// Returns true if the expression contains an aggregation.
+	hasAggregation: function(node) {
+		if( node.kind == 'aggregation' ) { return true; }
+		for( var i in node.args ) {
+			if( DataTable._query.hasAggregation(node.args[i]) ) { return true; }
+		}
+		return false;
+	},
+
+	// Returns the type of the value an expression evaluates to, checking the
+	// expression against the columns of colDict.
+	type: function(node, colDict) {
+		var q = DataTable._query;
+
+		if( node.kind == 'column' ) {
+			if( !colDict.hasOwnProperty(node.id) ) {
+				throw q.error(node.pos, 'Column "'+node.id+'" does not exist in table');
+			}
+			return colDict[node.id].type;
+		}
+		if( node.kind == 'literal' ) { return node.type; }
+
+		var types = [];
+		for( var i in node.args ) { types.push(q.type(node.args[i], colDict)); }
+		var expect = function(allowed, what) {
+			for( var i in types ) {
+				if( types[i] != 'null' && allowed.indexOf(types[i]) < 0 ) {
+					throw q.error(node.args[i].pos, what+' expects '+allowed.join(' or ')+
+						', got '+types[i]);
+				}
+			}
+		};
+
+		if( node.kind == 'aggregation' ) {
+			if( q.hasAggregation(node.args[0]) ) {
+				throw q.error(node.pos, 'Aggregations cannot be nested');
+			}
+			if( node.name == 'sum' || node.name == 'avg' ) {
+				expect(['number'], 'Aggregation "'+node.name+'"');
+			}
+			node.compareAs = types[0];
+			return q.aggregations[node.name].type || types[0];
+		}
+		if( node.kind == 'function' ) {
+			var fn = q.functions[node.name];
+			for( var i in fn.args ) {
+				if( types[i] != 'null' && fn.args[i].indexOf(types[i]) < 0 ) {
+					throw q.error(node.args[i].pos, 'Function "'+node.name+'" expects '+
+						fn.args[i].join(' or ')+', got '+types[i]);
+				}
+			}
+			return fn.type;
+		}
+
+		var op = node.op;
+		if( op == 'and' || op == 'or' || op == 'not' ) {
+			expect(['boolean'], 'Operator "'+op+'"');
+			return 'boolean';
+		}
+		if( op == 'is null' || op == 'is not null' ) { return 'boolean'; }
+		if( op == '+' || op == '-' || op == '*' || op == '/' ) {
+			expect(['number'], 'Operator "'+op+'"');
+			return 'number';
+		}
+		if( ['contains', 'starts with', 'ends with', 'matches', 'like'].indexOf(op) > -1 ) {
+			expect(['string'], 'Operator "'+op+'"');
+			return 'boolean';
+		}
+		var compareAs = q.comparableType(types[0], types[1]);
+		if( compareAs == null ) {
+			throw q.error(node.pos, 'Cannot compare '+types[0]+' with '+types[1]);
+		}
+		node.compareAs = compareAs;
+		return 'boolean';
+	},
+
+	// Returns the type two values of the given types are compared as, or null if
+	// they cannot be compared.
+	comparableType: function(a, b) {
+		if( a == 'null' ) { return b; }
+		if( b == 'null' || a == b ) { return a; }
+		if( (a == 'date' || a == 'datetime') && (b == 'date' || b == 'datetime') ) {
+			return 'datetime';
+		}
+		return null;
+	},
+
+	// Converts a value to a number or string which orders the way the value does.
+	sortValue: function(value, type) {
+		if( value == null ) { return null; }
+		if( type == 'date' ) {
+			return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+		}
+		if( type == 'datetime' ) { return value.getTime(); }
+		if( type == 'timeofday' ) {
+			return ((value.getHours() * 60 + value.getMinutes()) * 60 +
+				value.getSeconds()) * 1000 + value.getMilliseconds();
+		}
+		if( type == 'boolean' ) { return value ? 1 : 0; }
+		return value;
+	},
+
+	// Compares two values of the given type. Null is smaller than any value.
+	compare: function(a, b, type) {
+		a = DataTable._query.sortValue(a, type);
+		b = DataTable._query.sortValue(b, type);
+		if( a == null || b == null ) { return a == null ? (b == null ? 0 : -1) : 1; }
+		return a < b ? -1 : a > b ? 1 : 0;
+	},
+
+	// Returns a string identifying a combination of values, for grouping.
+	key: function(values, types) {
+		var normalized = [];
+		for( var i in values ) {
+			normalized.push(DataTable._query.sortValue(values[i], types[i]));
+		}
+		return JSON.stringify(normalized);
+	},
+
+	// Checks that an expression of a grouped query only refers to columns that
+	// are aggregated or grouped by.
+	checkGrouped: function(node, keys) {
+		var q = DataTable._query;
+		if( node.kind == 'aggregation' || node.kind == 'literal' ||
+			keys.hasOwnProperty(q.id(node)) ) {
+			return;
+		}
+		if( node.kind == 'column' ) {
+			throw q.error(node.pos, 'Column "'+node.id+
+				'" must be aggregated or appear in the group by clause');
+		}
+		for( var i in node.args ) { q.checkGrouped(node.args[i], keys); }
+	},
+
+	// Evaluates an expression. The context holds the values of the current row by
+	// column id (row), or for a grouped query the values of the group by
+	// expressions by expression id (keys) and the rows of the group (rows).
+	evaluate: function(node, ctx) {
+		var q = DataTable._query;
+
+		if( ctx.keys ) {
+			var key = q.id(node);
+			if( ctx.keys.hasOwnProperty(key) ) { return ctx.keys[key]; }
+		}
+		if( node.kind == 'column' ) {
+			return ctx.row[node.id] == null ? null : ctx.row[node.id];
+		}
+		if( node.kind == 'literal' ) { return node.value; }
+		if( node.kind == 'aggregation' ) {
+			var values = [];
+			for( var i in ctx.rows ) {
+				var value = q.evaluate(node.args[0], {row: ctx.rows[i]});
+				if( value != null ) { values.push(value); }
+			}
+			return q.aggregations[node.name].fn(values, node.compareAs);
+		}
+
+		var op = node.op;
+		if( op == 'and' ) {
+			return q.evaluate(node.args[0], ctx) === true && q.evaluate(node.args[1], ctx) === true;
+		}
+		if( op == 'or' ) {
+			return q.evaluate(node.args[0], ctx) === true || q.evaluate(node.args[1], ctx) === true;
+		}
+		if( op == 'not' ) { return q.evaluate(node.args[0], ctx) !== true; }
+
+		var args = [];
+		for( var i in node.args ) { args.push(q.evaluate(node.args[i], ctx)); }
+		if( node.kind == 'function' ) {
+			for( var i in args ) {
+				if( args[i] == null ) { return null; }
+			}
+			return q.functions[node.name].fn.apply(null, args);
+		}
+		if( op == 'is null' ) { return args[0] == null; }
+		if( op == 'is not null' ) { return args[0] != null; }
+
+		var arithmetic = op == '+' || op == '-' || op == '*' || op == '/';
+		var a = args[0], b = args[1];
+		if( a == null || (args.length > 1 && b == null) ) { return arithmetic ? null : false; }
+		if( args.length == 1 ) { return -a; }
+		if( op == '+' ) { return a + b; }
+		if( op == '-' ) { return a - b; }
+		if( op == '*' ) { return a * b; }
+		if( op == '/' ) { return b == 0 ? null : a / b; }
+		if( op == 'contains' ) { return a.indexOf(b) > -1; }
+		if( op == 'starts with' ) { return a.substring(0, b.length) == b; }
+		if( op == 'ends with' ) { return b.length <= a.length && a.substring(a.length - b.length) == b; }
+		if( op == 'matches' || op == 'like' ) {
+			var pattern = b;
+			if( op == 'like' ) {
+				pattern = b.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+			}
+			try {
+				var re = new RegExp('^(?:'+pattern+')$');
+			} catch( e ) {
+				throw q.error(node.args[1].pos, 'Invalid regular expression \''+b+'\'');
+			}
+			return re.test(a);
+		}
+
+		var cmp = q.compare(a, b, node.compareAs);
+		if( op == '=' ) { return cmp == 0; }
+		if( op == '!=' ) { return cmp != 0; }
+		if( op == '<' ) { return cmp < 0; }
+		if( op == '<=' ) { return cmp <= 0; }
+		if( op == '>' ) { return cmp > 0; }
+		return cmp >= 0;
+	},
+
+	// Sorts items by the order by clause of a query, keeping the original order
+	// of equal items. contextOf(item) returns the context to evaluate in.
+	order: function(items, orderBy, types, contextOf) {
+		var q = DataTable._query;
+		var keyed = [];
+		for( var i = 0; i < items.length; i++ ) {
+			var keys = [];
+			for( var j = 0; j < orderBy.length; j++ ) {
+				keys.push(q.evaluate(orderBy[j].expr, contextOf(items[i])));
+			}
+			keyed.push({item: items[i], keys: keys, index: i});
+		}
+		keyed.sort(function(a, b) {
+			for( var j = 0; j < orderBy.length; j++ ) {
+				var cmp = q.compare(a.keys[j], b.keys[j], types[j]);
+				if( cmp ) { return orderBy[j].direction == 'desc' ? -cmp : cmp; }
+			}
+			return a.index - b.index;
+		});
+		var result = [];
+		for( var i in keyed ) { result.push(keyed[i].item); }
+		return result;
+	},
+
+	// Applies the offset and limit clauses of a query.
+	slice: function(items, query) {
+		var offset = query.offset || 0;
+		return items.slice(offset, query.limit == null ? items.length : offset + query.limit);
+	},
+
+	// Describes the column an expression produces.
+	column: function(node, type, colDict) {
+		var q = DataTable._query;
+		return {
+			id: q.id(node),
+			label: q.label(node, colDict),
+			type: type,
+			custom_properties: node.kind == 'column' ?
+				DataTable._o.clone(colDict[node.id].custom_properties) : {},
+			role: node.kind == 'column' ? colDict[node.id].role : null,
+			expr: node
+		};
+	},
+
+	// Runs a query without aggregations. Returns the result columns, and the
+	// result rows as arrays of cells.
+	project: function(query, select, types, rows, colDict) {
+		var q = DataTable._query;
+
+		if( query.orderBy ) {
+			var orderTypes = [];
+			for( var i in query.orderBy ) {
+				var expr = query.orderBy[i].expr;
+				if( q.hasAggregation(expr) ) {
+					throw q.error(expr.pos, 'Aggregations in the order by clause require '+
+						'an aggregated query');
+				}
+				orderTypes.push(q.type(expr, colDict));
+			}
+			rows = q.order(rows, query.orderBy, orderTypes, function(row) {
+				return {row: row.values};
+			});
+		}
+		rows = q.slice(rows, query);
+
+		var columns = [];
+		for( var i in select ) { columns.push(q.column(select[i], types[i], colDict)); }
+
+		var result = [];
+		for( var i in rows ) {
+			var cells = [];
+			for( var j in select ) {
+				if( select[j].kind == 'column' ) {
+					cells.push(rows[i].cells[select[j].id]);
+				} else {
+					cells.push(q.evaluate(select[j], {row: rows[i].values}));
+				}
+			}
+			result.push({cells: cells, p: rows[i].p});
+		}
+		return {columns: columns, rows: result};
+	},
+
+	// Runs a query with aggregations, group by or pivot. Returns the result
+	// columns, and the result rows as arrays of cells.
+	group: function(query, select, types, rows, colDict) {
+		var q = DataTable._query;
+		var groupBy = query.groupBy || [];
+		var pivot = query.pivot || [];
+		var groupTypes = [];
+		var pivotTypes = [];
+		var keys = {};
+		var selected = {};
+
+		for( var i in select ) { selected[q.id(select[i])] = true; }
+		for( var i in groupBy ) {
+			if( q.hasAggregation(groupBy[i]) ) {
+				throw q.error(groupBy[i].pos, 'Aggregations are not allowed in the group by clause');
+			}
+			groupTypes.push(q.type(groupBy[i], colDict));
+			keys[q.id(groupBy[i])] = true;
+		}
+		for( var i in pivot ) {
+			if( q.hasAggregation(pivot[i]) ) {
+				throw q.error(pivot[i].pos, 'Aggregations are not allowed in the pivot clause');
+			}
+			if( keys.hasOwnProperty(q.id(pivot[i])) || selected.hasOwnProperty(q.id(pivot[i])) ) {
+				throw q.error(pivot[i].pos, 'Column "'+q.id(pivot[i])+
+					'" cannot be pivoted and also selected or grouped by');
+			}
+			pivotTypes.push(q.type(pivot[i], colDict));
+		}
+		if( pivot.length && !select.some(q.hasAggregation) ) {
+			throw q.error(pivot[0].pos, 'Pivoting requires an aggregation in the select clause');
+		}
+		for( var i in select ) { q.checkGrouped(select[i], keys); }
+		var orderTypes = [];
+		for( var i in query.orderBy ) {
+			var expr = query.orderBy[i].expr;
+			orderTypes.push(q.type(expr, colDict));
+			q.checkGrouped(expr, keys);
+			if( pivot.length && q.hasAggregation(expr) ) {
+				throw q.error(expr.pos, 'Aggregations in the order by clause cannot be pivoted');
+			}
+		}
+
+		// Splitting the rows into groups, and each group by the pivot values,
+		// ordered by their values as group() does.
+		var groupKeys = function(exprs, exprTypes) {
+			return exprs.map(function(expr, i) {
+				return {type: exprTypes[i], value: function(row) { return q.evaluate(expr, {row: row}); }};
+			});
+		};
+		var values = rows.map(function(row) { return row.values; });
+		var groups = DataTable._groupRows(values, groupKeys(groupBy, groupTypes));
+		var pivots = pivot.length ? DataTable._pivotGroups(groups, groupKeys(pivot, pivotTypes)) : [];
+		if( !groupBy.length && !groups.length ) {
+			groups.push({values: [], rows: [], pivots: {}});
+		}
+
+		for( var i in groups ) {
+			groups[i].keys = {};
+			for( var j in groupBy ) { groups[i].keys[q.id(groupBy[j])] = groups[i].values[j]; }
+		}
+		if( query.orderBy ) {
+			groups = q.order(groups, query.orderBy, orderTypes, function(group) {
+				return {keys: group.keys, rows: group.rows};
+			});
+		}
+		groups = q.slice(groups, query);
+
+		// Each aggregation is split into a column per pivot value.
+		var columns = [];
+		for( var i in select ) {
+			var column = q.column(select[i], types[i], colDict);
+			if( !pivot.length || !q.hasAggregation(select[i]) ) {
+				columns.push(column);
+				continue;
+			}
+			for( var j in pivots ) {
+				var pivotColumn = DataTable._pivotColumn(column, pivots[j]);
+				pivotColumn.custom_properties = {};
+				pivotColumn.expr = column.expr;
+				columns.push(pivotColumn);
+			}
+		}
+
+		var result = [];
+		for( var i in groups ) {
+			var cells = [];
+			for( var j in columns ) {
+				var groupRows = groups[i].rows;
+				if( columns[j].pivotKey != null ) { groupRows = groups[i].pivots[columns[j].pivotKey]; }
+				cells.push(groupRows ?
+					q.evaluate(columns[j].expr, {keys: groups[i].keys, rows: groupRows}) : null);
+			}
+			result.push({cells: cells, p: {}});
+		}
+		return {columns: columns, rows: result};
+	},
+
+	// Applies the format clause and options of a query to a result cell.
+	formatCell: function(cell, type, pattern, options) {
+		var _t = DataTable._t;
+		var value = DataTable._cellValue(cell);
+		var formatted = _t.isArray(cell) ? cell[1] : null;
+		var properties = _t.isArray(cell) && cell.length == 3 ? cell[2] : null;
+
+		if( pattern != null && value != null ) {
+			formatted = DataTable._formatValue(value, type, pattern);
+		}
+		if( options.noFormat ) { formatted = null; }
+		if( options.noValues ) {
+			if( formatted == null && value != null ) {
+				formatted = DataTable._formatValue(value, type);
+			}
+			value = null;
+		}
+
+		if( properties != null ) { return [value, formatted, DataTable._o.clone(properties)]; }
+		if( formatted != null ) { return [value, formatted]; }
+		return value;
+	},
+
+	// Runs a query on a table. See DataTable.query().
+	execute: function(table, query, columnOrder, orderBy) {
+		var q = DataTable._query;
+		var _t = DataTable._t;
+
+		if( !_t.isObject(query) || query == null || _t.isString(query) ) {
+			query = DataTable.parseQuery(query);
+		}
+		if( columnOrder == null ) {
+			columnOrder = [];
+			for( var i in table._columns ) { columnOrder.push(table._columns[i].id); }
+		}
+		var colDict = {};
+		for( var i in table._columns ) {
+			if( columnOrder.indexOf(table._columns[i].id) > -1 ) {
+				colDict[table._columns[i].id] = table._columns[i];
+			}
+		}
+
+		var select = query.select;
+		if( select == null ) {
+			select = [];
+			for( var i in columnOrder ) { select.push({kind: 'column', id: columnOrder[i], pos: 0}); }
+		}
+		var types = [];
+		var selected = {};
+		for( var i in select ) {
+			var type = q.type(select[i], colDict);
+			if( type == 'null' ) { throw q.error(select[i].pos, 'Cannot select a null literal'); }
+			if( selected.hasOwnProperty(q.id(select[i])) ) {
+				throw q.error(select[i].pos, 'Column "'+q.id(select[i])+'" is selected more than once');
+			}
+			selected[q.id(select[i])] = true;
+			types.push(type);
+		}
+		if( query.where ) {
+			if( q.hasAggregation(query.where) ) {
+				throw q.error(query.where.pos, 'Aggregations are not allowed in the where clause');
+			}
+			if( q.type(query.where, colDict) != 'boolean' ) {
+				throw q.error(query.where.pos, 'The where clause must be a condition');
+			}
+		}
+		var labels = {};
+		for( var i in query.labels ) {
+			var id = q.id(query.labels[i].expr);
+			if( !selected.hasOwnProperty(id) ) {
+				throw q.error(query.labels[i].expr.pos, 'Column "'+id+'" in the label clause is not selected');
+			}
+			labels[id] = query.labels[i].value;
+		}
+		var formats = {};
+		for( var i in query.formats ) {
+			var id = q.id(query.formats[i].expr);
+			if( !selected.hasOwnProperty(id) ) {
+				throw q.error(query.formats[i].expr.pos, 'Column "'+id+'" in the format clause is not selected');
+			}
+			formats[id] = query.formats[i].value;
+		}
+
+		// Filtering the rows with the where clause
+		var rows = [];
+		var prepData = table._zonedData(orderBy);
+		for( var i in prepData ) {
+			var values = {};
+			for( var id in colDict ) { values[id] = DataTable._cellValue(prepData[i][0][id]); }
+			if( !query.where || q.evaluate(query.where, {row: values}) === true ) {
+				rows.push({cells: prepData[i][0], values: values, p: prepData[i][1]});
+			}
+		}
+
+		var result = null;
+		if( query.groupBy || query.pivot || select.some(q.hasAggregation) ) {
+			result = q.group(query, select, types, rows, colDict);
+		} else {
+			result = q.project(query, select, types, rows, colDict);
+		}
+
+		var description = [];
+		for( var i in result.columns ) {
+			var column = result.columns[i];
+			var id = q.id(column.expr);
+			if( labels.hasOwnProperty(id) ) {
+				column.label = column.pivotName == null ? labels[id] : column.pivotName+' '+labels[id];
+			}
+			description.push([column.id, column.type, column.label, column.custom_properties, column.role]);
+		}
+		if( !description.length ) { throw new QueryError('Query error: the query result has no columns'); }
+
+		var resultTable = new DataTable(description, null, DataTable._o.clone(table.customProperties));
+		for( var i in result.rows ) {
+			var cells = [];
+			for( var j in result.columns ) {
+				var column = result.columns[j];
+				cells.push(q.formatCell(result.rows[i].cells[j], column.type,
+					formats[q.id(column.expr)], query.options));
+			}
+			resultTable.appendData([cells], DataTable._o.clone(result.rows[i].p));
+		}
+		return resultTable;
+	}
+};
+
+/**
+ * The reasons a response can give for an error or a warning, as defined by the
+ * Google Visualization data source protocol, with the default message of each.
+ * data_truncated and other are the only reasons for warnings.
+ */
+DataTable.responseReasons = {
+	not_modified: 'Data not modified',
+	user_not_authenticated: 'User not authenticated',
+	unknown_data_source_id: 'Unknown data source ID',
+	access_denied: 'Access denied',
+	unsupported_query_operation: 'Unsupported query operation',
+	invalid_query: 'Invalid query',
+	invalid_request: 'Invalid request',
+	internal_error: 'Internal error',
+	not_supported: 'Operation not supported',
+	illegal_formatting_patterns: 'Illegal formatting patterns',
+	data_truncated: 'Data truncated',
+	other: 'Error'
+};
+
+/**
+ * Writes an error response, in the output format requested in tqx.
+ *
+ * Use this to answer a request that could not be served, typically when
+ * toResponse() throws:
+ *   try {
+ *     response = table.toResponse(null, null, tqx, tq);
+ *   } catch( e ) {
+ *     response = DataTable.toErrorResponse(e, tqx);
+ *   }
+ *
+ * Args:
+ *   errors: The error, or an array of errors. An error is either an exception
+ *           thrown by this library, which is given the reason matching it, or
+ *           an object {reason: ..., message: ..., detailedMessage: ...} as
+ *           described in toJSONResponse().
+ *   tqx: Optional. The request string as received by HTTP GET, as described in
+ *        toResponse(). Malformed or unsupported parts of it are ignored, so
+ *        that the error can always be written.
+ *
+ * Returns:
+ *   A response string. Example results:
+ *   out:json (the default)
+ *     google.visualization.Query.setResponse({'version':'0.6', 'reqId':'0',
+ *       'status':'error', 'errors': [{'reason':'invalid_query',
+ *       'message':'Invalid query','detailed_message':'Query error at ...'}]});
+ *   out:json-strict
+ *     google.visualization.Query.setResponse({"version":"0.6", "reqId":"0",
+ *       "status":"error", "errors": [{"reason":"invalid_query", ...}]});
+ *   out:csv, a line per error
+ *     Error: invalid_query. Query error at ...
+ *   out:xlsx, the same lines in a workbook as returned by toXLSX(), under an
+ *     Error header
+ *   out:tsv-excel, the same lines as the file returned by toTSVExcel(): UTF-16LE
+ *     bytes starting with a byte order mark, with CRLF line endings
+ *   out:html
+ *     <html><body><p>Error: invalid_query. Query error at ...</p></body></html>
+ *
+ * Throws a DataTableError if an error object has an unknown reason.
+ */
+DataTable.toErrorResponse = function(errors, tqx) {
+	if( arguments.length < 2 || tqx == null ) { tqx = ''; }
+	if( !DataTable._t.isArray(errors) ) { errors = [errors]; }
+
+	var tqxDict = DataTable._parseTqx(tqx, true);
+	if( tqxDict.out == 'csv' || tqxDict.out == 'tsv-excel' || tqxDict.out == 'xlsx' ) {
+		var lines = [];
+		for( var i in errors ) {
+			var error = DataTable._responseMessage(errors[i]);
+			lines.push('Error: '+error.reason+'. '+
+				(error.detailed_message != null ? error.detailed_message : error.message));
+		}
+		if( tqxDict.out == 'xlsx' ) {
+			return new DataTable([['error', 'string', 'Error']], lines.map(function(line) {
+				return [line];
+			})).toXLSX(null, null, 'Error');
+		}
+		if( tqxDict.out == 'tsv-excel' ) {
+			return DataTable._encodeUTF16LE('\ufeff'+lines.map(function(line) {
+				return line.replace(/\r\n|[\t\r\n]/g, ' ');
+			}).join('\r\n'));
+		}
+		return lines.join('\n');
+	}
+	if( tqxDict.out == 'html' ) {
+		return '<html><body>'+DataTable._responseMessagesHTML('Error', errors)+'</body></html>';
+	}
+	var writer = tqxDict.out == 'json-strict' ? DataTable._writers.json : DataTable._writers.js;
+	return DataTable._jsonResponse(tqxDict.responseHandler, tqxDict.reqId, 'error',
+		{errors: DataTable._escapeResponseMessages(errors, writer)}, writer);
+};
+
+// Parses the tqx request string into an object holding the defaults for keys
+// not given. Throws a TqxError if tqx is malformed or asks for an unsupported
+// version, unless lenient is set, in which case those parts are ignored.
+DataTable._parseTqx = function(tqx, lenient) {
+	var tqxDict = {
+		version: '0.6',
+		out: 'json',
+		responseHandler: 'google.visualization.Query.setResponse',
+		reqId: 0
+	};
+
+	if( tqx ) {
+		var options = tqx.split(';');
+		for( var i in options ) {
+			var opt = options[i].split(':');
+			if( opt.length != 2 ) {
+				if( lenient ) { continue; }
+				throw new TqxError('Invalid tqx provided.', {value: options[i]});
+			}
+			tqxDict[opt[0]] = opt[1];
+		}
+	}
+	if( tqxDict.version != '0.6' ) {
+		if( !lenient ) {
+			throw new TqxError('Version (%s) passed by request is not supported.'
+				.replace('%s',tqxDict['version']), {key: 'version', value: tqxDict.version});
+		}
+		tqxDict.version = '0.6';
+	}
+	return tqxDict;
+};
+
+// Returns the reason matching an exception thrown by this library.
+DataTable._exceptionReason = function(e) {
+	if( e instanceof QueryError ) { return 'invalid_query'; }
+	if( e instanceof TqxError ) {
+		return e.key == 'version' || e.key == 'out' ? 'not_supported' : 'invalid_request';
+	}
+	return 'internal_error';
+};
+
+// Converts an error or warning, as accepted by toErrorResponse(), into an
+// object with the reason, message and detailed_message of the response.
+DataTable._responseMessage = function(error) {
+	var _t = DataTable._t;
+
+	if( _t.isObject(error) && error != null && error.reason != null ) {
+		if( !DataTable.responseReasons.hasOwnProperty(error.reason) ) {
+			throw new DataTableError('Unsupported response reason \''+error.reason+'\'',
+				{value: error.reason});
+		}
+		var result = {
+			reason: error.reason,
+			message: error.message != null ? error.message : DataTable.responseReasons[error.reason]
+		};
+		var detailed = error.detailedMessage != null ? error.detailedMessage : error.detailed_message;
+		if( detailed != null ) { result.detailed_message = detailed; }
+		return result;
+	}
+
+	var reason = DataTable._exceptionReason(error);
+	return {
+		reason: reason,
+		message: DataTable.responseReasons[reason],
+		detailed_message: String(error instanceof Error ? error.message : error)
+	};
+};
+
+// Throws a DataTableError if a warning has a reason other than the ones the
+// protocol allows for warnings, data_truncated and other.
+DataTable._checkWarnings = function(warnings) {
+	for( var i in warnings ) {
+		var reason = warnings[i] != null ? warnings[i].reason : null;
+		if( reason != 'data_truncated' && reason != 'other' ) {
+			throw new DataTableError('Expected a warning reason of \'data_truncated\' or \'other\', got \''+
+				reason+'\'', {value: warnings[i]});
+		}
+	}
+};
+
+// Writes errors or warnings as the array of a json response, with one of
+// DataTable._writers (the JS literal one by default).
+DataTable._escapeResponseMessages = function(messages, writer) {
+	if( writer == null ) { writer = DataTable._writers.js; }
+	var result = [];
+	for( var i in messages ) {
+		result.push(writer.properties(DataTable._responseMessage(messages[i])));
+	}
+	return '['+result.join(',')+']';
+};
+
+// Writes errors or warnings as HTML paragraphs, prefixed by the title.
+DataTable._responseMessagesHTML = function(title, messages) {
+	var html = '';
+	for( var i in messages ) {
+		var message = DataTable._responseMessage(messages[i]);
+		var text = message.detailed_message != null ? message.detailed_message : message.message;
+		html += '<p>'+title+': '+DataTable._escapeHTML(message.reason)+'. '+
+			DataTable._escapeHTML(String(text))+'</p>';
+	}
+	return html;
+};
+
+// Returns a signature of a serialized table: a hexadecimal string that changes
+// whenever the serialization does. Two 32 bit hashes (FNV-1a and djb2) of the
+// string are combined, to make collisions unlikely.
+DataTable._signature = function(serialized) {
+	var fnv = 2166136261, djb = 5381;
+	for( var i = 0; i < serialized.length; i++ ) {
+		var c = serialized.charCodeAt(i);
+		fnv ^= c;
+		// fnv * 16777619, modulo 2^32
+		fnv = (fnv + (fnv << 1) + (fnv << 4) + (fnv << 7) + (fnv << 8) + (fnv << 24)) >>> 0;
+		djb = ((djb << 5) + djb + c) >>> 0;
+	}
+	var hex = function(n) { return ('0000000'+n.toString(16)).slice(-8); };
+	return hex(djb)+hex(fnv);
+};
+
+// Writes a response to a Google Visualization API query. The response handler
+// is called with the status and the given properties, already written with
+// one of DataTable._writers (the JS literal one by default).
+DataTable._jsonResponse = function(responseHandler, reqId, status, properties, writer) {
+	var q = writer == DataTable._writers.json ? DataTable._escapeJSONValue :
+		function(v) { return "'"+v+"'"; };
+	var response = [q('version')+':'+q('0.6'), q('reqId')+':'+q(reqId), q('status')+':'+q(status)];
+	for( var key in properties ) {
+		response.push(q(key)+': '+properties[key]);
+	}
+	return responseHandler+'({'+response.join(', ')+'});';
+};
+
+// Puts the string in quotes, and escapes any inner quotes and slashes.
+/*
+ There are characters that are handled inconsistently in browsers, and so must be escaped when placed in strings.
+
+\u0000-\u001f
+\u007f-\u009f
+\u00ad
+\u0600-\u0604
+\u070f
+\u17b4
+\u17b5
+\u200c-\u200f
+\u2028-\u202f
+\u2060-\u206f
+\ufeff
+\ufff0-\uffff
+*/
+DataTable._escapeValue = function(v) {
+	// FIXME this surely isn't strictly correct. It passes the tests
+	var result = String(v)
+	var q = result.indexOf("'") > -1 ? '"' : "'";
+
+	result = escape(result)
+		.replace(/%3C/g,'<').replace(/%3E/g,'>')
+		.replace(/%24/g,'$').replace(/%27/g,"'");
+
+	return q+result+q;
+};
+
+// Escapes the custom properties object.
+DataTable._escapeCustomProperties = function(properties) {
+	l = [];
+	for( var key in properties ) {
+		l.push(DataTable._escapeValue(key)+':'+DataTable._escapeValue(properties[key]));
+	}
+	return '{'+l.join(',')+'}';
+};
+
+// Puts the string in double quotes, escaped as a strict JSON string. The line
+// and paragraph separators, valid in JSON but not in JS strings, are escaped
+// too so that the JSON can be run as part of a response.
+DataTable._escapeJSONValue = function(v) {
+	return JSON.stringify(String(v))
+		.replace(/\u2028/g,'\\u2028').replace(/\u2029/g,'\\u2029');
+};
+
+// Escapes the custom properties object as strict JSON.
+DataTable._escapeJSONProperties = function(properties) {
+	var l = [];
+	for( var key in properties ) {
+		l.push(DataTable._escapeJSONValue(key)+':'+DataTable._escapeJSONValue(properties[key]));
+	}
+	return '{'+l.join(',')+'}';
+};
+
+// The ways a table and a response can be written: js writes the JS literal of
+// toJSON(), json the strict JSON of toStrictJSON(). Each writes object keys,
+// strings, custom properties and cells, and gives what stands for an omitted
+// cell in the middle of a row.
+DataTable._writers = {
+	js: {
+		key: function(k) { return k; },
+		string: function(v) { return DataTable._escapeValue(v); },
+		properties: function(p) { return DataTable._escapeCustomProperties(p); },
+		cell: function(value, column, rowIndex) { return DataTable._cellToJS(value, column, rowIndex); },
+		emptyCell: ''
+	},
+	json: {
+		key: function(k) { return DataTable._escapeJSONValue(k); },
+		string: function(v) { return DataTable._escapeJSONValue(v); },
+		properties: function(p) { return DataTable._escapeJSONProperties(p); },
+		cell: function(value, column, rowIndex) { return DataTable._cellToJSON(value, column, rowIndex); },
+		emptyCell: 'null'
+	}
+};
+
+/*
+ * Escapes the value for use in a CSV file.
+ * 
+ *  Puts the string in double-quotes, and escapes any inner double-quotes by
+ *  doubling them, if the string holds the separator, a double quote or a line
+ *  break, or is empty.
+ * 
+ *  Args:
+ *    v: The value to escape.
+ *    separator: Optional. The separator between the values, ',' by default.
+ *    force: Optional. If true, the string is always put in double-quotes.
+ * 
+ *  Returns:
+ *    The escaped values.
+ */
+DataTable._escapeValueForCSV = function(value, separator, force) {
+	if( separator == null ) { separator = ','; }
+	value = String(value);
+	if( force || value === '' || value.indexOf(separator) > -1 || /["\r\n]/.test(value) ) {
+		return '"'+value.replace(/"/g, '""')+'"';
+	}
+	return value;
+}
+
+// Encodes the string in UTF-16 little endian, starting with the byte order mark
+// if the string does. Returns a Buffer where Node.js Buffers are available, and
+// a Uint8Array otherwise.
+DataTable._encodeUTF16LE = function(value) {
+	var bytes = new Uint8Array(value.length * 2);
+	for( var i = 0; i < value.length; i++ ) {
+		var code = value.charCodeAt(i);
+		bytes[2*i] = code & 0xff;
+		bytes[2*i+1] = code >> 8;
+	}
+	return DataTable._bytes([bytes]);
+};
+
+// Helpers of toXLSX(): the parts of the workbook, and the writing of the cells
+// of the sheet.
+DataTable._xlsx = {
+	contentTypes: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'+
+		'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'+
+		'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'+
+		'<Default Extension="xml" ContentType="application/xml"/>'+
+		'<Override PartName="/xl/workbook.xml" '+
+		'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'+
+		'<Override PartName="/xl/worksheets/sheet1.xml" '+
+		'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'+
+		'<Override PartName="/xl/styles.xml" '+
+		'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'+
+		'</Types>',
+	rels: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'+
+		'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'+
+		'<Relationship Id="rId1" '+
+		'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" '+
+		'Target="xl/workbook.xml"/>'+
+		'</Relationships>',
+	workbook: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'+
+		'<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '+
+		'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'+
+		'<sheets><sheet name="%s" sheetId="1" r:id="rId1"/></sheets>'+
+		'</workbook>',
+	workbookRels: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'+
+		'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'+
+		'<Relationship Id="rId1" '+
+		'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" '+
+		'Target="worksheets/sheet1.xml"/>'+
+		'<Relationship Id="rId2" '+
+		'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" '+
+		'Target="styles.xml"/>'+
+		'</Relationships>',
+	// The cell formats are listed in the order of the styles indexes below,
+	// followed by a format for each of the number formats given (see
+	// numFmt()), from the index formatStyle on.
+	stylesXML: function(formats) {
+		var xf = function(numFmtId, extra) {
+			return '<xf numFmtId="'+numFmtId+'" fontId="'+(extra == 'applyFont' ? 1 : 0)+
+				'" fillId="0" borderId="0" xfId="0"'+(extra ? ' '+extra+'="1"' : '')+'/>';
+		};
+		var numFmts = ['yyyy-mm-dd', 'yyyy-mm-dd hh:mm:ss', 'hh:mm:ss'].concat(formats);
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'+
+			'<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'+
+			'<numFmts count="'+numFmts.length+'">'+
+			numFmts.map(function(format, i) {
+				return '<numFmt numFmtId="'+(164 + i)+'" formatCode="'+DataTable._xlsx.escape(format)+'"/>';
+			}).join('')+
+			'</numFmts>'+
+			'<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'+
+			'<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'+
+			'<fills count="2"><fill><patternFill patternType="none"/></fill>'+
+			'<fill><patternFill patternType="gray125"/></fill></fills>'+
+			'<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'+
+			'<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'+
+			'<cellXfs count="'+(numFmts.length + 2)+'">'+xf(0)+xf(0, 'applyFont')+
+			numFmts.map(function(format, i) { return xf(164 + i, 'applyNumberFormat'); }).join('')+
+			'</cellXfs>'+
+			'<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'+
+			'</styleSheet>';
+	},
+	sheet: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'+
+		'<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'+
+		'<sheetData>%s</sheetData>'+
+		'</worksheet>',
+	styles: {header: 1, date: 2, datetime: 3, timeofday: 4},
+	formatStyle: 5,
+
+	// Escapes the text for XML, leaving out the characters XML can't hold.
+	escape: function(text) {
+		return String(text).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+			.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+	},
+
+	// Returns the reference of a cell, as in A1, from its column and row
+	// indexes (counting from 0).
+	ref: function(col, row) {
+		var letters = '';
+		for( col += 1; col > 0; col = Math.floor((col - 1) / 26) ) {
+			letters = String.fromCharCode(65 + (col - 1) % 26)+letters;
+		}
+		return letters+(row+1);
+	},
+
+	row: function(row, cells) {
+		return '<row r="'+(row+1)+'">'+cells.join('')+'</row>';
+	},
+
+	stringCell: function(ref, text, style) {
+		return '<c r="'+ref+'"'+(style ? ' s="'+style+'"' : '')+' t="inlineStr">'+
+			'<is><t xml:space="preserve">'+DataTable._xlsx.escape(text)+'</t></is></c>';
+	},
+
+	// Writes a value of the type, with the style given or that of its type.
+	// Numbers that Excel can't hold (NaN and the infinities) are left out.
+	cell: function(ref, value, type, style) {
+		var x = DataTable._xlsx;
+		var s = style != null ? ' s="'+style+'"' : '';
+		if( type == 'number' ) {
+			return isFinite(value) ? '<c r="'+ref+'"'+s+'><v>'+value+'</v></c>' : '';
+		}
+		if( type == 'boolean' ) {
+			return '<c r="'+ref+'" t="b"><v>'+(value ? 1 : 0)+'</v></c>';
+		}
+		if( type == 'date' || type == 'datetime' || type == 'timeofday' ) {
+			return '<c r="'+ref+'" s="'+(style != null ? style : x.styles[type])+'"><v>'+
+				x.serial(value, type)+'</v></c>';
+		}
+		return x.stringCell(ref, value, style);
+	},
+
+	// Returns the number format showing a formatted value in place of the
+	// value of a cell of the type: the text as a literal, for the numbers (and
+	// so the dates), or for the strings. Null for booleans, which Excel does not
+	// format, and for text too long for a number format (255 characters).
+	numFmt: function(text, type) {
+		if( type == 'boolean' ) { return null; }
+		var literal = '"'+String(text).replace(/"/g, '"\\""')+'"';
+		var format = type == 'string' ? ';;;'+literal : literal+';'+literal;
+		return format.length <= 255 ? format : null;
+	},
+
+	// Returns the Excel serial number of a date: the days since 1899-12-30,
+	// with the time of day as the fraction. Times of day are only a fraction.
+	serial: function(value, type) {
+		var time = (value.getHours() * 3600000 + value.getMinutes() * 60000 +
+			value.getSeconds() * 1000 + value.getMilliseconds()) / 86400000;
+		if( type == 'timeofday' ) { return time; }
+		var days = (Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) -
+			Date.UTC(1899, 11, 30)) / 86400000;
+		return type == 'date' ? days : days + time;
+	}
+};
+
+// Encodes the string in UTF-8.
+DataTable._encodeUTF8 = function(value) {
+	var bytes = [];
+	for( var i = 0; i < value.length; i++ ) {
+		var code = value.charCodeAt(i);
+		// A surrogate pair stands for a single code point
+		if( code >= 0xd800 && code < 0xdc00 && i+1 < value.length ) {
+			var low = value.charCodeAt(i+1);
+			if( low >= 0xdc00 && low < 0xe000 ) {
+				code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00);
+				i++;
+			}
+		}
+		if( code < 0x80 ) {
+			bytes.push(code);
+		} else if( code < 0x800 ) {
+			bytes.push(0xc0 | code >> 6, 0x80 | code & 0x3f);
+		} else if( code < 0x10000 ) {
+			bytes.push(0xe0 | code >> 12, 0x80 | code >> 6 & 0x3f, 0x80 | code & 0x3f);
+		} else {
+			bytes.push(0xf0 | code >> 18, 0x80 | code >> 12 & 0x3f,
+				0x80 | code >> 6 & 0x3f, 0x80 | code & 0x3f);
+		}
+	}
+	return new Uint8Array(bytes);
+};
+
+// Returns the CRC-32 of the bytes, as used by zip files.
+DataTable._crc32 = function(bytes) {
+	if( !DataTable._crc32.table ) {
+		var table = [];
+		for( var n = 0; n < 256; n++ ) {
+			var c = n;
+			for( var k = 0; k < 8; k++ ) { c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1; }
+			table.push(c >>> 0);
+		}
+		DataTable._crc32.table = table;
+	}
+	var crc = 0xffffffff;
+	for( var i = 0; i < bytes.length; i++ ) {
+		crc = DataTable._crc32.table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+/*
+ * Writes a zip file.
+ *
+ * The files are stored without compression, and dated 1980-01-01 so that the
+ * same files always give the same zip.
+ *
+ * Args:
+ *   files: An array of [name, content] pairs, where the content is a string
+ *          (written in UTF-8) or a Uint8Array.
+ *
+ * Returns:
+ *   The zip file, as a Buffer where Node.js Buffers are available, and as a
+ *   Uint8Array otherwise.
+ */
+DataTable._zip = function(files) {
+	var parts = [], central = [], offset = 0;
+	var header = function(fields) {
+		// fields are [value, size in bytes] pairs, written little endian
+		var bytes = [];
+		for( var i in fields ) {
+			for( var b = 0; b < fields[i][1]; b++ ) {
+				bytes.push(Math.floor(fields[i][0] / Math.pow(256, b)) & 0xff);
+			}
+		}
+		return new Uint8Array(bytes);
+	};
+
+	for( var i in files ) {
+		var name = DataTable._encodeUTF8(files[i][0]);
+		var data = DataTable._t.isString(files[i][1]) ? DataTable._encodeUTF8(files[i][1]) : files[i][1];
+		var crc = DataTable._crc32(data);
+		// version needed, flags (UTF-8 names), method (stored), time, date
+		var common = [[20, 2], [0x0800, 2], [0, 2], [0, 2], [0x21, 2],
+			[crc, 4], [data.length, 4], [data.length, 4], [name.length, 2], [0, 2]];
+
+		parts.push(header([[0x04034b50, 4]].concat(common)), name, data);
+		central.push(header([[0x02014b50, 4], [20, 2]].concat(common,
+			[[0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]])), name);
+		offset += 30 + name.length + data.length;
+	}
+	var centralSize = 0;
+	for( var i in central ) { centralSize += central[i].length; }
+	var end = header([[0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2],
+		[centralSize, 4], [offset, 4], [0, 2]]);
+
+	return DataTable._bytes(parts.concat(central, [end]));
+};
+
+// Joins arrays of bytes into a Buffer where Node.js Buffers are available, and
+// into a Uint8Array otherwise.
+DataTable._bytes = function(arrays) {
+	var length = 0;
+	for( var i in arrays ) { length += arrays[i].length; }
+	var bytes = new Uint8Array(length), pos = 0;
+	for( var i in arrays ) {
+		bytes.set(arrays[i], pos);
+		pos += arrays[i].length;
+	}
+	if( typeof Buffer != 'undefined' && Buffer.from ) {
+		return Buffer.from(bytes.buffer);
+	}
+	return bytes;
+};
+
+// convert appropriate characters to html entities
+DataTable._escapeHTML = function(value) {
+	return value.replace(/&/g,'&amp;')
+		.replace(/>/g,'&gt;')
+		.replace(/</g,'&lt;')
+		.replace(/"/g,'&quot;');
+}
+
+// Returns the column ids, without those of the columns with a role other than
+// domain and data.
+DataTable._withoutRoleColumns = function(columnOrder, colDict) {
+	return columnOrder.filter(function(id) {
+		var role = colDict[id].role;
+		return role == null || role == 'domain' || role == 'data';
+	});
+};
+
+// Writes HTML attributes from [name, value] pairs, leaving out null values.
+DataTable._htmlAttributes = function(attributes) {
+	var html = '';
+	for( var i in attributes ) {
+		if( attributes[i][1] == null ) { continue; }
+		html += ' '+attributes[i][0]+"='"+
+			DataTable._escapeHTML(String(attributes[i][1])).replace(/'/g, '&#39;')+"'";
+	}
+	return html;
+};
+
+// a fallable heuristic to determine if a value is a column definition
+DataTable._isColumnDesc = function(value) {
+	if( DataTable._t.isString(value) ) { return true; }
+	if( DataTable._t.isArray(value) ) {
+		if( value.length == 1 ) { return false; }
+		if( !DataTable._t.isString(value[1]) ) { return false; }
+		if( [
+			'string','number','boolean','date','timeofday','datetime'
+		].some(function(e){ return e == value[1]}) ) { return true; }
+	}
+	return false;
+};
+
+// Returns the value of a cell, without its formatted value or custom properties.
+DataTable._cellValue = function(cell) {
+	if( DataTable._t.isArray(cell) ) { cell = cell[0]; }
+	return cell == null ? null : cell;
+};
+
+/*
+ * Time zones, see DataTable.setTimeZone().
+ *
+ * A time zone is either null for the local time zone of the host, 'UTC', an
+ * offset from UTC (a number of hours, as in -5 or 5.5, or a string as in
+ * '+05:30' or '-0800'), or an IANA time zone name, as in 'Europe/Paris', read
+ * with Intl.DateTimeFormat.
+ */
+DataTable._tz = {
+	// The Intl.DateTimeFormat of each IANA time zone used
+	formats: {},
+
+	// Throws a DataTableError if the time zone is not supported.
+	check: function(timeZone) {
+		try {
+			DataTable._tz.offset(timeZone, new Date(0));
+		} catch( e ) {
+			if( e instanceof DataTableError ) { throw e; }
+			throw new DataTableError('Unsupported time zone \''+timeZone+'\'', {value: timeZone});
+		}
+	},
+
+	// Returns the offset of the time zone from UTC at the given instant, in
+	// minutes.
+	offset: function(timeZone, date) {
+		if( timeZone == null ) { return -date.getTimezoneOffset(); }
+		if( typeof(timeZone) == 'number' ) {
+			if( !isFinite(timeZone) ) {
+				throw new DataTableError('Unsupported time zone '+timeZone, {value: timeZone});
+			}
+			return Math.round(timeZone * 60);
+		}
+		if( timeZone == 'UTC' || timeZone == 'Z' ) { return 0; }
+		var m = /^([+-])(\d{2}):?(\d{2})$/.exec(timeZone);
+		if( m ) { return (m[1] == '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])); }
+
+		var formats = DataTable._tz.formats;
+		if( !formats.hasOwnProperty(timeZone) ) {
+			if( typeof(Intl) == 'undefined' ) {
+				throw new DataTableError('Time zone \''+timeZone+'\' needs Intl', {value: timeZone});
+			}
+			formats[timeZone] = new Intl.DateTimeFormat('en-US', {timeZone: timeZone, hour12: false,
+				year: 'numeric', month: 'numeric', day: 'numeric',
+				hour: 'numeric', minute: 'numeric', second: 'numeric'});
+		}
+		var fields = {};
+		formats[timeZone].formatToParts(date).forEach(function(part) { fields[part.type] = Number(part.value); });
+		var wallClock = DataTable._tz.utc([fields.year, fields.month - 1, fields.day,
+			fields.hour % 24, fields.minute, fields.second, 0]);
+		return Math.round((wallClock - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+	},
+
+	// Returns Date.UTC() of the [year, month, day, hours, minutes, seconds,
+	// milliseconds] fields, with years before 100 left as they are.
+	utc: function(fields) {
+		var date = new Date(0);
+		date.setUTCFullYear(fields[0], fields[1], fields[2]);
+		date.setUTCHours(fields[3], fields[4], fields[5], fields[6]);
+		return date.getTime();
+	},
+
+	// Returns a Date whose local fields are the wall clock time of the instant
+	// in the time zone.
+	toZone: function(date, timeZone) {
+		if( timeZone == null ) { return date; }
+		var t = new Date(date.getTime() + DataTable._tz.offset(timeZone, date) * 60000);
+		var result = new Date(0);
+		result.setFullYear(t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate());
+		result.setHours(t.getUTCHours(), t.getUTCMinutes(), t.getUTCSeconds(), t.getUTCMilliseconds());
+		return result;
+	},
+
+	// Returns the instant of the [year, month, day, hours, minutes, seconds,
+	// milliseconds] wall clock time in the time zone.
+	fromZone: function(fields, timeZone) {
+		if( timeZone == null ) {
+			var date = new Date(0);
+			date.setFullYear(fields[0], fields[1], fields[2]);
+			date.setHours(fields[3], fields[4], fields[5], fields[6]);
+			return date;
+		}
+		var wallClock = DataTable._tz.utc(fields);
+		var t = wallClock - DataTable._tz.offset(timeZone, new Date(wallClock)) * 60000;
+		// The offset may differ at the instant found, around daylight saving
+		// time changes.
+		return new Date(wallClock - DataTable._tz.offset(timeZone, new Date(t)) * 60000);
+	},
+
+	/*
+	 * Converts an input value of a date, datetime or timeofday column to a Date.
+	 *
+	 * Date and datetime columns accept epoch numbers (milliseconds since
+	 * 1970-01-01 UTC) and ISO 8601 strings: '2020-01-05', '2020-01-05T10:30',
+	 * '2020-01-05T10:30:00.250Z' or '2020-01-05 10:30:00+02:00'. Timeofday
+	 * columns accept 'HH:mm', 'HH:mm:ss' and 'HH:mm:ss.SSS' strings, TimeOfDays
+	 * and timeofday arrays. Instants
+	 * are read in the time zone for date columns, and ISO strings without an
+	 * offset are wall clock times in the time zone for datetime columns.
+	 *
+	 * Other values are returned as they are.
+	 */
+	input: function(value, type, timeZone) {
+		var _t = DataTable._t, _tz = DataTable._tz;
+		if( type == 'timeofday' ) {
+			if( value instanceof TimeOfDay || DataTable._isTimeArray(value) ) {
+				return DataTable._timeOfDay(value);
+			}
+			var m = _t.isString(value) && /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?$/.exec(value);
+			if( !m ) { return value; }
+			return new Date(0, 0, 0, Number(m[1]), Number(m[2]), Number(m[3] || 0),
+				Number(((m[4] || '')+'00').substring(0, 3)));
+		}
+		if( type != 'date' && type != 'datetime' ) { return value; }
+
+		var instant = null, fields = null;
+		if( typeof(value) == 'number' && isFinite(value) ) {
+			instant = new Date(value);
+		} else if( _t.isString(value) ) {
+			var m = /^([+-]?\d{4,6})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.exec(value);
+			if( !m ) { return value; }
+			fields = [Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0),
+				Number(m[6] || 0), Number(((m[7] || '')+'00').substring(0, 3))];
+			if( m[8] ) {
+				instant = new Date(_tz.utc(fields) - _tz.offset(m[8], new Date(0)) * 60000);
+			}
+		} else {
+			return value;
+		}
+
+		if( type == 'date' ) {
+			if( instant ) {
+				var wallClock = _tz.toZone(instant, timeZone);
+				fields = [wallClock.getFullYear(), wallClock.getMonth(), wallClock.getDate()];
+			}
+			return _tz.fromZone([fields[0], fields[1], fields[2], 0, 0, 0, 0], null);
+		}
+		return instant ? instant : _tz.fromZone(fields, timeZone);
+	}
+};
+
+// Returns true if the value is an [hours, minutes, seconds] or [hours,
+// minutes, seconds, milliseconds] array of numbers, which can't be a value
+// with its formatted value and custom properties.
+DataTable._isTimeArray = function(value) {
+	return DataTable._t.isArray(value) && (value.length == 3 || value.length == 4) &&
+		value.every(function(part) { return typeof(part) == 'number'; });
+};
+
+// Returns the [hours, minutes, seconds, milliseconds] of a timeofday array,
+// the seconds and milliseconds being 0 when left out. Throws a DataTypeError
+// if a part is not an integer or is out of range.
+DataTable._timeOfDayParts = function(parts) {
+	var max = [23, 59, 59, 999];
+	if( parts.length < 2 || parts.length > 4 ) {
+		throw new DataTypeError('Wrong format for timeofday value '+parts, {value: parts});
+	}
+	return max.map(function(m, i) {
+		var part = parts[i] == null && i > 1 ? 0 : parts[i];
+		if( typeof(part) != 'number' || part % 1 != 0 || part < 0 || part > m ) {
+			throw new DataTypeError('Timeofday value '+parts+' out of range', {value: parts});
+		}
+		return part;
+	});
+};
+
+// Returns the Date a TimeOfDay or a timeofday array is stored as.
+DataTable._timeOfDay = function(value) {
+	var parts = value instanceof TimeOfDay ?
+		[value.hours, value.minutes, value.seconds, value.milliseconds] : DataTable._timeOfDayParts(value);
+	return new Date(0, 0, 0, parts[0], parts[1], parts[2], parts[3]);
+};
+
+// Returns true if the value is a {v: value, f: formatted value, p: custom
+// properties} cell, an object with no other properties.
+DataTable._isCellObject = function(value) {
+	if( value == null || typeof(value) != 'object' || Object.getPrototypeOf(value) !== Object.prototype ) {
+		return false;
+	}
+	var keys = Object.keys(value);
+	return keys.length > 0 && keys.every(function(key) { return key == 'v' || key == 'f' || key == 'p'; });
+};
+
+// Returns the cell stored for a {v, f, p} cell: the value alone, or the
+// [value, formatted value(, custom properties)] array.
+DataTable._cellFromObject = function(cell) {
+	var v = cell.v === undefined ? null : cell.v,
+		f = cell.f === undefined ? null : cell.f;
+	if( cell.p != null ) { return [v, f, cell.p]; }
+	return f != null ? [v, f] : v;
+};
+
+// Returns the {v, f, p} object of a stored cell, f and p being null when the
+// cell has none.
+DataTable._cellObject = function(cell) {
+	var isArray = DataTable._t.isArray(cell);
+	return {
+		v: DataTable._cellValue(cell),
+		f: isArray && cell[1] != null ? cell[1] : null,
+		p: isArray && cell[2] != null ? cell[2] : null
+	};
+};
+
+// Converts a value of a type to another type, see DataTable.changeColumnType().
+// Throws a DataTypeError if the value can't be converted.
+DataTable._convertValue = function(value, from, to, timeZone) {
+	if( value == null || from == to ) { return value; }
+	var fail = function() {
+		return new DataTypeError('Can\'t convert the '+from+' value '+value+' to '+to, {value: value});
+	};
+
+	// The wall clock time of datetime values, in the time zone of the column
+	var wallClock = from == 'datetime' ? DataTable._tz.toZone(value, timeZone) : value;
+
+	if( to == 'string' ) { return DataTable._csv.text(wallClock, from); }
+	if( from == 'string' ) {
+		if( to == 'number' ) {
+			if( !DataTable._csv.formats[0][1].test(value) ) { throw fail(); }
+			return Number(value);
+		}
+		if( to == 'boolean' ) {
+			if( !DataTable._csv.formats[1][1].test(value) ) { throw fail(); }
+			return value.toLowerCase() == 'true';
+		}
+		var date = DataTable._tz.input(value, to, timeZone);
+		if( !DataTable._t.isDate(date) ) { throw fail(); }
+		return date;
+	}
+
+	if( from == 'number' && to == 'boolean' ) { return value != 0; }
+	if( from == 'boolean' && to == 'number' ) { return value ? 1 : 0; }
+	if( from == 'number' && (to == 'date' || to == 'datetime') ) {
+		return DataTable._tz.input(value, to, timeZone);
+	}
+	if( (from == 'date' || from == 'datetime') && (to == 'date' || to == 'datetime') ) {
+		return DataTable._tz.fromZone([wallClock.getFullYear(), wallClock.getMonth(), wallClock.getDate(),
+			0, 0, 0, 0], to == 'datetime' ? timeZone : null);
+	}
+	if( from == 'datetime' && to == 'timeofday' ) {
+		return new Date(0, 0, 0, wallClock.getHours(), wallClock.getMinutes(), wallClock.getSeconds(),
+			wallClock.getMilliseconds());
+	}
+	throw fail();
+};
+
+// Returns an empty DataTable with the given parsed columns (as returned by
+// DataTable.tableDescriptionParser()), flat, and custom properties.
+DataTable._withColumns = function(columns, customProperties) {
+	var table = new DataTable(columns.map(function(col) {
+		return [col.id, col.type, col.label, col.custom_properties, col.role];
+	}), null, customProperties);
+	table._columns = columns.map(function(col) {
+		col.depth = 0;
+		col.container = 'iter';
+		return col;
+	});
+	return table;
+};
+
+/*
+ * Returns the function telling whether a row matches filters, for
+ * getFilteredRows().
+ *
+ * Args:
+ *   filters: A filter, or an array of filters. A filter is a function called
+ *            as filter(row, rowIndex, table), row being an object of the
+ *            values of the row by column id, returning true for the rows to
+ *            keep. Or an object with the property column (the index or id of
+ *            a column in the table) and either:
+ *            - value: The value the cell must have.
+ *            - minValue, maxValue: The bounds the value of the cell must be
+ *              within, inclusive. Either can be left out. Null values are
+ *              never within bounds.
+ *            - test: A function called as test(value, rowIndex, columnId,
+ *              table), returning true for the rows to keep.
+ *   table: The table the filters are on.
+ *
+ * Returns:
+ *   A function called as match(values, rowIndex), values being the cells of
+ *   the row by column id, returning true if the row matches all the filters.
+ *
+ * Throws a DataTableError if a filter has none of the properties above, or a
+ * SchemaError if a column does not exist.
+ */
+DataTable._rowFilter = function(filters, table) {
+	if( !DataTable._t.isArray(filters) ) { filters = [filters]; }
+	var key = function(value) { return DataTable._t.isDate(value) ? value.getTime() : value; };
+	var columnTest = function(filter) {
+		var id = table._column(filter.column).id;
+		if( typeof(filter.test) == 'function' ) {
+			return function(value, rowIndex) { return filter.test(value, rowIndex, id, table); };
+		}
+		if( filter.hasOwnProperty('value') ) {
+			return function(value) { return key(value) === key(filter.value); };
+		}
+		if( filter.minValue != null || filter.maxValue != null ) {
+			return function(value) {
+				return value != null && (filter.minValue == null || key(value) >= key(filter.minValue)) &&
+					(filter.maxValue == null || key(value) <= key(filter.maxValue));
+			};
+		}
+		throw new DataTableError('Expected a filter with a value, minValue, maxValue or test property',
+			{value: filter});
+	};
+	var tests = filters.map(function(filter) {
+		if( typeof(filter) == 'function' ) {
+			return function(values, rowIndex) {
+				var row = {};
+				for( var id in values ) { row[id] = DataTable._cellValue(values[id]); }
+				return filter(row, rowIndex, table);
+			};
+		}
+		if( !DataTable._t.isObject(filter) || filter == null ) {
+			throw new DataTableError('Expected a filter function or object, got '+DataTable._t.type(filter),
+				{value: filter});
+		}
+		var id = table._column(filter.column).id;
+		var test = columnTest(filter);
+		return function(values, rowIndex) { return test(DataTable._cellValue(values[id]), rowIndex); };
+	});
+
+	return function(values, rowIndex) {
+		for( var i = 0; i < tests.length; i++ ) {
+			if( !tests[i](values, rowIndex) ) { return false; }
+		}
+		return true;
+	};
+};
+
+/*
+ * Parses a key column of DataTable.group(), returning the description of the
+ * result column (id, type, label, custom_properties) with the function
+ * value(values) returning the key value of a row from its values by column id.
+ */
+DataTable._groupKey = function(key, table) {
+	if( !DataTable._t.isObject(key) ) { key = {column: key}; }
+	var col = table._column(key.column);
+	var value = function(values) { return values[col.id]; };
+	var type = col.type;
+
+	if( typeof(key.modifier) == 'function' ) {
+		value = function(values) {
+			var v = values[col.id];
+			return v == null ? null : key.modifier(v);
+		};
+		if( key.type != null ) { type = key.type; }
+	} else if( key.modifier != null ) {
+		var fn = DataTable._query.functions[String(key.modifier).toLowerCase()];
+		if( fn == null || fn.args.length != 1 ) {
+			throw new DataTableError('Unknown key modifier \''+key.modifier+'\'', {value: key.modifier});
+		}
+		if( fn.args[0].indexOf(col.type) < 0 ) {
+			throw new DataTableError('Key modifier \''+key.modifier+'\' expects '+fn.args[0].join(' or ')+
+				', got '+col.type, {columnId: col.id});
+		}
+		value = function(values) {
+			var v = values[col.id];
+			return v == null ? null : fn.fn(v);
+		};
+		type = fn.type;
+	}
+	return {id: key.id != null ? key.id : col.id, type: type,
+		label: key.label != null ? key.label : col.label,
+		custom_properties: col.custom_properties, value: value};
+};
+
+/*
+ * Parses an aggregated column of DataTable.group(), returning the description
+ * of the result column (id, type, label, custom_properties) with the function
+ * aggregate(rows) returning the aggregated value of rows of values by column
+ * id.
+ */
+DataTable._aggregation = function(column, table) {
+	var col = table._column(column.column);
+	var name = column.aggregation;
+	var fn = null, type = col.type;
+
+	if( typeof(name) == 'function' ) {
+		fn = name;
+		if( column.type != null ) { type = column.type; }
+	} else if( name == 'count-distinct' ) {
+		type = 'number';
+		fn = function(values) {
+			var distinct = {};
+			for( var i in values ) { distinct[DataTable._query.key([values[i]], [col.type])] = true; }
+			return DataTable._o.prop(distinct).length;
+		};
+	} else {
+		var aggregation = DataTable._query.aggregations.hasOwnProperty(name) ?
+			DataTable._query.aggregations[name] : null;
+		if( aggregation == null ) {
+			throw new DataTableError('Unknown aggregation \''+name+'\'', {value: name});
+		}
+		if( (name == 'sum' || name == 'avg') && col.type != 'number' ) {
+			throw new DataTableError('Aggregation \''+name+'\' expects number, got '+col.type,
+				{columnId: col.id});
+		}
+		type = aggregation.type || col.type;
+		fn = function(values) { return aggregation.fn(values, col.type); };
+	}
+
+	return {id: column.id != null ? column.id : typeof(name) == 'function' ? col.id : name+'-'+col.id,
+		type: type, label: column.label != null ? column.label : col.label,
+		custom_properties: col.custom_properties,
+		aggregate: function(rows) {
+			var values = [];
+			for( var i in rows ) {
+				if( rows[i][col.id] != null ) { values.push(rows[i][col.id]); }
+			}
+			return fn(values);
+		}};
+};
+
+// Throws a SchemaError if two of the columns have the same id.
+DataTable._checkColumnIds = function(columns) {
+	var ids = {};
+	for( var i in columns ) {
+		if( ids.hasOwnProperty(columns[i].id) ) {
+			throw new SchemaError('Column \''+columns[i].id+'\' is in the result more than once',
+				{columnId: columns[i].id});
+		}
+		ids[columns[i].id] = true;
+	}
+};
+
+// Returns an empty DataTable with the result columns of group() or pivot(),
+// and a copy of the custom properties of the table.
+//
+// Throws a SchemaError if two columns have the same id.
+DataTable._groupedTable = function(columns, customProperties) {
+	DataTable._checkColumnIds(columns);
+	return new DataTable(columns.map(function(col) {
+		return [col.id, col.type, col.label, DataTable._o.clone(col.custom_properties)];
+	}), null, DataTable._o.clone(customProperties));
+};
+
+// Splits rows of values by column id into groups of the same key values, the
+// keys being parsed by DataTable._groupKey() (or any {type, value(row)}, as the
+// group by and pivot clauses of queries). Returns the groups ordered by their
+// values, each with the key values (values), the string identifying them (key)
+// and its rows (rows).
+DataTable._groupRows = function(rows, keys) {
+	var q = DataTable._query;
+	var types = keys.map(function(key) { return key.type; });
+	var groups = [], groupsByKey = {};
+	for( var i in rows ) {
+		var keyValues = keys.map(function(key) { return key.value(rows[i]); });
+		var key = q.key(keyValues, types);
+		if( !groupsByKey.hasOwnProperty(key) ) {
+			groupsByKey[key] = {values: keyValues, key: key, rows: []};
+			groups.push(groupsByKey[key]);
+		}
+		groupsByKey[key].rows.push(rows[i]);
+	}
+	return groups.sort(function(a, b) {
+		for( var i in types ) {
+			var cmp = q.compare(a.values[i], b.values[i], types[i]);
+			if( cmp ) { return cmp; }
+		}
+		return 0;
+	});
+};
+
+// Splits the rows of each group of DataTable._groupRows() by the values of the
+// pivot keys, in the pivots of the group by pivot key. Returns the pivot values
+// found in all the groups, ordered, each with the key values (values), the
+// string identifying them (key) and the name of their columns (name): the
+// values formatted and joined by commas. Used by pivot() and by the pivot
+// clause of queries.
+DataTable._pivotGroups = function(groups, pivots) {
+	var rows = [];
+	groups.forEach(function(group) {
+		group.pivots = {};
+		DataTable._groupRows(group.rows, pivots).forEach(function(pivotGroup) {
+			group.pivots[pivotGroup.key] = pivotGroup.rows;
+		});
+		rows = rows.concat(group.rows);
+	});
+	return DataTable._groupRows(rows, pivots).map(function(pivotGroup) {
+		var name = pivotGroup.values.map(function(value, i) {
+			return value == null ? 'null' : DataTable._formatValue(value, pivots[i].type);
+		}).join(',');
+		return {values: pivotGroup.values, key: pivotGroup.key, name: name};
+	});
+};
+
+// Returns the column of an aggregated column for the pivot values of
+// DataTable._pivotGroups(), named after both. Its cells aggregate the rows of a
+// group in group.pivots[column.pivotKey].
+DataTable._pivotColumn = function(column, pivotGroup) {
+	return {id: pivotGroup.name+' '+column.id, label: pivotGroup.name+' '+column.label, type: column.type,
+		pivotKey: pivotGroup.key, pivotName: pivotGroup.name};
+};
+
+// Returns the text of a cell: its formatted value when it has one, else its
+// value as written in CSV, or an empty string for null.
+DataTable._cellText = function(cell, type) {
+	if( DataTable._t.isArray(cell) && cell[1] != null ) { return String(cell[1]); }
+	var value = DataTable._cellValue(cell);
+	return value == null ? '' : DataTable._csv.text(value, type);
+};
+
+/*
+ * Formats a value of the given type as a string for display.
+ *
+ * Args:
+ *   value: The value to format.
+ *   type: The column type of the value.
+ *   pattern: Optional. For numbers, a decimal pattern such as '#,##0.00',
+ *            '$0.#' or '0%'. For date, datetime and timeofday values, a date
+ *            pattern such as 'yyyy-MM-dd', 'MMM d, yyyy' or 'h:mm a'. For
+ *            booleans, the text for true and false separated by a colon, as in
+ *            'yes:no'.
+ *
+ * Returns:
+ *   The formatted value. Null is formatted as an empty string.
+ */
+DataTable._formatValue = function(value, type, pattern) {
+	if( value == null ) { return ''; }
+	if( type == 'number' ) { return DataTable._formatNumber(value, pattern); }
+	if( type == 'boolean' ) {
+		if( !pattern ) { return value ? 'true' : 'false'; }
+		var parts = pattern.split(':');
+		return value ? parts[0] : (parts.length > 1 ? parts[1] : '');
+	}
+	var datePatterns = {date: 'yyyy-MM-dd', datetime: 'yyyy-MM-dd HH:mm:ss', timeofday: 'HH:mm:ss'};
+	if( datePatterns.hasOwnProperty(type) ) {
+		return DataTable._formatDate(value, pattern || datePatterns[type]);
+	}
+	return String(value);
+};
+
+// Formats a number following a decimal pattern, see _formatValue().
+DataTable._formatNumber = function(value, pattern) {
+	if( !pattern || !isFinite(value) ) { return String(value); }
+
+	// A second sub-pattern, after a ';', is used for negative numbers.
+	var patterns = pattern.split(';');
+	var negative = value < 0;
+	var m = /^([^#0,.]*)([#0,]*)(?:\.([#0]*))?(.*)$/.exec(
+		negative && patterns.length > 1 ? patterns[1] : patterns[0]);
+	var prefix = m[1].replace(/'/g, ''),
+		integer = m[2],
+		fraction = m[3] || '',
+		suffix = m[4].replace(/'/g, '');
+
+	var number = Math.abs(value);
+	if( (prefix+suffix).indexOf('%') > -1 ) { number *= 100; }
+	var text = number.toFixed(fraction.length);
+	var optional = fraction.length - fraction.replace(/#/g, '').length;
+	if( optional ) {
+		text = text.replace(new RegExp('0{1,'+optional+'}$'), '').replace(/\.$/, '');
+	}
+
+	var parts = text.split('.');
+	var digits = parts[0];
+	var minDigits = integer.replace(/[#,]/g, '').length;
+	while( digits.length < minDigits ) { digits = '0'+digits; }
+	var groupSize = integer.length - integer.lastIndexOf(',') - 1;
+	if( integer.lastIndexOf(',') > -1 && groupSize > 0 ) {
+		digits = digits.replace(new RegExp('\\B(?=(\\d{'+groupSize+'})+$)', 'g'), ',');
+	}
+
+	var result = prefix+digits+(parts.length > 1 ? '.'+parts[1] : '')+suffix;
+	return negative && patterns.length < 2 ? '-'+result : result;
+};
+
+// Formats a Date following a date pattern, see _formatValue().
+DataTable._formatDate = function(value, pattern) {
+	var months = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+		'August', 'September', 'October', 'November', 'December'];
+	var days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+		'Saturday'];
+	var pad = function(number, length) {
+		number = String(number);
+		while( number.length < length ) { number = '0'+number; }
+		return number;
+	};
+	var fields = {
+		y: function(n) {
+			var year = String(value.getFullYear());
+			return n == 2 ? year.substring(year.length - 2) : pad(year, n);
+		},
+		M: function(n) {
+			if( n > 3 ) { return months[value.getMonth()]; }
+			if( n == 3 ) { return months[value.getMonth()].substring(0, 3); }
+			return pad(value.getMonth() + 1, n);
+		},
+		d: function(n) { return pad(value.getDate(), n); },
+		E: function(n) {
+			return n > 3 ? days[value.getDay()] : days[value.getDay()].substring(0, 3);
+		},
+		H: function(n) { return pad(value.getHours(), n); },
+		k: function(n) { return pad(value.getHours() || 24, n); },
+		h: function(n) { return pad(value.getHours() % 12 || 12, n); },
+		K: function(n) { return pad(value.getHours() % 12, n); },
+		m: function(n) { return pad(value.getMinutes(), n); },
+		s: function(n) { return pad(value.getSeconds(), n); },
+		S: function(n) { return (pad(value.getMilliseconds(), 3)+'000000').substring(0, n); },
+		a: function(n) { return value.getHours() < 12 ? 'AM' : 'PM'; }
+	};
+
+	// Text in single quotes is copied as is, and '' stands for a single quote.
+	return pattern.replace(/'([^']*)'|y+|M+|d+|E+|H+|k+|h+|K+|m+|s+|S+|a+/g, function(token, literal) {
+		if( token.charAt(0) == "'" ) { return literal ? literal : "'"; }
+		return fields[token.charAt(0)](token.length);
+	});
+};
+
+// type detection
+DataTable._t = {
+	type: function(v){
+		if( this.isString(v) ) return 'string';
+		if( this.isArray(v) ) return 'array';
+		if( this.isDate(v) ) return 'date';
+		if( this.isObject(v) ) return 'object';
+		return typeof(v);
+	},
+	hasConstructor: function(obj,c){
+		if( typeof(obj) != 'object' ) return false;
+		if( obj !== null ) {
+			return obj.constructor.toString().match(new RegExp(c)) ? true : false;
+		}
+		return false;
+	},
+	isObject: function(v){
+		if( typeof(v) == 'object' ) return true;
+		return false;
+	},
+	isString: function(v){
+		if( typeof(v) == 'string' ) return true;
+ 		return this.hasConstructor(v,'String');
+	},
+	isDate: function(v){
+ 		return this.hasConstructor(v,'Date');
+	},
+	isArray: function(v){
+		return this.hasConstructor(v,'Array');
+	}
+};
+
+// object enhancement
+DataTable._o = {
+	val: function(obj) {
+		if( typeof(obj) != 'object' ) { return []; }
+		var result = [];
+		for( prop in obj ) { result.push(obj[prop]); }
+		return result;
+	},
+	prop: function(obj) {
+		if( typeof(obj) != 'object' ) { return []; }
+		var result = [];
+		for( prop in obj ) { result.push(prop); }
+		return result;
+	},
+	// Returns a copy of the defaults, with the properties of obj that are
+	// not undefined.
+	defaults: function(obj, defaults) {
+		var result = {};
+		for( var key in defaults ) { result[key] = defaults[key]; }
+		for( var key in obj ) {
+			if( obj[key] !== undefined ) { result[key] = obj[key]; }
+		}
+		return result;
+	},
+	clone: function(obj) {
+		if( !DataTable._t.isObject(obj) ) return {};
+		var newObj = (obj instanceof Array) ? [] : {};
+		for (i in obj) {
+			if (DataTable._t.isDate(obj[i])) {
+				newObj[i] = new Date(obj[i].getTime());
+			} else if (obj[i] && typeof obj[i] == "object") {
+				newObj[i] = this.clone(obj[i]);
+			} else {
+				newObj[i] = obj[i]
+			}
+		} 
+		return newObj;
+	}
+};
+
+/**
+ * A view over a DataTable: some of its columns and rows, in any order, with
+ * calculated columns of its own.
+ *
+ * The view holds the indexes of the rows and columns of the table it shows,
+ * not copies of them, so changes to the table show in the view. It has the
+ * output methods of DataTable (toJSON(), toCSV(), toHTML(), toResponse()...),
+ * its accessors (getValue(), getColumnId()...), query(), group() and pivot(), all
+ * on the rows and columns of the view.
+ *
+ * Args:
+ *   table: The DataTable to show. By default all its columns and rows are
+ *          shown, including the ones added later.
+ *
+ * Example:
+ *   var view = new DataView(table);
+ *   view.setColumns(['name', {id: 'pct', type: 'number', calc: function(row) {
+ *     return row.done / row.total * 100;
+ *   }}]);
+ *   view.setRows(view.getFilteredRows([{column: 'done', minValue: 1}]));
+ *   view.toJSON();
+ */
+function DataView(table) {
+	/**
+	 * Sets the columns of the view.
+	 *
+	 * Args:
+	 *   columns: An array of columns, each either the index or the id of a
+	 *            column of the table, or a calculated column: an object with
+	 *            the properties calc (see DataTable.addCalculatedColumn(),
+	 *            rowIndex being the index of the row in the table), type, and
+	 *            optionally id, label and p (custom properties). Null shows
+	 *            all the columns of the table.
+	 *
+	 * Throws a SchemaError if a column does not exist or a calculated column is
+	 * invalid.
+	 */
+	this.setColumns = function(columns) {
+		if( columns == null ) {
+			this._columnRefs = null;
+			return;
+		}
+		var table = this._table;
+		var refs = columns.map(function(column, i) {
+			if( column == null || typeof(column) != 'object' ) { return table._column(column).id; }
+			if( typeof(column.calc) != 'function' ) {
+				throw new SchemaError('Expected a function to calculate the column', {value: column});
+			}
+			var id = column.id != null ? column.id : '_calc'+i;
+			var parsedCol = DataTable.columnTypeParser([id, column.type, column.label != null ? column.label : id,
+				column.p != null ? column.p : {}, column.role]);
+			parsedCol.calc = column.calc;
+			return parsedCol;
+		});
+		var ids = {};
+		refs.forEach(function(ref) {
+			var id = DataTable._t.isString(ref) ? ref : ref.id;
+			if( ids.hasOwnProperty(id) ) {
+				throw new SchemaError('Column \''+id+'\' is shown twice', {columnId: id});
+			}
+			ids[id] = true;
+		});
+		this._columnRefs = refs;
+	};
+
+	// Hides columns of the table, given by their indexes or ids, from the view.
+	this.hideColumns = function(columns) {
+		var table = this._table;
+		var hidden = columns.map(function(column) { return table._column(column).id; });
+		this._columnRefs = this._columnList().filter(function(ref) {
+			return !DataTable._t.isString(ref) || hidden.indexOf(ref) < 0;
+		});
+	};
+
+	/**
+	 * Sets the rows of the view.
+	 *
+	 * Args:
+	 *   rows: An array of the indexes of the rows of the table to show, in the
+	 *         order to show them, or the index of the first row of a range.
+	 *         Null shows all the rows of the table.
+	 *   lastRow: Optional. The index of the last row of the range, when rows
+	 *            is the index of the first one.
+	 *
+	 * Throws a DataTableError if a row does not exist.
+	 */
+	this.setRows = function(rows, lastRow) {
+		if( rows == null ) {
+			this._rowIndexes = null;
+			return;
+		}
+		if( typeof(rows) == 'number' ) {
+			var first = rows;
+			rows = [];
+			for( var i = first; i <= lastRow; i++ ) { rows.push(i); }
+		}
+		for( var i in rows ) { this._table._rowIndex(rows[i]); }
+		this._rowIndexes = rows.slice();
+	};
+
+	// Returns the indexes of the rows of the table shown, in the order of the
+	// view.
+	this.getViewRows = function() {
+		if( this._rowIndexes != null ) { return this._rowIndexes.slice(); }
+		var rows = [];
+		for( var i = 0; i < this._table.numberOfRows(); i++ ) { rows.push(i); }
+		return rows;
+	};
+
+	// Returns the indexes of the columns of the table shown, -1 standing for
+	// the calculated columns of the view.
+	this.getViewColumns = function() {
+		var table = this._table;
+		return this._columnList().map(function(ref) {
+			return DataTable._t.isString(ref) ? table.getColumnIndex(ref) : -1;
+		});
+	};
+
+	// Returns the index in the table of a row of the view.
+	this.getTableRowIndex = function(rowIndex) {
+		return this._tableRowIndex(rowIndex);
+	};
+
+	// Returns the index in the table of a column of the view, or -1 for a
+	// calculated column of the view.
+	this.getTableColumnIndex = function(column) {
+		var ref = this._columnMap().refs[this._columnIndex(column)];
+		return DataTable._t.isString(ref) ? this._table.getColumnIndex(ref) : -1;
+	};
+
+	// Returns the number of rows of the view.
+	this.numberOfRows = function() {
+		return this._rowIndexes != null ? this._rowIndexes.length : this._table.numberOfRows();
+	};
+
+	// Returns the number of columns of the view.
+	this.getNumberOfColumns = function() {
+		return this._columnMap().refs.length;
+	};
+
+	// Returns the id of a column of the view, given its index or id.
+	this.getColumnId = function(column) {
+		return this._column(column).id;
+	};
+
+	// Returns the label of a column of the view, given its index or id.
+	this.getColumnLabel = function(column) {
+		return this._column(column).label;
+	};
+
+	// Returns the type of a column of the view, given its index or id.
+	this.getColumnType = function(column) {
+		return this._column(column).type;
+	};
+
+	// Returns the index of the column of the view with the given id, or -1 if
+	// there is none.
+	this.getColumnIndex = function(columnId) {
+		var indexes = this._columnMap().indexes;
+		return indexes.hasOwnProperty(columnId) ? indexes[columnId] : -1;
+	};
+
+	// Returns a cell of the view, see DataTable.getCell().
+	this.getCell = function(rowIndex, column) {
+		return DataTable._cellObject(this._cellAt(rowIndex, column));
+	};
+
+	// Returns the value of a cell of the view, see DataTable.getValue().
+	this.getValue = function(rowIndex, column) {
+		return this.getCell(rowIndex, column).v;
+	};
+
+	// Returns the formatted value of a cell of the view, see
+	// DataTable.getFormattedValue().
+	this.getFormattedValue = function(rowIndex, column) {
+		return DataTable._cellText(this._cellAt(rowIndex, column), this._column(column).type);
+	};
+
+	// Returns a custom property of a cell of the view, see
+	// DataTable.getProperty().
+	this.getProperty = function(rowIndex, column, name) {
+		var p = this.getCell(rowIndex, column).p;
+		return p != null && p[name] !== undefined ? p[name] : null;
+	};
+
+	// Returns the custom properties of a row of the view, an empty object when
+	// it has none.
+	this.getRowProperties = function(rowIndex) {
+		return this._table.getRowProperties(this._tableRowIndex(rowIndex));
+	};
+
+	// Returns the indexes of the rows of the view in the order given, see the
+	// orderBy of DataTable.preparedData(). The view is left as it is.
+	this.getSortedRows = function(orderBy) {
+		var viewTable = this._viewTable();
+		var rows = viewTable.preparedData();
+		var compare = viewTable._rowComparator(orderBy);
+		var indexes = rows.map(function(row, i) { return i; });
+		if( compare == null ) { return indexes; }
+		return indexes.sort(function(a, b) { return compare(rows[a], rows[b]) || a - b; });
+	};
+
+	/**
+	 * Returns a new DataTable holding copies of the rows and columns of the
+	 * view, the values of the calculated columns being stored.
+	 */
+	this.toDataTable = function() {
+		var viewTable = this._viewTable();
+		var columns = viewTable._columns;
+		var result = DataTable._withColumns(columns.map(function(col) {
+			var column = {};
+			for( var key in col ) { column[key] = col[key]; }
+			delete column.calc;
+			return column;
+		}), DataTable._o.clone(viewTable.customProperties));
+		var copy = function(cell) {
+			return cell != null && typeof(cell) == 'object' ? DataTable._o.clone(cell) : cell;
+		};
+		result._timeZone = viewTable._timeZone;
+		result._data = viewTable.preparedData().map(function(row) {
+			var values = {};
+			for( var i in columns ) {
+				if( row[0][columns[i].id] != null ) { values[columns[i].id] = copy(row[0][columns[i].id]); }
+			}
+			return [values, row[1] == null ? null : DataTable._o.clone(row[1])];
+		});
+		return result;
+	};
+
+	// Returns the columns shown: the ids of the columns of the table, and the
+	// calculated columns of the view.
+	this._columnList = function() {
+		if( this._columnRefs != null ) { return this._columnRefs; }
+		return this._table._columns.map(function(col) { return col.id; });
+	};
+
+	// Returns the columns shown as _columnList() does, in refs, with the index
+	// of each by id in indexes. It is kept until the columns of the view, or
+	// those of the table, change.
+	this._columnMap = function() {
+		var tableColumns = this._table._columns, cache = this._columnCache;
+		if( cache != null && cache.columnRefs === this._columnRefs &&
+			cache.tableColumns.length == tableColumns.length &&
+			cache.tableColumns.every(function(col, i) { return col === tableColumns[i]; }) ) {
+			return cache;
+		}
+		var refs = this._columnList(), indexes = {};
+		refs.forEach(function(ref, i) { indexes[DataTable._t.isString(ref) ? ref : ref.id] = i; });
+		this._columnCache = {columnRefs: this._columnRefs, tableColumns: tableColumns.slice(), refs: refs,
+			indexes: indexes};
+		return this._columnCache;
+	};
+
+	// Returns the index of a column of the view, given its index or id. Throws
+	// a SchemaError if the column does not exist.
+	this._columnIndex = function(column) {
+		var map = this._columnMap();
+		if( typeof(column) == 'number' ) {
+			if( column % 1 == 0 && column >= 0 && column < map.refs.length ) { return column; }
+			throw new SchemaError('Invalid column index '+column, {value: column});
+		}
+		if( !map.indexes.hasOwnProperty(column) ) {
+			throw new SchemaError('Unknown column \''+column+'\'', {columnId: column});
+		}
+		return map.indexes[column];
+	};
+
+	// Returns the description of a column of the view, given its index or id:
+	// that of the column of the table, or the calculated column of the view.
+	this._column = function(column) {
+		var ref = this._columnMap().refs[this._columnIndex(column)];
+		return DataTable._t.isString(ref) ? this._table._column(ref) : ref;
+	};
+
+	// Returns the index in the table of a row of the view, or throws a
+	// DataTableError if either does not exist.
+	this._tableRowIndex = function(rowIndex) {
+		if( typeof(rowIndex) != 'number' || rowIndex % 1 != 0 || rowIndex < 0 || rowIndex >= this.numberOfRows() ) {
+			throw new DataTableError('Invalid row index '+rowIndex, {rowIndex: rowIndex});
+		}
+		return this._table._rowIndex(this._rowIndexes != null ? this._rowIndexes[rowIndex] : rowIndex);
+	};
+
+	// Returns the stored cell of a row and column of the view. Only the
+	// calculated columns the cell needs are calculated, for that row alone.
+	this._cellAt = function(rowIndex, column) {
+		var table = this._table;
+		var index = this._columnIndex(column), refs = this._columnMap().refs;
+		var tableRow = this._tableRowIndex(rowIndex);
+		if( DataTable._t.isString(refs[index]) ) { return table._cellAt(tableRow, refs[index]); }
+
+		// The calculated columns of the view see the values of the row in the
+		// table and those of the calculated columns before them.
+		var values = table._data[tableRow][0], row = {};
+		if( table._columns.some(function(col) { return col.calc != null; }) ) {
+			values = table._calculatedRow(values, tableRow);
+		}
+		for( var id in values ) { row[id] = DataTable._cellValue(values[id]); }
+		for( var i = 0; i <= index; i++ ) {
+			if( DataTable._t.isString(refs[i]) ) { continue; }
+			var cell = table._storedCell(refs[i].calc(row, tableRow, table), refs[i], rowIndex);
+			row[refs[i].id] = DataTable._cellValue(cell);
+		}
+		return cell;
+	};
+
+	// Returns a DataTable holding the rows and columns of the view. The rows are
+	// those of the table, not copies, but for the values of the calculated
+	// columns of the table, calculated for the rows of the view only.
+	this._viewTable = function() {
+		var self = this, table = this._table;
+		var columns = this._columnMap().refs.map(function(ref) {
+			var column = {};
+			if( !DataTable._t.isString(ref) ) {
+				for( var key in ref ) { column[key] = ref[key]; }
+				column.calc = function(row, rowIndex) { return ref.calc(row, self._tableRowIndex(rowIndex), table); };
+				return column;
+			}
+			var col = table._column(ref);
+			for( var key in col ) { column[key] = col[key]; }
+			// The values of the calculated columns of the table are in the rows
+			delete column.calc;
+			return column;
+		});
+
+		var viewTable = DataTable._withColumns(columns, table.customProperties);
+		viewTable._timeZone = table._timeZone;
+		var calculated = table._columns.some(function(col) { return col.calc != null; });
+		viewTable._data = [];
+		for( var i = 0; i < this.numberOfRows(); i++ ) {
+			var tableRow = this._tableRowIndex(i), row = table._data[tableRow];
+			viewTable._data.push(calculated ? [table._calculatedRow(row[0], tableRow), row[1]] : row);
+		}
+		return viewTable;
+	};
+
+	// The output methods and filtering of DataTable, run on the rows and
+	// columns of the view
+	var self = this;
+	['toJSCode', 'toJSON', 'toStrictJSON', 'toCSV', 'toTSVExcel', 'toXLSX', 'toHTML', 'toJSONResponse',
+		'toStrictJSONResponse', 'toResponse', 'query', 'group', 'pivot', 'preparedData',
+		'getFilteredRows'].forEach(function(name) {
+		self[name] = function() {
+			var viewTable = self._viewTable();
+			return viewTable[name].apply(viewTable, arguments);
+		};
+	});
+
+	if( !(table instanceof DataTable) ) {
+		throw new DataTableError('Expected a DataTable, got '+DataTable._t.type(table), {value: table});
+	}
+	this._table = table;
+	this._columnRefs = null;
+	this._columnCache = null;
+	this._rowIndexes = null;
+}
+
+/*
+ * Formatters
+ *
+ * A formatter writes the formatted values of the cells of a column, in the way
+ * the formatters of the Google Visualization API do. Attach it to a column with
+ * its format() method or with DataTable.setColumnFormatter(): the formatted
+ * values are then written by toJSON(), toStrictJSON(), toJSCode(), toCSV(),
+ * toHTML() and toXLSX(), in place of the formatted values given with the data.
+ *
+ * Every formatter has the methods:
+ *   format(table, columnId): Attaches the formatter to a column of the table.
+ *   formatColumn(cells, column, sources, timeZone): Formats the cells of a
+ *       column, in the order they are written, the datetime values being the
+ *       wall clock times of the time zone of the column or of the table
+ *       (timeZone, null for the local time zone). Returns an array holding,
+ *       for each cell, null to leave it as it is, or {f: formatted value, p:
+ *       custom properties to add to the cell}. Used by DataTable.
+ */
+
+/**
+ * Formats the numbers of a number column.
+ *
+ * Args:
+ *   options: Optional. An object with any of the properties:
+ *     decimalSymbol: The decimal separator, '.' by default.
+ *     fractionDigits: The number of digits after the decimal separator, 2 by
+ *                     default.
+ *     groupingSymbol: The separator of the groups of three digits, ',' by
+ *                     default. An empty string leaves the digits ungrouped.
+ *     negativeColor: The text color of negative numbers, given to the cells
+ *                    as their style custom property (which toHTML() writes
+ *                    with its properties option).
+ *     negativeParens: If true, negative numbers are put in parentheses rather
+ *                     than after a minus sign.
+ *     pattern: A decimal pattern such as '#,##0.00' or '0%', which overrides
+ *              the options above. The pattern is also written as the pattern
+ *              of the column in toJSON().
+ *     prefix, suffix: Text put before and after the number, as in '$'.
+ *
+ * Example:
+ *   new NumberFormat({prefix: '$', negativeParens: true}).formatValue(-1234.5)
+ *   returns '($1,234.50)'
+ */
+function NumberFormat(options) {
+	// Returns the formatted value of a number.
+	this.formatValue = function(value) {
+		if( !isFinite(value) ) { return String(value); }
+		if( this.options.pattern != null ) { return DataTable._formatNumber(value, this.options.pattern); }
+
+		var parts = Math.abs(value).toFixed(this.options.fractionDigits).split('.');
+		var digits = parts[0];
+		if( this.options.groupingSymbol ) {
+			digits = digits.replace(/\B(?=(\d{3})+$)/g, this.options.groupingSymbol);
+		}
+		var text = this.options.prefix+digits+
+			(parts.length > 1 ? this.options.decimalSymbol+parts[1] : '')+this.options.suffix;
+		if( value >= 0 ) { return text; }
+		return this.options.negativeParens ? '('+text+')' : '-'+text;
+	};
+
+	this.formatColumn = function(cells, column) {
+		var self = this;
+		return cells.map(function(cell) {
+			var value = DataTable._cellValue(cell);
+			if( value == null ) { return null; }
+			var result = {f: self.formatValue(value), p: null};
+			if( value < 0 && self.options.negativeColor != null ) {
+				result.p = {style: 'color: '+self.options.negativeColor};
+			}
+			return result;
+		});
+	};
+
+	this.format = function(table, columnId) {
+		table.setColumnFormatter(columnId, this);
+	};
+
+	this.options = DataTable._o.defaults(options, {
+		decimalSymbol: '.',
+		fractionDigits: 2,
+		groupingSymbol: ',',
+		negativeColor: null,
+		negativeParens: false,
+		pattern: null,
+		prefix: '',
+		suffix: ''
+	});
+	this.pattern = this.options.pattern;
+}
+
+/**
+ * Formats the values of a date, datetime or timeofday column.
+ *
+ * Args:
+ *   options: Optional. An object with any of the properties:
+ *     formatType: 'short' (the default), 'medium' or 'long', for the patterns
+ *                 'M/d/yy', 'MMM d, y' and 'MMMM d, y', followed for datetime
+ *                 columns by 'h:mm a', 'h:mm:ss a' and 'h:mm:ss a'. Times of
+ *                 day are written as 'h:mm a' or 'h:mm:ss a'.
+ *     pattern: A date pattern, as in 'yyyy-MM-dd HH:mm', which overrides the
+ *              format type. See DataTable._formatValue() for the pattern
+ *              letters. The pattern is also written as the pattern of the
+ *              column in toJSON().
+ *     timeZone: The time zone to write the values in, in any of the forms of
+ *               DataTable.setTimeZone(), as in -5, 5.5, '+05:30' or
+ *               'Europe/Paris'. By default the values are written in the time
+ *               zone of the column or of the table, else in the local time
+ *               zone.
+ *
+ * Example:
+ *   new DateFormat({pattern: 'yyyy-MM-dd HH:mm', timeZone: 0})
+ *
+ * Throws a DataTableError if the time zone is not supported.
+ */
+function DateFormat(options) {
+	// Returns the formatted value of a Date, for a column of the type. The Date
+	// is the wall clock time in valueTimeZone (null for the local time zone),
+	// the time zone of the column of a datetime value.
+	this.formatValue = function(value, type, valueTimeZone) {
+		if( type == null ) { type = 'date'; }
+		if( this.options.timeZone != null ) {
+			// Written from the instant, so that the time zones don't add up
+			var instant = DataTable._tz.fromZone([value.getFullYear(), value.getMonth(), value.getDate(),
+				value.getHours(), value.getMinutes(), value.getSeconds(), value.getMilliseconds()],
+				valueTimeZone);
+			value = DataTable._tz.toZone(instant, this.options.timeZone);
+		}
+		var pattern = this.options.pattern;
+		if( pattern == null ) {
+			var formats = {
+				'short': ['M/d/yy', 'h:mm a'],
+				'medium': ['MMM d, y', 'h:mm:ss a'],
+				'long': ['MMMM d, y', 'h:mm:ss a']
+			}[this.options.formatType] || ['M/d/yy', 'h:mm a'];
+			pattern = type == 'timeofday' ? formats[1] :
+				type == 'datetime' ? formats.join(' ') : formats[0];
+		}
+		return DataTable._formatDate(value, pattern);
+	};
+
+	this.formatColumn = function(cells, column, sources, timeZone) {
+		var self = this;
+		return cells.map(function(cell) {
+			var value = DataTable._cellValue(cell);
+			return value == null ? null : {f: self.formatValue(value, column.type, timeZone), p: null};
+		});
+	};
+
+	this.format = function(table, columnId) {
+		table.setColumnFormatter(columnId, this);
+	};
+
+	this.options = DataTable._o.defaults(options, {
+		formatType: 'short',
+		pattern: null,
+		timeZone: null
+	});
+	if( this.options.timeZone != null ) { DataTable._tz.check(this.options.timeZone); }
+	this.pattern = this.options.pattern;
+}
+
+/**
+ * Writes the values of several columns in the formatted values of a column.
+ *
+ * Args:
+ *   pattern: The text to write, where {0}, {1}... stand for the value of the
+ *            first, second... source column, as their formatted value when
+ *            the cell has one. Write \{ for a brace that is not part of such a
+ *            placeholder.
+ *
+ * Example:
+ *   new PatternFormat('{0} ({1})').format(table, ['name', 'email'], 'name')
+ *   writes "John (john@example.com)" as the formatted values of name.
+ */
+function PatternFormat(pattern) {
+	// Returns the pattern, with the placeholders replaced by the texts.
+	this.formatValue = function(texts) {
+		return this.pattern.replace(/\\\{|\{(\d+)\}/g, function(token, index) {
+			if( index == null ) { return '{'; }
+			return texts[index] != null ? texts[index] : '';
+		});
+	};
+
+	this.formatColumn = function(cells, column, sources) {
+		var self = this;
+		return sources.map(function(texts) { return {f: self.formatValue(texts), p: null}; });
+	};
+
+	// Attaches the formatter to the destination column, the first source column
+	// by default.
+	this.format = function(table, sourceColumnIds, columnId) {
+		if( !DataTable._t.isArray(sourceColumnIds) ) { sourceColumnIds = [sourceColumnIds]; }
+		if( columnId == null ) { columnId = sourceColumnIds[0]; }
+		table.setColumnFormatter(columnId, this, sourceColumnIds);
+	};
+
+	this.pattern = String(pattern);
+}
+
+/**
+ * Draws a bar for each number of a number column, as HTML.
+ *
+ * The bars grow right from the base for values above it, and left for values
+ * below it. The cells are given the html custom property, so that toHTML()
+ * writes their formatted values as they are.
+ *
+ * Args:
+ *   options: Optional. An object with any of the properties:
+ *     base: The value bars start from, 0 by default.
+ *     colorNegative, colorPositive: The colors of the bars below and above the
+ *                                   base, 'red' and 'blue' by default.
+ *     drawZeroLine: If true, a line is drawn at the base. False by default.
+ *     min, max: The values at the ends of the bars. By default, the smallest
+ *               and largest values of the column (and the base).
+ *     showValue: If false, only the bar is drawn. True by default.
+ *     width: The width of the longest bar, in pixels. 100 by default.
+ */
+function BarFormat(options) {
+	this.formatColumn = function(cells, column) {
+		var o = this.options;
+		var values = cells.map(DataTable._cellValue).filter(function(v){ return v != null && isFinite(v); });
+		var min = o.min != null ? o.min : Math.min.apply(null, values.concat([o.base]));
+		var max = o.max != null ? o.max : Math.max.apply(null, values.concat([o.base]));
+		var scale = max > min ? o.width / (max - min) : 0;
+		var px = function(v) { return Math.round((Math.min(Math.max(v, min), max) - min) * scale); };
+		var span = function(style) { return '<span style=\''+style+'\'></span>'; };
+
+		return cells.map(function(cell) {
+			var value = DataTable._cellValue(cell);
+			if( value == null || !isFinite(value) ) { return null; }
+			var start = px(Math.min(value, o.base)), end = px(Math.max(value, o.base));
+			var html = '<span style=\'display: inline-block; position: relative; width: '+o.width+'px\'>'+
+				span('display: inline-block; margin-left: '+start+'px; width: '+(end - start)+'px; '+
+					'height: 1em; background-color: '+(value < o.base ? o.colorNegative : o.colorPositive));
+			if( o.drawZeroLine ) {
+				html += span('position: absolute; left: '+px(o.base)+'px; top: 0; bottom: 0; '+
+					'border-left: 1px solid black');
+			}
+			html += '</span>';
+			if( o.showValue ) { html += '&nbsp;'+DataTable._escapeHTML(DataTable._cellText(cell, column.type)); }
+			return {f: html, p: {html: true}};
+		});
+	};
+
+	this.format = function(table, columnId) {
+		table.setColumnFormatter(columnId, this);
+	};
+
+	this.html = true;
+	this.options = DataTable._o.defaults(options, {
+		base: 0,
+		colorNegative: 'red',
+		colorPositive: 'blue',
+		drawZeroLine: false,
+		max: null,
+		min: null,
+		showValue: true,
+		width: 100
+	});
+}
+
+/**
+ * Puts an arrow before each number of a number column, as HTML: a green arrow
+ * up for values above the base, and a red arrow down for values below it.
+ * The cells are given the html custom property, so that toHTML() writes their
+ * formatted values as they are.
+ *
+ * Args:
+ *   options: Optional. An object with the property:
+ *     base: The value the numbers are compared to, 0 by default.
+ */
+function ArrowFormat(options) {
+	this.formatColumn = function(cells, column) {
+		var base = this.options.base;
+		return cells.map(function(cell) {
+			var value = DataTable._cellValue(cell);
+			if( value == null ) { return null; }
+			var arrow = '';
+			if( value > base ) {
+				arrow = '<span class=\'gv-arrow-up\' style=\'color: green\'>&#9650;</span>&nbsp;';
+			} else if( value < base ) {
+				arrow = '<span class=\'gv-arrow-down\' style=\'color: red\'>&#9660;</span>&nbsp;';
+			}
+			return {f: arrow+DataTable._escapeHTML(DataTable._cellText(cell, column.type)), p: {html: true}};
+		});
+	};
+
+	this.format = function(table, columnId) {
+		table.setColumnFormatter(columnId, this);
+	};
+
+	this.html = true;
+	this.options = DataTable._o.defaults(options, {base: 0});
+}
+
 exports.DataTable = DataTable;
+exports.DataTableError = DataTableError;
+exports.SchemaError = SchemaError;
+exports.DataTypeError = DataTypeError;
+exports.TqxError = TqxError;
+exports.QueryError = QueryError;
+exports.TimeOfDay = TimeOfDay;
+exports.DataView = DataView;
+exports.NumberFormat = NumberFormat;
+exports.DateFormat = DateFormat;
+exports.PatternFormat = PatternFormat;
+exports.BarFormat = BarFormat;
+exports.ArrowFormat = ArrowFormat;
 
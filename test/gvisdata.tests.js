@@ -21,7 +21,19 @@ strictEqual = qunit.strictEqual,
 exception = qunit.exception;
 
 var
-DataTable = gvisdata.DataTable;
+DataTable = gvisdata.DataTable,
+DataTableError = gvisdata.DataTableError,
+SchemaError = gvisdata.SchemaError,
+DataTypeError = gvisdata.DataTypeError,
+TqxError = gvisdata.TqxError,
+QueryError = gvisdata.QueryError,
+TimeOfDay = gvisdata.TimeOfDay,
+DataView = gvisdata.DataView,
+NumberFormat = gvisdata.NumberFormat,
+DateFormat = gvisdata.DateFormat,
+PatternFormat = gvisdata.PatternFormat,
+BarFormat = gvisdata.BarFormat,
+ArrowFormat = gvisdata.ArrowFormat;
 
 /**
  * output configuration
@@ -111,10 +123,8 @@ test('DataTable.singleValueToJS()',function(){
 	equal(DataTable.singleValueToJS(null, 'date'), 'null'
 		,'date null');
 
-	// UNSUPPORTED: The Javascript version does not support arrays for timeofday values
-	// arrays are used in place of tuples for value formatting and custom
-	// column parameters
-	//equal(DataTable.singleValueToJS([10,11,12] , 'timeofday'),'[10,11,12]');
+	equal(DataTable.singleValueToJS([10,11,12] , 'timeofday'),'[10,11,12]'
+		,'timeofday array');
 	equal(DataTable.singleValueToJS(new Date(2010, 1, 2, 3, 4, 5), 'timeofday'), '[3,4,5]'
 		,'timeofday Date object');
 	equal(DataTable.singleValueToJS(null, 'timeofday'), 'null'
@@ -458,12 +468,12 @@ test('custom properties',function(){
 });
 
 test('toCSV',function(){
-	var init_data_csv = ['"A", "b", "c"','1, "", ""','"", "zz\'top", true'].join('\n');
+	var init_data_csv = ['A,b,c','1,,',',zz\'top,true'].join('\r\n');
 	var table = new DataTable([['a', 'number', 'A'], 'b', ['c', 'boolean']],
 		[[[1, '$1']], [null, "zz'top", true]]);
 	equal(table.toCSV(),init_data_csv);	
 	table.appendData([[-1, 'w', false]]);
-	equal(table.toCSV(),init_data_csv+'\n-1, "w", false');
+	equal(table.toCSV(),init_data_csv+'\r\n-1,w,false');
 
 	// UNSUPPORTED: non-string object properties are not supported in Javascript
 	//init_data_csv = [
@@ -570,9 +580,9 @@ test('toJSONResponse',function(){
 	var start_str_handler = 'MyHandlerFunction';
 	var default_params = ("'version':'0.6', 'reqId':'%s', 'status':'OK'"
 		.replace('%s',req_id));
-	var regex1 = new RegExp("%s\\\(\\\{%s, 'table': \\\{(.*)\\\}\\\}\\\);"
+	var regex1 = new RegExp("%s\\\(\\\{%s, 'sig': '[0-9a-f]{16}', 'table': \\\{(.*)\\\}\\\}\\\);"
 		.replace('%s',start_str_default).replace('%s',default_params));
-	var regex2 = new RegExp("%s\\\(\\\{%s, 'table': \\\{(.*)\\\}\\\}\\\);"
+	var regex2 = new RegExp("%s\\\(\\\{%s, 'sig': '[0-9a-f]{16}', 'table': \\\{(.*)\\\}\\\}\\\);"
 		.replace('%s',start_str_handler).replace('%s',default_params));
 
 	var json_str = table.toJSON();
@@ -652,7 +662,7 @@ test('toTSVExcel - extra',function(){
 	table.loadData({1: [new Date(1,2,3,1, 2, 3)],
 	                2: [[new Date(2,3,4,2, 3, 4), 'time "2 3 4"'],new Date(1, 2, 3, 4, 5, 6)],
 	                3: []})
-	equal(table.toTSVExcel(),table.toCSV().replace(/, /g, "\t"));
+	equal(table.toTSVExcel().toString('utf16le'),'\ufeff'+table.toCSV().replace(/,/g, "\t"));
 });
 
 test('_isColumnDesc',function(){
@@ -705,5 +715,1209 @@ test('object enhancement', function(){
 		,'changes don\'t alter the source');	
 });
 
+test('DataTable.parseQuery',function(){
+	deepEqual(DataTable.parseQuery('select a where b > 3'), {
+		select: [{kind: 'column', id: 'a', pos: 7}],
+		where: {kind: 'operator', op: '>', pos: 15, args: [
+			{kind: 'column', id: 'b', pos: 15},
+			{kind: 'literal', type: 'number', value: 3, pos: 19}]},
+		groupBy: null, pivot: null, orderBy: null, limit: null, offset: null,
+		labels: null, formats: null, options: {noValues: false, noFormat: false}
+	}, 'select and where clauses');
+
+	var query = DataTable.parseQuery("SELECT `the col`, sum(b) GROUP BY `the col` "+
+		"ORDER BY sum(b) DESC LIMIT 5 OFFSET 2 LABEL sum(b) 'Total' OPTIONS no_format");
+	equal(query.select[0].id, 'the col', 'backquoted column id');
+	equal(query.select[1].kind, 'aggregation', 'aggregation');
+	equal(query.orderBy[0].direction, 'desc', 'order direction');
+	equal(query.limit, 5, 'limit');
+	equal(query.offset, 2, 'offset');
+	equal(query.labels[0].value, 'Total', 'label');
+	ok(query.options.noFormat, 'no_format option');
+	deepEqual(DataTable.parseQuery("where d = date '2010-01-02'").where.args[1].value,
+		new Date(2010,0,2), 'date literal');
+
+	exception(function(){ DataTable.parseQuery('select'); }
+		,'Raises exception on missing select list');
+	exception(function(){ DataTable.parseQuery('where a = 1 select a'); }
+		,'Raises exception on clauses out of order');
+	exception(function(){ DataTable.parseQuery('select a limit -1'); }
+		,'Raises exception on negative limit');
+	exception(function(){ DataTable.parseQuery("select a where b = 'x"); }
+		,'Raises exception on unterminated string');
+	exception(function(){ DataTable.parseQuery('select nosuchfn(a)'); }
+		,'Raises exception on unknown function');
+	var error = null;
+	try { DataTable.parseQuery('select a, where'); } catch( e ) { error = e; }
+	ok(error instanceof QueryError, 'Raises exception on a missing expression');
+	ok(/position 10/.test(error), 'Error names the position');
+});
+
+test('query',function(){
+	var table = new DataTable([['name', 'string', 'Name'], 'dept', ['salary', 'number'],
+		['lunch', 'timeofday']], [
+		['John', 'Eng', 1000, new Date(0,0,0,12,0,0)],
+		['Dave', 'Eng', 500, new Date(0,0,0,12,0,0)],
+		['Sally', 'Eng', [600, '$600'], new Date(0,0,0,13,0,0)],
+		['Ben', 'Sales', 400, new Date(0,0,0,12,0,0)],
+		['Dana', 'Sales', 350, new Date(0,0,0,13,0,0)],
+		['Mike', 'Marketing', 800, new Date(0,0,0,13,0,0)]
+	]);
+
+	equal(table.query('').toJSON(), table.toJSON(), 'Empty query returns the whole table');
+	equal(table.query("select name, salary where salary >= 600 order by salary desc").toJSON(),
+		"{cols:[{id:'name',label:'Name',type:'string'},{id:'salary',label:'salary',type:'number'}],"+
+		"rows:[{c:[{v:'John'},{v:1000}]},{c:[{v:'Mike'},{v:800}]},{c:[{v:'Sally'},{v:600,f:'$600'}]}]}",
+		'select, where and order by');
+	equal(table.query("select name where dept = 'Eng' and not name starts with 'J' limit 1 offset 1").toJSON(),
+		"{cols:[{id:'name',label:'Name',type:'string'}],rows:[{c:[{v:'Sally'}]}]}",
+		'limit and offset');
+	equal(table.query("select dept, sum(salary), count(name) group by dept label dept 'Department'").toJSON(),
+		"{cols:[{id:'dept',label:'Department',type:'string'},"+
+		"{id:'sum-salary',label:'sum%20salary',type:'number'},"+
+		"{id:'count-name',label:'count%20Name',type:'number'}],"+
+		"rows:[{c:[{v:'Eng'},{v:2100},{v:3}]},{c:[{v:'Marketing'},{v:800},{v:1}]},"+
+		"{c:[{v:'Sales'},{v:750},{v:2}]}]}",
+		'group by and label');
+	equal(table.query("select dept, max(salary) group by dept pivot lunch").toJSON(),
+		"{cols:[{id:'dept',label:'dept',type:'string'},"+
+		"{id:'12%3A00%3A00%20max-salary',label:'12%3A00%3A00%20max%20salary',type:'number'},"+
+		"{id:'13%3A00%3A00%20max-salary',label:'13%3A00%3A00%20max%20salary',type:'number'}],"+
+		"rows:[{c:[{v:'Eng'},{v:1000},{v:600}]},{c:[{v:'Marketing'},,{v:800}]},"+
+		"{c:[{v:'Sales'},{v:400},{v:350}]}]}",
+		'pivot');
+	equal(table.query("select name, salary / 100 where name = 'John' format salary / 100 '0.00'").toJSON(),
+		"{cols:[{id:'name',label:'Name',type:'string'},{id:'salary/100',label:'salary/100',type:'number'}],"+
+		"rows:[{c:[{v:'John'},{v:10,f:'10.00'}]}]}",
+		'arithmetic and format');
+	equal(table.query("select salary where name = 'Sally' options no_format").toJSON(),
+		"{cols:[{id:'salary',label:'salary',type:'number'}],rows:[{c:[{v:600}]}]}",
+		'no_format option');
+	equal(table.query('select name', ['salary', 'name']).numberOfRows(), 6,
+		'Query on a column order');
+
+	exception(function(){ table.query('select nosuchcolumn'); }
+		,'Raises exception on unknown column');
+	exception(function(){ table.query('select salary', ['name']); }
+		,'Raises exception on column outside of the column order');
+	exception(function(){ table.query("select name where salary = 'a'"); }
+		,'Raises exception on comparing different types');
+	exception(function(){ table.query('select name, sum(salary)'); }
+		,'Raises exception on column neither aggregated nor grouped');
+	exception(function(){ table.query('select sum(name)'); }
+		,'Raises exception on sum of strings');
+	exception(function(){ table.query('select dept, sum(salary) group by dept pivot dept'); }
+		,'Raises exception on column both grouped and pivoted');
+	exception(function(){ table.query("select name label salary 'x'"); }
+		,'Raises exception on label of a column not selected');
+});
+
+test('toResponse - query',function(){
+	var table = new DataTable([['a', 'number'], 'b'], [[1, 'x'], [2, 'y'], [3, 'x']]);
+
+	equal(table.toResponse(null, null, '', ''), table.toJSONResponse(),
+		'Empty query returns the whole table');
+	equal(table.toResponse(null, null, 'out:csv', 'select b, sum(a) group by b'),
+		table.query('select b, sum(a) group by b').toCSV());
+	equal(table.toResponse(null, null, 'reqId:3', 'select a where b = "y"'),
+		table.query('select a where b = "y"').toJSONResponse(null, null, 3));
+	exception(function(){ table.toResponse(null, null, '', 'select c'); }
+		,'Raises exception on invalid query');
+});
+
+test('toErrorResponse',function(){
+	var table = new DataTable(['col1', 'col2'], [['a', 'b']]);
+	var error = null;
+	try { table.toResponse(null, null, '', 'select col3'); } catch( e ) { error = e; }
+
+	var response = DataTable.toErrorResponse(error, 'reqId:7');
+	ok(/^google\.visualization\.Query\.setResponse\(\{'version':'0\.6', 'reqId':'7', 'status':'error', 'errors': \[\{'reason':'invalid_query','message':'Invalid%20query','detailed_message':'.*'\}\]\}\);$/
+		.test(response), 'Query errors are invalid_query');
+	equal(DataTable.toErrorResponse({reason: 'access_denied'}, 'responseHandler:handle'),
+		"handle({'version':'0.6', 'reqId':'0', 'status':'error', 'errors': "+
+		"[{'reason':'access_denied','message':'Access%20denied'}]});",
+		'Error object with a default message');
+	equal(DataTable.toErrorResponse([
+			{reason: 'other', message: 'First', detailedMessage: 'One'},
+			'Unexpected'
+		], 'out:csv'),
+		'Error: other. One\nError: internal_error. Unexpected',
+		'csv output');
+	equal(DataTable.toErrorResponse({reason: 'not_supported', message: '<b>'}, 'out:html'),
+		'<html><body><p>Error: not_supported. &lt;b&gt;</p></body></html>',
+		'html output');
+
+	try { table.toResponse(null, null, 'out:bad'); } catch( e ) { error = e; }
+	ok(/'reason':'not_supported'/.test(DataTable.toErrorResponse(error, 'out:bad')),
+		'Unsupported output is not_supported, and written as json');
+	try { table.toResponse(null, null, 'SomeWrongTqxFormat'); } catch( e ) { error = e; }
+	ok(/'reason':'invalid_request'/.test(DataTable.toErrorResponse(error, 'SomeWrongTqxFormat')),
+		'Malformed tqx is invalid_request');
+
+	exception(function(){ DataTable.toErrorResponse({reason: 'no_such_reason'}); }
+		,'Raises exception on unknown reason');
+});
+
+test('toJSONResponse - warnings',function(){
+	var table = new DataTable(['col1', 'col2'], [['a', 'b']]);
+	var warning = {reason: 'data_truncated', detailedMessage: 'Only 1 row'};
+
+	equal(table.toJSONResponse(null, null, 2, null, [warning]),
+		"google.visualization.Query.setResponse({'version':'0.6', 'reqId':'2', 'status':'warning', "+
+		"'warnings': [{'reason':'data_truncated','message':'Data%20truncated',"+
+		"'detailed_message':'Only%201%20row'}], 'sig': '"+DataTable._signature(table.toJSON())+"', "+
+		"'table': "+table.toJSON()+"});");
+	equal(table.toResponse(null, null, 'reqId:2', '', [warning]),
+		table.toJSONResponse(null, null, 2, null, [warning]));
+	equal(table.toResponse(null, null, 'out:html', '', [warning]),
+		table.toHTML().replace('</body>', '<p>Warning: data_truncated. Only 1 row</p></body>'));
+	equal(table.toResponse(null, null, 'out:csv', '', [warning]), table.toCSV(),
+		'csv output cannot hold warnings');
+	equal(table.toJSONResponse(null, null, 2, null, []), table.toJSONResponse(null, null, 2),
+		'No warnings is an OK response');
+	ok(table.toJSONResponse(null, null, 2, null, [{reason: 'other'}]).indexOf("'reason':'other'") > -1,
+		'other is a warning reason');
+	exception(function(){ table.toJSONResponse(null, null, 2, null, [{reason: 'access_denied'}]); },
+		'Only data_truncated and other are warning reasons');
+	exception(function(){ table.toResponse(null, null, 'out:csv', '', [{reason: 'not_modified'}]); },
+		'Warnings are checked for every output');
+});
+
+test('error classes',function(){
+	var caught = function(fn) {
+		try { fn(); } catch( e ) { return e; }
+		return null;
+	};
+
+	var e = caught(function(){ DataTable.columnTypeParser(['a', 'blah']); });
+	ok(e instanceof SchemaError, 'Unsupported column type is a SchemaError');
+	ok(e instanceof DataTableError && e instanceof Error, 'SchemaError is a DataTableError');
+	equal(e.name, 'SchemaError', 'name');
+	equal(e.columnId, 'a', 'columnId of SchemaError');
+	ok(e.stack, 'Errors have a stack trace');
+	ok(caught(function(){ DataTable.tableDescriptionParser([]); }) instanceof SchemaError,
+		'Empty description is a SchemaError');
+
+	var table = new DataTable([['a', 'number'], ['b', 'string']], [[1, 'x']]);
+	e = caught(function(){ table.appendData([[1, 'a', true]]); });
+	ok(e instanceof DataTypeError, 'Too many elements is a DataTypeError');
+	equal(e.rowIndex, 1, 'rowIndex of appended row');
+
+	e = caught(function(){ DataTable.singleValueToJS('abc', 'number'); });
+	ok(e instanceof DataTypeError, 'Type mismatch is a DataTypeError');
+	equal(e.value, 'abc', 'value of DataTypeError');
+	ok(caught(function(){ DataTable.singleValueToJS(1, 'no_such_type'); }) instanceof SchemaError,
+		'Unknown type is a SchemaError');
+
+	table.appendData([['two', 'y']]);
+	e = caught(function(){ table.toJSON(); });
+	ok(e instanceof DataTypeError, 'toJSON throws DataTypeError on bad data');
+	equal(e.columnId, 'a', 'columnId of bad cell');
+	equal(e.rowIndex, 1, 'rowIndex of bad cell');
+	equal(e.value, 'two', 'value of bad cell');
+	var sorted = new DataTable([['a', 'number'], ['b', 'number']], [[2, 'abc'], [1, 3], [0, 4]]);
+	[function(){ sorted.toJSON(null, 'a'); }, function(){ sorted.toStrictJSON(null, 'a'); },
+		function(){ sorted.toJSCode('t', null, 'a'); }, function(){ sorted.toCSV(null, 'a'); },
+		function(){ sorted.toHTML(null, 'a'); }, function(){ sorted.toXLSX(null, 'a'); }].forEach(function(fn) {
+		e = caught(fn);
+		ok(e instanceof DataTypeError && e.rowIndex == 0 && e.columnId == 'b',
+			'rowIndex of the table, not of the sorted output');
+	});
+
+	table = new DataTable(['a']);
+	e = caught(function(){ table.toResponse(null, null, 'out:bad'); });
+	ok(e instanceof TqxError, 'Unsupported out is a TqxError');
+	equal(e.key, 'out', 'key of TqxError');
+	ok(caught(function(){ table.toResponse(null, null, 'bad'); }) instanceof TqxError,
+		'Malformed tqx is a TqxError');
+
+	e = caught(function(){ table.query('select a, b'); });
+	ok(e instanceof QueryError, 'Unknown column is a QueryError');
+	equal(e.position, 10, 'position of QueryError');
+});
+
+test('toJSONResponse - signature',function(){
+	var table = new DataTable(['col1', 'col2'], [['a', 'b']]);
+	var sig = /'sig': '([0-9a-f]+)'/.exec(table.toJSONResponse())[1];
+
+	equal(sig, DataTable._signature(table.toJSON()), 'Signature of the serialized table');
+	equal(sig, /'sig': '([0-9a-f]+)'/.exec(new DataTable(['col1', 'col2'], [['a', 'b']]).toJSONResponse())[1],
+		'Signature is stable');
+	equal(table.toJSONResponse(null, null, 3, null, null, sig),
+		"google.visualization.Query.setResponse({'version':'0.6', 'reqId':'3', 'status':'error', "+
+		"'errors': [{'reason':'not_modified','message':'Data%20not%20modified'}]});",
+		'not_modified when the signature matches');
+	equal(table.toResponse(null, null, 'reqId:3;sig:'+sig), table.toJSONResponse(null, null, 3, null, null, sig),
+		'toResponse passes the signature');
+	equal(table.toResponse(null, null, 'out:csv;sig:'+sig), table.toCSV(),
+		'Signature is ignored by csv output');
+
+	table.appendData([['c', 'd']]);
+	ok(/'status':'OK'/.test(table.toJSONResponse(null, null, 3, null, null, sig)),
+		'Changed table is sent again');
+	ok(DataTable._signature('ab') != DataTable._signature('ba'), 'Signature depends on order');
+});
 
+test('toStrictJSON',function(){
+	var table = new DataTable([['a', 'number', "A'"], ['b', 'date'], ['c', 'datetime'],
+		['d', 'timeofday'], ['e', 'string', 'e', {col_cp: 'col_v'}]], null, {global_cp: 'global_v'});
+	table.appendData([[1, new Date(2010,0,2), new Date(2010,0,2,3,4,5), new Date(1,2,3,4,5,6),
+		['a"\n', 'A', {cell_cp: 'cell_v'}]]], {row_cp: 'row_v'});
+	table.appendData([[[0, '0$'], null, null, null, null]]);
+
+	var json = '{"cols":[{"id":"a","label":"A\'","type":"number"},'+
+		'{"id":"b","label":"b","type":"date"},'+
+		'{"id":"c","label":"c","type":"datetime"},'+
+		'{"id":"d","label":"d","type":"timeofday"},'+
+		'{"id":"e","label":"e","type":"string","p":{"col_cp":"col_v"}}],'+
+		'"rows":[{"c":[{"v":1},{"v":"Date(2010,0,2)"},{"v":"Date(2010,0,2,3,4,5)"},{"v":[4,5,6]},'+
+		'{"v":"a\\"\\n","f":"A","p":{"cell_cp":"cell_v"}}],"p":{"row_cp":"row_v"}},'+
+		'{"c":[{"v":0,"f":"0$"},null,null,null,{"v":null}]}],'+
+		'"p":{"global_cp":"global_v"}}';
+	equal(table.toStrictJSON(), json, 'Correct strict JSON output');
+	deepEqual(JSON.parse(table.toStrictJSON(['e', 'a'])).rows[1].c, [null, {v: 0, f: '0$'}],
+		'Strict JSON is parsed, with column order');
+	equal(table.toJSON(['a']), "{cols:[{id:'a',label:\"A'\",type:'number'}],"+
+		"rows:[{c:[{v:1}],p:{'row_cp':'row_v'}},{c:[{v:0,f:'0$'}]}],p:{'global_cp':'global_v'}}",
+		'JS literal output keeps zero values');
+	var falsy = new DataTable([['a', 'number'], ['b', 'boolean'], ['c', 'string'], ['d', 'number']],
+		[[0, false, '', null], [null, null, null, 1]]);
+	equal(falsy.toJSON(), "{cols:[{id:'a',label:'a',type:'number'},{id:'b',label:'b',type:'boolean'},"+
+		"{id:'c',label:'c',type:'string'},{id:'d',label:'d',type:'number'}],"+
+		"rows:[{c:[{v:0},{v:false},{v:''},{v:null}]},{c:[,,,{v:1}]}]}",
+		'0, false and empty strings are written in every column, only null cells are left out');
+	deepEqual(JSON.parse(falsy.toStrictJSON()).rows[0].c, [{v: 0}, {v: false}, {v: ''}, {v: null}],
+		'Falsy values in strict JSON');
+
+	equal(DataTable.singleValueToJSON('\u2028', 'string'), '"\\u2028"', 'Line separator is escaped');
+	equal(DataTable.singleValueToJSON(Infinity, 'number'), 'null', 'Infinity is written as null');
+	deepEqual(DataTable.singleValueToJSON([true, 'yes'], 'boolean'), ['true', '"yes"']);
+
+	table.appendData([['x']]);
+	var e = null;
+	try { table.toStrictJSON(); } catch( err ) { e = err; }
+	ok(e instanceof DataTypeError && e.columnId == 'a' && e.rowIndex == 2, 'Errors name the cell');
+});
+
+test('toResponse - json-strict',function(){
+	var table = new DataTable(['col1', 'col2'], [['a', 'b']]);
+	var response = table.toResponse(null, null, 'out:json-strict;reqId:2;responseHandler:handle');
+
+	equal(response, table.toStrictJSONResponse(null, null, 2, 'handle'));
+	var m = /^handle\((.*)\);$/.exec(response);
+	deepEqual(JSON.parse(m[1]), {version: '0.6', reqId: '2', status: 'OK',
+		sig: DataTable._signature(table.toStrictJSON()),
+		table: {cols: [{id: 'col1', label: 'col1', type: 'string'}, {id: 'col2', label: 'col2', type: 'string'}],
+			rows: [{c: [{v: 'a'}, {v: 'b'}]}]}}, 'Response is strict JSON');
+	ok(/"status":"error", "errors": \[\{"reason":"not_modified"/.test(
+		table.toStrictJSONResponse(null, null, 0, null, null, DataTable._signature(table.toStrictJSON()))),
+		'not_modified when the signature matches');
+	equal(DataTable.toErrorResponse({reason: 'invalid_request'}, 'out:json-strict'),
+		'google.visualization.Query.setResponse({"version":"0.6", "reqId":"0", "status":"error", '+
+		'"errors": [{"reason":"invalid_request","message":"Invalid request"}]});');
+});
+
+test('DataTable.fromJSON',function(){
+	var table = new DataTable([['a', 'number', "A'", {col_cp: '50%'}], ['b', 'date'], ['c', 'datetime'],
+		['d', 'timeofday'], ['e', 'string']], null, {global_cp: 'global_v'});
+	table.appendData([[1, new Date(2010,0,2), new Date(2010,0,2,3,4,5), new Date(0,0,0,4,5,6),
+		['a "b"', 'A', {cell_cp: 'cell_v'}]]], {row_cp: 'row_v'});
+	table.appendData([[[0, null, {}], [new Date(2011,1,1), 'Feb 1'], null, null, null], [null, null, null, null, 'z']]);
+
+	var json = table.toJSON();
+	equal(DataTable.fromJSON(json).toJSON(), json, 'Round trip of the JS literal');
+	equal(DataTable.fromJSON(table.toStrictJSON()).toJSON(), json, 'Round trip of the strict JSON');
+	equal(DataTable.fromJSON(JSON.parse(table.toStrictJSON())).toStrictJSON(), table.toStrictJSON(),
+		'Parsed objects are accepted');
+	var described = new DataTable([['a', 'number'], ['x', 'number', 'X', {}, 'interval'],
+		['t', 'string', 'T', {html: 'true'}, 'tooltip']], [[1.25, 1, 'tip']]);
+	described.setColumnFormatter('a', new NumberFormat({pattern: '#.0'}));
+	described.setColumnFormatter('x', new NumberFormat({pattern: '0%'}));
+	json = described.toJSON();
+	ok(json.indexOf("pattern:'%23.0'") > -1 && json.indexOf("role:'tooltip'") > -1, 'Patterns and roles written');
+	equal(DataTable.fromJSON(json).toJSON(), json, 'Round trip of the patterns and roles');
+	equal(DataTable.fromJSON(described.toStrictJSON()).toStrictJSON(), described.toStrictJSON(),
+		'Round trip of the patterns and roles in strict JSON');
+	json = table.toJSON();
+	equal(DataTable.fromJSON("{cols:[{id:'a',type:'string'}],rows:[{c:[{v:'50%25 off'}]},{c:[{v:'100%'}]}]}")
+		.toCSV(null, null, null, {header: false}), '50%25 off\r\n100%', 'Hand written literals are not unescaped');
+
+	var restored = DataTable.fromJSON(json);
+	equal(restored.numberOfRows(), 3);
+	deepEqual(restored.customProperties, {global_cp: 'global_v'}, 'Table custom properties');
+	deepEqual(restored._columns[0].custom_properties, {col_cp: '50%'}, 'Column custom properties are unescaped');
+	equal(restored._columns[0].label, "A'", 'Labels are unescaped');
+	equal(restored._data[0][0].b.getTime(), new Date(2010,0,2).getTime(), 'Dates are restored');
+	equal(restored._data[0][0].d.getMinutes(), 5, 'Times of day are restored');
+	deepEqual(restored._data[0][0].e, ['a "b"', 'A', {cell_cp: 'cell_v'}], 'Formatted value and cell properties');
+	deepEqual(restored._data[0][1], {row_cp: 'row_v'}, 'Row custom properties');
+
+	equal(DataTable.fromJSON('{"cols":[{"type":"number"},{"id":"x","type":"string"}],'+
+		'"rows":[{"c":[{"v":1}]},{"c":[null,{"v":"y"}]}]}').toJSON(),
+		"{cols:[{id:'0',label:'0',type:'number'},{id:'x',label:'x',type:'string'}],"+
+		"rows:[{c:[{v:1},{v:null}]},{c:[,{v:'y'}]}]}",
+		'Missing ids, labels and cells');
+
+	var e = null;
+	try { DataTable.fromJSON("{cols:[{type:'number'}],rows:[{c:[{v:1}}]}"); } catch( err ) { e = err; }
+	ok(e instanceof DataTableError && e.position == 39, 'Malformed literal names the position');
+	e = null;
+	try { DataTable.fromJSON('{"cols":[{"type":"date"}],"rows":[{"c":[{"v":"2010-01-02"}]}]}'); } catch( err ) { e = err; }
+	ok(e instanceof DataTypeError, 'Date strings other than Date(...) are rejected');
+	e = null;
+	try { DataTable.fromJSON('{"rows":[]}'); } catch( err ) { e = err; }
+	ok(e instanceof SchemaError, 'cols are required');
+});
+
+test('DataTable.fromCSV',function(){
+	var csv = 'name,age,member,joined,seen,lunch\r\n'+
+		'John,34,true,2010-01-02,2010-01-02 03:04:05,12:30\r\n'+
+		'"Smith, ""Jane""\nJr.",,FALSE,2011-2-3,2010-01-02,12:30:15.5\r\n'+
+		'"",1e3,,,,\r\n';
+	var table = DataTable.fromCSV(csv);
+	equal(table.toJSON(), "{cols:[{id:'name',label:'name',type:'string'},"+
+		"{id:'age',label:'age',type:'number'},{id:'member',label:'member',type:'boolean'},"+
+		"{id:'joined',label:'joined',type:'date'},{id:'seen',label:'seen',type:'datetime'},"+
+		"{id:'lunch',label:'lunch',type:'timeofday'}],"+
+		"rows:[{c:[{v:'John'},{v:34},{v:true},{v:new Date(2010,0,2)},{v:new Date(2010,0,2,3,4,5)},{v:[12,30,0]}]},"+
+		"{c:[{v:'Smith%2C%20%22Jane%22%0AJr.'},,{v:false},{v:new Date(2011,1,3)},{v:new Date(2010,0,2,0,0,0)},"+
+		"{v:[12,30,15,500]}]},"+
+		"{c:[{v:''},{v:1000},,,,{v:null}]}]}", 'Types are inferred');
+	equal(table._data[1][0].lunch.getMilliseconds(), 500, 'Milliseconds are read');
+
+	equal(DataTable.fromCSV('a;b\n1;2\n', [['x', 'string', 'X'], ['y', 'number']], ';').toJSON(),
+		"{cols:[{id:'x',label:'X',type:'string'},{id:'y',label:'y',type:'number'}],"+
+		"rows:[{c:[{v:'1'},{v:2}]}]}", 'Explicit description and separator');
+	equal(DataTable.fromCSV('a, b\n1, "x, y"', null, ', ').toJSON(),
+		"{cols:[{id:'a',label:'a',type:'number'},{id:'b',label:'b',type:'string'}],"+
+		"rows:[{c:[{v:1},{v:'x%2C%20y'}]}]}", 'Separator longer than a character');
+	equal(DataTable.fromCSV('a,b\n1,x\n2,3').toJSON(),
+		"{cols:[{id:'a',label:'a',type:'number'},{id:'b',label:'b',type:'string'}],"+
+		"rows:[{c:[{v:1},{v:'x'}]},{c:[{v:2},{v:'3'}]}]}", 'Mixed values are strings');
+
+	var caught = function(fn) {
+		try { fn(); } catch( e ) { return e; }
+		return null;
+	};
+	var e = caught(function(){ DataTable.fromCSV('a,b\n1,"2\n3'); });
+	ok(e instanceof DataTableError && e.line == 3 && e.column == 2, 'Unterminated quote');
+	e = caught(function(){ DataTable.fromCSV('a,b\n1,"2"3'); });
+	ok(e instanceof DataTableError && e.line == 2 && e.column == 6, 'Text after a quoted field');
+	e = caught(function(){ DataTable.fromCSV('a,b\n1,2"'); });
+	ok(e instanceof DataTableError && e.line == 2 && e.column == 4, 'Quote in an unquoted field');
+	e = caught(function(){ DataTable.fromCSV('a,b\n1,2\n\n1,2,3'); });
+	ok(e instanceof DataTableError && e.line == 4, 'Too many fields');
+	e = caught(function(){ DataTable.fromCSV('a\nx', [['a', 'number']]); });
+	ok(e instanceof DataTypeError && e.line == 2 && e.column == 1, 'Value not matching the description');
+	e = caught(function(){ DataTable.fromCSV('a\n1', {a: ['b', 'number']}); });
+	ok(e instanceof SchemaError, 'Nested descriptions are rejected');
+
+	e = caught(function(){ DataTable.fromCSV('a,b\n2010-01-02,2010-13-45'); });
+	ok(e instanceof DataTypeError && e.line == 2 && e.column == 12, 'Month out of range');
+	e = caught(function(){ DataTable.fromCSV('a\n2011-02-29 10:00'); });
+	ok(e instanceof DataTypeError && e.line == 2, 'Day out of range');
+	e = caught(function(){ DataTable.fromCSV('a\n24:00'); });
+	ok(e instanceof DataTypeError && e.line == 2, 'Time of day out of range');
+	equal(DataTable.fromCSV('a\n2012-02-29').getValue(0, 0).getDate(), 29, 'Leap day');
+	var early = DataTable.fromCSV('d,dt\n0099-03-04,0012-05-06 07:08');
+	deepEqual([early.getValue(0, 0).getFullYear(), early.getValue(0, 0).getMonth(), early.getValue(0, 0).getDate(),
+		early.getValue(0, 1).getFullYear(), early.getValue(0, 1).getHours()], [99, 2, 4, 12, 7],
+		'Years before 100 are not read as 19xx');
+	equal(DataTable.fromCSV('a\n0000-02-29').getValue(0, 0).getDate(), 29, 'Leap day of the year 0');
+	e = caught(function(){ DataTable.fromCSV('a,b\n1,2', null, ''); });
+	ok(e instanceof DataTableError, 'Empty separator');
+	e = caught(function(){ DataTable.fromCSV('a,b\n1,2', null, 1); });
+	ok(e instanceof DataTableError, 'Separator that is not a string');
+	e = caught(function(){ DataTable.fromCSV('a,b,a\n1,2,3'); });
+	ok(e instanceof DataTableError && e.line == 1 && e.column == 5, 'Header field used twice');
+	e = caught(function(){ DataTable.fromCSV('a,b\n1,2', [['x', 'number'], ['x', 'number']]); });
+	ok(e instanceof SchemaError, 'Description with an id used twice');
+	table = DataTable.fromCSV('zip,n\n01234,7\n-0012,010.5\n0,0');
+	deepEqual([table.getColumnType(0), table.getValue(0, 0), table.getColumnType(1)], ['string', '01234', 'number'],
+		'Integers with leading zeros are strings');
+	equal(DataTable.fromCSV('zip\n01234', [['zip', 'number']]).getValue(0, 0), 1234,
+		'Leading zeros in a number column');
+	table = DataTable.fromCSV('a\n1\n\n3\n');
+	deepEqual([0, 1, 2].map(function(i) { return table.getValue(i, 0); }).concat(table.numberOfRows()),
+		[1, null, 3, 3], 'Empty lines are null values of a single column');
+	equal(DataTable.fromCSV('\na,b\n1,2\n\n3,4\n').numberOfRows(), 2, 'Empty lines are skipped for more columns');
+});
+
+test('toCSV - options',function(){
+	var table = new DataTable([['a', 'number', 'A, "1"'], ['b', 'string'], ['c', 'boolean'], ['d', 'date'],
+		['e', 'datetime'], ['f', 'timeofday']]);
+	table.appendData([[[1, 'one'], 'say "hi"\nthere', true, [new Date(2010,0,2), 'Jan 2'],
+		new Date(2010,0,2,3,4,5), new Date(0,0,0,6,7,8,9)], [null, '', false, null, null, null]]);
+
+	equal(table.toCSV(), '"A, ""1""",b,c,d,e,f\r\n'+
+		'1,"say ""hi""\nthere",true,Jan 2,2010-01-02 03:04:05,06:07:08.009\r\n'+
+		',"",false,,,', 'Fields are quoted when needed, dates formatted');
+	equal(table.toCSV(null, null, ';', {lineEnding: '\n', header: false, formatted: true}),
+		'one;"say ""hi""\nthere";true;Jan 2;2010-01-02 03:04:05;06:07:08.009\n;"";false;;;',
+		'Separator, line ending, no header, formatted values');
+	equal(table.toCSV(['d', 'a'], null, null, {formatted: {d: false, a: true}, quote: 'all'}),
+		'"d","A, ""1"""\r\n"2010-01-02","one"\r\n,', 'Formatted values per column, all quoted');
+	equal(table.toCSV(['a', 'b', 'c'], null, null, {quote: 'nonnumeric', bom: true}),
+		'\ufeff"A, ""1""","b","c"\r\n1,"say ""hi""\nthere",true\r\n,"",false', 'Non numeric quoted, BOM');
+	equal(table.toCSV(['c', 'a'], null, ', ', {header: false}), 'true, 1\r\nfalse, ',
+		'Separator longer than a character');
+	equal(new DataTable([['x', 'number', 'x']]).toCSV(), 'x', 'Only the header');
+	equal(new DataTable([['x', 'number', 5]], [[1]]).toCSV(), '5\r\n1', 'Labels that are not strings');
+
+	var description = [['a', 'number', 'A, "1"'], ['b', 'string'], ['c', 'boolean'], ['d', 'date'],
+		['e', 'datetime'], ['f', 'timeofday']];
+	var csv = table.toCSV(null, null, null, {formatted: false});
+	equal(DataTable.fromCSV(csv, description).toCSV(null, null, null, {formatted: false}), csv,
+		'Round trip through fromCSV');
+	equal(DataTable._escapeValueForCSV('a"b"c'), '"a""b""c"', 'All quotes are doubled');
+	exception(function(){ table.toCSV(null, null, null, {quote: 'some'}); }, 'Unknown quote option');
+});
+
+test('toTSVExcel - encoding',function(){
+	var table = new DataTable([['a', 'string', 'Größe'], ['b', 'number', '價格']],
+		[['tab\there', 1], ['line\r\nbreak\nx', 2]]);
+	var tsv = table.toTSVExcel();
+
+	ok(tsv instanceof Uint8Array, 'Returns bytes');
+	deepEqual([tsv[0], tsv[1], tsv[2], tsv[3]], [0xff, 0xfe, 0x47, 0x00], 'Starts with the UTF-16LE BOM');
+	equal(tsv.length, 2 * '\ufeffGröße\t價格\r\ntab here\t1\r\nline break x\t2'.length, 'Two bytes per character');
+	equal(tsv.toString('utf16le'), '\ufeffGröße\t價格\r\ntab here\t1\r\nline break x\t2',
+		'Non ASCII labels, CRLF line endings and sanitized values');
+	deepEqual(table.toResponse(null, null, 'out:tsv-excel'), tsv, 'toResponse returns the file');
+	var error = DataTable.toErrorResponse([{reason: 'invalid_query', detailedMessage: 'Bad\tquery\nhere'},
+		{reason: 'other'}], 'out:tsv-excel');
+	ok(error instanceof Uint8Array, 'Error responses are bytes too');
+	equal(error.toString('utf16le'), '\ufeffError: invalid_query. Bad query here\r\nError: other. Error',
+		'Error response with a BOM and CRLF line endings');
+});
+
+test('toXLSX',function(){
+	var table = new DataTable([['a', 'number', 'Größe & <x>'], ['b', 'string'], ['c', 'boolean'],
+		['d', 'date'], ['e', 'datetime'], ['f', 'timeofday']]);
+	table.appendData([[1.5, 'x $& y', true, new Date(2010,0,2), new Date(2010,0,2,12,0,0),
+		new Date(0,0,0,6,0,0)], [[2, 'two'], null, false, null, null, null]]);
+	var xlsx = table.toXLSX(null, null, 'Data/2010');
+	// The files are stored uncompressed, so their XML can be read in the zip.
+	var text = xlsx.toString('utf8');
+
+	ok(xlsx instanceof Uint8Array, 'Returns bytes');
+	equal(xlsx.toString('latin1', 0, 4), 'PK\u0003\u0004', 'Starts with a zip local file header');
+	equal(xlsx.toString('latin1', xlsx.length - 22, xlsx.length - 18), 'PK\u0005\u0006',
+		'Ends with the end of central directory');
+	equal(xlsx.readUInt16LE(xlsx.length - 12), 6, 'Holds the six parts of a workbook');
+	ok(text.indexOf('<sheet name="Data 2010" sheetId="1" r:id="rId1"/>') > -1, 'Sheet name');
+	ok(text.indexOf('<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">'+
+		'Größe &amp; &lt;x&gt;</t></is></c>') > -1, 'Bold, escaped labels');
+	ok(text.indexOf('<row r="2"><c r="A2"><v>1.5</v></c>'+
+		'<c r="B2" t="inlineStr"><is><t xml:space="preserve">x $&amp; y</t></is></c>'+
+		'<c r="C2" t="b"><v>1</v></c><c r="D2" s="2"><v>40180</v></c>'+
+		'<c r="E2" s="3"><v>40180.5</v></c><c r="F2" s="4"><v>0.25</v></c></row>') > -1,
+		'Typed cells and Excel dates');
+	ok(text.indexOf('<row r="3"><c r="A3" s="5"><v>2</v></c>'+
+		'<c r="C3" t="b"><v>0</v></c></row>') > -1, 'Values with their formatted values, null cells left out');
+	ok(text.indexOf('<numFmt numFmtId="167" formatCode="&quot;two&quot;;&quot;two&quot;"/>') > -1,
+		'The formatted value as a number format');
+	table.setColumnFormatter('d', new DateFormat({pattern: 'd MMM yyyy'}));
+	ok(table.toXLSX().toString('utf8').indexOf('<c r="D2" s="5"><v>40180</v></c>') > -1,
+		'Dates with a formatter are written as dates');
+	var formatted = new DataTable([['n', 'number'], ['s', 'string'], ['b', 'boolean']],
+		[[[600, '$600'], ['x', 'The "x"'], [true, 'yes']]]);
+	formatted.setColumnFormatter('n', new NumberFormat({prefix: '$', fractionDigits: 0}));
+	formatted.appendData([[1000, null, null]]);
+	text = formatted.toXLSX().toString('utf8');
+	ok(text.indexOf('<row r="2"><c r="A2" s="5"><v>600</v></c>'+
+		'<c r="B2" s="6" t="inlineStr"><is><t xml:space="preserve">x</t></is></c>'+
+		'<c r="C2" t="inlineStr"><is><t xml:space="preserve">yes</t></is></c></row>'+
+		'<row r="3"><c r="A3" s="7"><v>1000</v></c></row>') > -1,
+		'Formatted values of the data and of the formatters');
+	ok(text.indexOf('<numFmt numFmtId="167" formatCode="&quot;$600&quot;;&quot;$600&quot;"/>'+
+		'<numFmt numFmtId="168" formatCode=";;;&quot;The &quot;\\&quot;&quot;x&quot;\\&quot;&quot;&quot;"/>'+
+		'<numFmt numFmtId="169" formatCode="&quot;$1,000&quot;;&quot;$1,000&quot;"/>') > -1,
+		'Number formats of the formatted values');
+	ok(text.indexOf('<cellXfs count="8">') > -1, 'A style per number format');
+	deepEqual(table.toResponse(null, null, 'out:xlsx'), table.toXLSX(), 'toResponse writes xlsx');
+	var error = DataTable.toErrorResponse({reason: 'invalid_query'}, 'out:xlsx');
+	ok(error instanceof Uint8Array && error.toString('latin1', 0, 4) == 'PK\u0003\u0004', 'Error responses are workbooks');
+	ok(error.toString('utf8').indexOf('<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">'+
+		'Error: invalid_query. Invalid query</t></is></c></row>') > -1, 'Error line in the workbook');
+
+	equal(DataTable._crc32(DataTable._encodeUTF8('123456789')), 0xcbf43926, 'CRC-32 check value');
+	deepEqual(Array.prototype.slice.call(DataTable._encodeUTF8('aé€😀')),
+		[0x61, 0xc3, 0xa9, 0xe2, 0x82, 0xac, 0xf0, 0x9f, 0x98, 0x80], 'UTF-8');
+	equal(DataTable._xlsx.ref(27, 9), 'AB10', 'Cell references');
+});
+
+test('toHTML - options',function(){
+	var table = new DataTable([['a', 'number', 'A', {className: 'amount'}], ['b', 'string', 'B', {style: 'color: red'}]],
+		null, {caption: 'Sales & <more>', className: 'report'});
+	table.appendData([[[1, '$1', {className: 'hot'}], "it's"]], {className: 'first'});
+	table.appendData([[[2, null, {style: 'font-weight: bold'}], null]]);
+
+	equal(table.toHTML(null, null, {fragment: true}),
+		"<table border='1'><thead><tr><th>A</th><th>B</th></tr></thead><tbody>"+
+		"<tr><td>'$1'</td><td>&quot;it's&quot;</td></tr><tr><td>2</td><td></td></tr></tbody></table>",
+		'Fragment, custom properties ignored by default');
+	equal(table.toHTML(null, null, {fragment: true, properties: true, scope: true, alignNumbers: true,
+		typeClassPrefix: 'gv-', formatted: false, border: null}),
+		"<table class='report'><caption>Sales &amp; &lt;more&gt;</caption>"+
+		"<thead><tr><th scope='col' class='gv-number amount'>A</th>"+
+		"<th scope='col' class='gv-string' style='color: red'>B</th></tr></thead><tbody>"+
+		"<tr class='first'><td class='gv-number amount hot' style='text-align: right'>1</td>"+
+		"<td class='gv-string' style='color: red'>it's</td></tr>"+
+		"<tr><td class='gv-number amount' style='text-align: right; font-weight: bold'>2</td>"+
+		"<td class='gv-string' style='color: red'></td></tr></tbody></table>",
+		'All options');
+	equal(table.toHTML(['b'], null, {}), "<html><body><table border='1'><thead><tr><th>B</th></tr></thead>"+
+		"<tbody><tr><td>&quot;it's&quot;</td></tr><tr><td></td></tr></tbody></table></body></html>",
+		'Whole document by default');
+});
 
+test('column roles',function(){
+	deepEqual(DataTable.columnTypeParser(['t', 'string', 'Tip', {}, 'tooltip']),
+		{id: 't', label: 'Tip', type: 'string', custom_properties: {}, role: 'tooltip'}, 'Role in the array form');
+	deepEqual(DataTable.columnTypeParser(['i', 'number', 'i', {role: 'interval'}]),
+		{id: 'i', label: 'i', type: 'number', custom_properties: {role: 'interval'}, role: 'interval'},
+		'Role as a custom property');
+	deepEqual(DataTable.tableDescriptionParser({c: ['boolean', 'C', {}, 'certainty']}),
+		[{id: 'c', label: 'C', type: 'boolean', custom_properties: {}, role: 'certainty',
+			depth: 0, container: 'dict'}], 'Role in the object form');
+	exception(function(){ DataTable.columnTypeParser(['a', 'string', 'a', {}, 'sparkle']); }, 'Unknown role');
+	exception(function(){ DataTable.columnTypeParser(['a', 'string', 'a', {}, 'interval']); }, 'Role and type mismatch');
+	exception(function(){ DataTable.columnTypeParser(['a', 'string', 'a', {role: 'style'}, 'tooltip']); },
+		'Role and role custom property mismatch');
+	exception(function(){ DataTable.columnTypeParser(['a', 'string', 'a', {}, 'tooltip', 'x']); }, 'Array too long');
+
+	var table = new DataTable([['x', 'string'], ['y', 'number'], ['tip', 'string', 'Tip', {html: 'true'}, 'tooltip'],
+		['low', 'number', 'Low', {}, 'interval']], [['a', 1, 'one', 0]]);
+	equal(table.toJSON(), "{cols:[{id:'x',label:'x',type:'string'},{id:'y',label:'y',type:'number'},"+
+		"{id:'tip',label:'Tip',type:'string',role:'tooltip',p:{'html':'true'}},"+
+		"{id:'low',label:'Low',type:'number',role:'interval'}],"+
+		"rows:[{c:[{v:'a'},{v:1},{v:'one'},{v:0}]}]}", 'toJSON');
+	ok(table.toStrictJSON().indexOf('"type":"string","role":"tooltip"') > -1, 'toStrictJSON');
+	ok(table.toJSCode('t').indexOf("t.addColumn({type: 'string', label: 'Tip', id: 'tip', role: 'tooltip'});\n") > -1,
+		'toJSCode');
+	equal(DataTable.fromJSON(table.toJSON()).toJSON(), table.toJSON(), 'fromJSON keeps roles');
+	equal(table.query('select *').toJSON(), table.toJSON(), 'Query results keep roles');
+
+	equal(table.toCSV(), 'x,y,Tip,Low\r\na,1,one,0', 'Role columns are written by default');
+	equal(table.toCSV(null, null, null, {roles: false}), 'x,y\r\na,1', 'Role columns left out of CSV');
+	equal(table.toHTML(null, null, {roles: false, fragment: true}),
+		"<table border='1'><thead><tr><th>x</th><th>y</th></tr></thead>"+
+		"<tbody><tr><td>'a'</td><td>1</td></tr></tbody></table>", 'Role columns left out of HTML');
+});
+
+test('formatters',function(){
+	equal(new NumberFormat().formatValue(1234567.891), '1,234,567.89', 'Default number format');
+	equal(new NumberFormat({prefix: '$', negativeParens: true}).formatValue(-1234.5), '($1,234.50)',
+		'Prefix and parentheses');
+	equal(new NumberFormat({decimalSymbol: ',', groupingSymbol: '.', fractionDigits: 1, suffix: ' EUR'})
+		.formatValue(-9876.54), '-9.876,5 EUR', 'Symbols and suffix');
+	equal(new NumberFormat({pattern: '0.#%'}).formatValue(0.125), '12.5%', 'Number pattern');
+	equal(new DateFormat({formatType: 'long'}).formatValue(new Date(2020,0,5)), 'January 5, 2020',
+		'Long date');
+	equal(new DateFormat({formatType: 'medium'}).formatValue(new Date(2020,0,5,13,4,5), 'datetime'),
+		'Jan 5, 2020 1:04:05 PM', 'Medium datetime');
+	equal(new DateFormat({pattern: 'yyyy-MM-dd HH:mm', timeZone: 5.5})
+		.formatValue(new Date(Date.UTC(2020,0,1,20,0)), 'datetime'), '2020-01-02 01:30', 'Time zone');
+	equal(new DateFormat({pattern: 'HH:mm', timeZone: '+05:30'})
+		.formatValue(new Date(Date.UTC(2020,0,1,20,0)), 'datetime'), '01:30', 'Time zone as a string');
+	exception(function(){ new DateFormat({timeZone: 'Nowhere/Land'}); }, 'Unsupported time zone');
+	var zoned = new DataTable([['dt', 'datetime']], [[Date.UTC(2020,0,1,12,0)]]);
+	new DateFormat({pattern: 'HH:mm', timeZone: 5}).format(zoned, 'dt');
+	equal(zoned.toCSV(null, null, null, {header: false}), '17:00', 'Formatter time zone');
+	zoned.setTimeZone(5, 'dt');
+	equal(zoned.toCSV(null, null, null, {header: false}), '17:00',
+		'The formatter time zone does not add up with the column time zone');
+	zoned.setTimeZone('America/New_York');
+	zoned.setTimeZone(null, 'dt');
+	equal(zoned.toCSV(null, null, null, {header: false}), '17:00',
+		'The formatter time zone does not add up with the table time zone');
+	new DateFormat({pattern: 'HH:mm'}).format(zoned, 'dt');
+	equal(zoned.toCSV(null, null, null, {header: false}), '07:00', 'Without a formatter time zone, the table one');
+	equal(new PatternFormat('\\{{0}} {1}').formatValue(['a', 'b']), '{a} b', 'Pattern with an escaped brace');
+
+	var table = new DataTable([['name', 'string'], ['amount', 'number'], ['day', 'date'], ['mail', 'string']],
+		[['Ann', -1234.5, new Date(2020,0,5), 'ann@example.com'], ['Bob', [20, 'twenty'], null, null]]);
+	new NumberFormat({prefix: '$', negativeColor: 'red'}).format(table, 'amount');
+	new DateFormat({pattern: 'MMM d'}).format(table, 'day');
+	new PatternFormat('{0} <{1}>').format(table, ['name', 'mail']);
+	equal(table.toJSON(), "{cols:[{id:'name',label:'name',type:'string'},{id:'amount',label:'amount',type:'number'},"+
+		"{id:'day',label:'day',type:'date',pattern:'MMM%20d'},{id:'mail',label:'mail',type:'string'}],"+
+		"rows:[{c:[{v:'Ann',f:'Ann%20<ann@example.com>'},{v:-1234.5,f:'-$1%2C234.50',p:{'style':'color%3A%20red'}},"+
+		"{v:new Date(2020,0,5),f:'Jan%205'},{v:'ann@example.com'}]},"+
+		"{c:[{v:'Bob',f:'Bob%20<>'},{v:20,f:'$20.00'},,{v:null}]}]}", 'toJSON');
+	equal(table.toCSV(), 'name,amount,day,mail\r\nAnn <ann@example.com>,"-$1,234.50",Jan 5,ann@example.com\r\n'+
+		'Bob <>,$20.00,,', 'toCSV writes the formatted values');
+	ok(table.toJSCode('t').indexOf("t.addColumn({type: 'date', label: 'day', id: 'day', pattern: 'MMM%20d'});") > -1,
+		'toJSCode writes the pattern');
+	deepEqual(table._data[1][0].amount, [20, 'twenty'], 'The data is not modified');
+	exception(function(){ new NumberFormat().format(table, 'nope'); }, 'Unknown column');
+	table.setColumnFormatter('amount', null);
+	ok(table.toJSON().indexOf("{v:20,f:'twenty'}") > -1, 'Formatter removed');
+
+	var bars = new DataTable([['v', 'number']], [[5], [-3]]);
+	new BarFormat({width: 80, showValue: false}).format(bars, 'v');
+	equal(bars.toHTML(null, null, {fragment: true}), "<table border='1'><thead><tr><th>v</th></tr></thead><tbody>"+
+		"<tr><td><span style='display: inline-block; position: relative; width: 80px'>"+
+		"<span style='display: inline-block; margin-left: 30px; width: 50px; height: 1em; background-color: blue'>"+
+		"</span></span></td></tr>"+
+		"<tr><td><span style='display: inline-block; position: relative; width: 80px'>"+
+		"<span style='display: inline-block; margin-left: 0px; width: 30px; height: 1em; background-color: red'>"+
+		"</span></span></td></tr></tbody></table>", 'BarFormat');
+	equal(bars.toCSV(), 'v\r\n5\r\n-3', 'HTML formatters are left out of CSV');
+	new ArrowFormat({base: 4}).format(bars, 'v');
+	equal(bars.toHTML(null, null, {fragment: true}), "<table border='1'><thead><tr><th>v</th></tr></thead><tbody>"+
+		"<tr><td><span class='gv-arrow-up' style='color: green'>&#9650;</span>&nbsp;5</td></tr>"+
+		"<tr><td><span class='gv-arrow-down' style='color: red'>&#9660;</span>&nbsp;-3</td></tr></tbody></table>",
+		'ArrowFormat');
+
+	var unsafe = DataTable.fromJSON({cols: [{id: 'v', type: 'string'}],
+		rows: [{c: [{v: 'x', f: '<img src=x onerror=alert(1)>', p: {html: true}}]}]});
+	equal(unsafe.toHTML(null, null, {fragment: true}), "<table border='1'><thead><tr><th>v</th></tr></thead><tbody>"+
+		"<tr><td>'&lt;img%20src%3Dx%20onerror%3Dalert%281%29&gt;'</td></tr></tbody></table>",
+		'Formatted values of the data are escaped, even with the html property');
+});
+
+test('time zones',function(){
+	var table = new DataTable([['dt', 'datetime'], ['d', 'date'], ['t', 'timeofday']], null, null, {timeZone: 'UTC'});
+	table.appendData([[Date.UTC(2020,0,5,23,30,0,250), Date.UTC(2020,0,5,23,30), '08:15:30.5']]);
+	equal(table.toJSON(), "{cols:[{id:'dt',label:'dt',type:'datetime'},{id:'d',label:'d',type:'date'},"+
+		"{id:'t',label:'t',type:'timeofday'}],rows:[{c:[{v:new Date(2020,0,5,23,30,0,250)},"+
+		"{v:new Date(2020,0,5)},{v:[8,15,30,500]}]}]}", 'Epoch numbers in UTC, with milliseconds');
+	equal(table.toCSV(), 'dt,d,t\r\n2020-01-05 23:30:00.250,2020-01-05,08:15:30.500', 'toCSV');
+	equal(table.query('select hour(dt), minute(dt)').toCSV(null, null, null, {header: false}), '23,30',
+		'Queries read the time zone');
+	ok(table.toStrictJSON().indexOf('"Date(2020,0,5,23,30,0,250)"') > -1, 'toStrictJSON');
+
+	table.setTimeZone('+02:00', 'dt');
+	ok(table.toJSON().indexOf('{v:new Date(2020,0,6,1,30,0,250)}') > -1, 'Fixed offset of a column');
+	table.setTimeZone('Asia/Kolkata', ['dt']);
+	ok(table.toJSON().indexOf('{v:new Date(2020,0,6,5,0,0,250)}') > -1, 'IANA time zone');
+	table.setTimeZone(null, 'dt');
+	ok(table.toJSON().indexOf('{v:new Date(2020,0,5,23,30,0,250)}') > -1, 'Back to the time zone of the table');
+
+	var ny = new DataTable([['dt', 'datetime'], ['d', 'date']], null, null, {timeZone: -5});
+	ny.appendData([['2020-03-01T10:00', Date.UTC(2020,2,2,3,0)], ['2020-03-01T10:00:00Z', '2020-03-01']]);
+	equal(ny.toCSV(null, null, null, {header: false}), '2020-03-01 10:00:00,2020-03-01\r\n2020-03-01 05:00:00,2020-03-01',
+		'ISO strings, with and without offset');
+	ny.setTimeZone('UTC');
+	equal(ny.toCSV(null, null, null, {header: false}), '2020-03-01 15:00:00,2020-03-01\r\n2020-03-01 10:00:00,2020-03-01',
+		'Instants written in another time zone, dates left as they are');
+
+	exception(function(){ ny.setTimeZone('Nowhere/Nothing'); }, 'Unknown IANA time zone');
+	exception(function(){ ny.setTimeZone('UTC', 'x'); }, 'Unknown column');
+	ny.appendData([['yesterday', null]]);
+	exception(function(){ ny.toJSON(); }, 'Other strings are still rejected');
+});
+
+test('timeofday arrays',function(){
+	equal(DataTable.singleValueToJS(new TimeOfDay(10, 11, 12), 'timeofday'), '[10,11,12]', 'TimeOfDay');
+	equal(DataTable.singleValueToJS(new TimeOfDay([10, 11, 12, 13]), 'timeofday'), '[10,11,12,13]',
+		'TimeOfDay from an array, with milliseconds');
+	deepEqual(DataTable.singleValueToJS([[10,11,12], '10am'], 'timeofday'), ['[10,11,12]', "'10am'"],
+		'Array with a formatted value');
+	deepEqual(DataTable.singleValueToJSON([10,11,12,500], 'timeofday'), '[10,11,12,500]', 'Strict JSON');
+	equal(String(new TimeOfDay(8, 5)), '08:05:00', 'toString');
+	ok(new TimeOfDay(8, 5) < new TimeOfDay(8, 5, 1), 'TimeOfDays compare');
+	exception(function(){ new TimeOfDay(24, 0); }, 'Hours out of range');
+	exception(function(){ DataTable.singleValueToJS([10,60,0], 'timeofday'); }, 'Minutes out of range');
+	exception(function(){ DataTable.singleValueToJS([10,1.5,0], 'timeofday'); }, 'Not an integer');
+	exception(function(){ DataTable.singleValueToJS(new TimeOfDay(1, 2), 'date'); }, 'Not a date');
+
+	var table = new DataTable([['t', 'timeofday'], ['n', 'number']],
+		[[[8,15,30], 1], [new TimeOfDay(9, 0), 2], [[[10,0,0,250], 'ten', {x: 'y'}], 3], [new Date(0,0,0,7,0,0), 4]]);
+	equal(table.toJSON(), "{cols:[{id:'t',label:'t',type:'timeofday'},{id:'n',label:'n',type:'number'}],"+
+		"rows:[{c:[{v:[8,15,30]},{v:1}]},{c:[{v:[9,0,0]},{v:2}]},{c:[{v:[10,0,0,250],f:'ten',p:{'x':'y'}},{v:3}]},"+
+		"{c:[{v:[7,0,0]},{v:4}]}]}", 'Arrays, TimeOfDays and Dates are written alike');
+	equal(table.toCSV(null, null, null, {formatted: false, header: false}),
+		'08:15:30,1\r\n09:00:00,2\r\n10:00:00.250,3\r\n07:00:00,4', 'toCSV');
+	equal(table.toCSV(null, 't', null, {formatted: false, header: false}).split('\r\n')[0], '07:00:00,4',
+		'Sorted as times');
+	equal(table.query("select n where t > timeofday '09:00:00'").toCSV(null, null, null, {header: false}), '3',
+		'Queries read them as times');
+	try {
+		table.appendData([[[25,0,0], 5]]);
+		ok(false, 'Out of range in the data');
+	} catch( e ) {
+		ok(e instanceof DataTypeError && e.columnId == 't' && e.rowIndex == 4, 'Out of range in the data');
+	}
+});
+
+test('cell objects',function(){
+	deepEqual(DataTable.singleValueToJS({v: 5, f: '5$'}, 'number'), ['5', "'5$'"], 'Value and formatted value');
+	deepEqual(DataTable.singleValueToJS({v: 5, p: {a: 'b'}}, 'number'), ['5', null], 'Custom properties only');
+	equal(DataTable.singleValueToJS({v: 'x'}, 'string'), "'x'", 'Value only');
+	equal(DataTable.singleValueToJS({v: [10,11,12]}, 'timeofday'), '[10,11,12]', 'Timeofday array value');
+	deepEqual(DataTable.singleValueToJSON({v: new Date(2010,0,2), f: 'Jan 2'}, 'date'), ['"Date(2010,0,2)"', '"Jan 2"'],
+		'Strict JSON');
+	exception(function(){ DataTable.singleValueToJS({v: 'a', f: 5}, 'string'); }, 'Formatted value not a string');
+
+	var table = new DataTable([['a', 'number'], ['b', 'string'], ['t', 'timeofday']],
+		[[{v: 1, f: 'one', p: {style: 'color: red'}}, {v: 'x'}, {v: [8,0,0], f: '8am'}], [{f: 'none'}, 'y', null]]);
+	var arrays = new DataTable([['a', 'number'], ['b', 'string'], ['t', 'timeofday']],
+		[[[1, 'one', {style: 'color: red'}], 'x', [[8,0,0], '8am']], [[null, 'none'], 'y', null]]);
+	equal(table.toJSON(), arrays.toJSON(), 'toJSON, as the array form');
+	equal(table.toJSCode('t'), arrays.toJSCode('t'), 'toJSCode, as the array form');
+	equal(table.toCSV(), arrays.toCSV(), 'toCSV, as the array form');
+	equal(table.toHTML(), arrays.toHTML(), 'toHTML, as the array form');
+
+	deepEqual(table.getCell(0, 'a'), {v: 1, f: 'one', p: {style: 'color: red'}}, 'getCell by column id');
+	deepEqual(table.getCell(0, 1), {v: 'x', f: null, p: null}, 'getCell by column index');
+	deepEqual(table.getCell(1, 0), {v: null, f: 'none', p: null}, 'getCell of a null value');
+	exception(function(){ table.getCell(2, 0); }, 'Unknown row');
+	exception(function(){ table.getCell(0, 'c'); }, 'Unknown column');
+	exception(function(){ table.getCell(0, 3); }, 'Column index out of range');
+});
+
+test('rows and cells',function(){
+	var table = new DataTable([['a', 'number'], ['b', 'string'], ['d', 'date']],
+		[[[1, 'one', {x: 'y'}], 'z', new Date(2010,0,2)], [2, null, null]], null);
+	table.setRowsCustomProperties(0, {r: 's'});
+
+	equal(table.getValue(0, 'a'), 1, 'getValue');
+	equal(table.getFormattedValue(0, 0), 'one', 'getFormattedValue');
+	equal(table.getFormattedValue(0, 'd'), '2010-01-02', 'getFormattedValue without a formatted value');
+	equal(table.getFormattedValue(1, 'b'), '', 'getFormattedValue of null');
+	equal(table.getProperty(0, 'a', 'x'), 'y', 'getProperty');
+	strictEqual(table.getProperty(0, 'a', 'w'), null, 'getProperty without the property');
+	deepEqual(table.getRowProperties(0), {r: 's'}, 'getRowProperties');
+	deepEqual(table.getRowProperties(1), {}, 'getRowProperties without properties');
+
+	table.setValue(0, 'a', 3);
+	deepEqual(table.getCell(0, 'a'), {v: 3, f: null, p: {x: 'y'}}, 'setValue keeps the custom properties');
+	table.setFormattedValue(0, 'a', 'three');
+	table.setProperty(0, 'a', 'w', 'v');
+	table.setProperty(0, 'a', 'x', null);
+	deepEqual(table.getCell(0, 'a'), {v: 3, f: 'three', p: {w: 'v'}}, 'setFormattedValue and setProperty');
+	table.setCell(1, 'd', '2011-02-03', 'Feb 3');
+	deepEqual(table.getCell(1, 'd'), {v: new Date(2011,1,3), f: 'Feb 3', p: null}, 'setCell reads ISO strings');
+	table.setCell(1, 'b', {v: 'w', p: {q: 'r'}});
+	deepEqual(table.getCell(1, 'b'), {v: 'w', f: null, p: {q: 'r'}}, 'setCell with a cell object');
+	table.setCell(1, 'b', null);
+	deepEqual(table.getCell(1, 'b'), {v: null, f: null, p: {q: 'r'}}, 'setCell to null clears the value only');
+	table.setCell(0, 'a', undefined, 'uno');
+	deepEqual(table.getCell(0, 'a'), {v: 3, f: 'uno', p: {w: 'v'}}, 'Undefined leaves the value as it is');
+	table.setCell(0, 'a', 4);
+	deepEqual(table.getCell(0, 'a'), {v: 4, f: 'uno', p: {w: 'v'}},
+		'Undefined leaves the formatted value and the properties as they are');
+	table.setCell(0, 'a', undefined, null, null);
+	deepEqual(table.getCell(0, 'a'), {v: 4, f: null, p: null}, 'Null clears the formatted value and the properties');
+	table.setCell(0, 'a', 3);
+	exception(function(){ table.setCell(0, 'a', 'abc'); }, 'setCell checks the type');
+	exception(function(){ table.setValue(2, 'a', 1); }, 'setValue of an unknown row');
+	equal(table.getValue(0, 'a'), 3, 'The value is left as it was');
+
+	equal(table.insertRows(1, [[5, 'five'], [{v: 6, f: 'six'}]]), 2, 'insertRows returns the last index');
+	equal(table.insertRows(4, 2), 5, 'Empty rows appended');
+	equal(table.toCSV(null, null, null, {header: false}), '3,z,2010-01-02\r\n5,five,\r\n6,,\r\n2,,Feb 3\r\n,,\r\n,,',
+		'Rows inserted');
+	exception(function(){ table.insertRows(0, [['x']]); }, 'insertRows checks the types');
+	exception(function(){ table.insertRows(0, [[1, 'a', null, 'extra']]); }, 'Too many cells');
+	exception(function(){ table.insertRows(7, 1); }, 'Index out of range');
+	equal(table.numberOfRows(), 6, 'No row inserted on error');
+
+	table.removeRows(4, 2);
+	table.removeRows(0);
+	equal(table.toCSV(null, null, null, {header: false}), '5,five,\r\n6,,\r\n2,,Feb 3', 'removeRows');
+	exception(function(){ table.removeRows(2, 2); }, 'Removing rows out of range');
+});
+
+test('schema evolution',function(){
+	var table = new DataTable([['a', 'number'], ['b', 'string', 'B']], [[1, '5'], [[2, 'two'], '3']]);
+	equal(table.getNumberOfColumns(), 2, 'getNumberOfColumns');
+	equal(table.getColumnId(1), 'b', 'getColumnId');
+	equal(table.getColumnLabel('b'), 'B', 'getColumnLabel');
+	equal(table.getColumnType(0), 'number', 'getColumnType');
+	equal(table.getColumnIndex('b'), 1, 'getColumnIndex');
+	equal(table.getColumnIndex('z'), -1, 'getColumnIndex of an unknown column');
+
+	equal(table.addColumn(['c', 'boolean', 'C']), 2, 'addColumn returns the index');
+	equal(table.insertColumn('b', ['d', 'date']), 1, 'insertColumn before a column');
+	table.appendData([[3, new Date(2010,0,2), '7', true]]);
+	equal(table.toCSV(null, null, null, {header: false}), '1,,5,\r\n2,,3,\r\n3,2010-01-02,7,true',
+		'New columns, null in existing rows');
+	exception(function(){ table.addColumn(['a', 'string']); }, 'Duplicate id');
+	exception(function(){ table.insertColumn(9, ['e', 'string']); }, 'Index out of range');
+
+	table.setColumnLabel('a', 'Amount');
+	table.setColumnProperty('a', 'style', 'color: red');
+	table.setColumnProperty('c', 'role', 'certainty');
+	equal(table.toJSON().split('rows')[0], "{cols:[{id:'a',label:'Amount',type:'number',p:{'style':'color%3A%20red'}},"+
+		"{id:'d',label:'d',type:'date'},{id:'b',label:'B',type:'string'},"+
+		"{id:'c',label:'C',type:'boolean',role:'certainty',p:{'role':'certainty'}}],", 'Labels, properties and roles');
+	exception(function(){ table.setColumnProperty('b', 'role', 'interval'); }, 'Role not allowed for the type');
+	table.setColumnProperty('c', 'role', null);
+	ok(table.toJSON().indexOf("type:'boolean'}") > -1, 'Role removed');
+
+	table.changeColumnType('b', 'number');
+	deepEqual(table.getCell(1, 'b'), {v: 3, f: null, p: null}, 'String to number');
+	table.changeColumnType('b', 'boolean');
+	exception(function(){ table.changeColumnType('b', 'date'); }, 'Boolean to date');
+	equal(table.getColumnType('b'), 'boolean', 'Type left as it was');
+	table.changeColumnType('a', 'string');
+	deepEqual(table.getCell(1, 'a'), {v: '2', f: 'two', p: null}, 'Number to string keeps the formatted value');
+	table.changeColumnType('d', 'datetime');
+	deepEqual(table.getValue(2, 'd'), new Date(2010,0,2), 'Date to datetime');
+	table.changeColumnType('a', 'number');
+	exception(function(){ table.changeColumnType('a', 'timeofday'); }, 'Number to timeofday');
+	exception(function(){ table.changeColumnType('a', 'money'); }, 'Unsupported type');
+
+	var strings = new DataTable([['s', 'string']], [['1'], ['x']]);
+	try {
+		strings.changeColumnType('s', 'number');
+		ok(false, 'Value that can\'t be converted');
+	} catch( e ) {
+		ok(e instanceof DataTypeError && e.rowIndex == 1 && e.columnId == 's', 'Value that can\'t be converted');
+	}
+	equal(strings.getColumnType('s'), 'string', 'Type left as it was on error');
+
+	table.removeColumns(1, 2);
+	equal(table.toCSV(null, null, null, {header: false}), '1,\r\n2,\r\n3,true', 'removeColumns');
+	exception(function(){ table.removeColumns(0, 2); }, 'Removing all the columns');
+
+	var nested = new DataTable({k: [['a', 'number']]}, {x: [1]});
+	nested.addColumn(['b', 'string']);
+	nested.appendData([['y', 2, 'z']]);
+	equal(nested.toCSV(null, null, null, {header: false}), 'x,1,\r\ny,2,z', 'A nested description becomes flat');
+	var dict = new DataTable({a: 'number', b: 'string'}, [{a: 1, b: 'x'}]);
+	dict.addColumn(['c', 'number']);
+	dict.appendData([{a: 2, c: 3}]);
+	equal(dict.toCSV(null, null, null, {header: false}), '1,x,\r\n2,,3', 'An object description stays one');
+});
+
+test('calculated columns',function(){
+	var table = new DataTable([['name', 'string'], ['a', 'number'], ['b', 'number']],
+		[['x', 1, 4], ['y', 3, 2], ['z', 5, 0]]);
+	var calls = 0;
+	equal(table.addCalculatedColumn(['ratio', 'number', 'Ratio'], function(row) {
+		calls++;
+		return row.b ? row.a / row.b : null;
+	}), 3, 'addCalculatedColumn returns the index');
+	table.addCalculatedColumn(['label', 'string'], function(row, rowIndex) {
+		return {v: row.name+'#'+rowIndex, f: row.ratio == null ? 'n/a' : row.name+': '+row.ratio};
+	});
+	equal(calls, 0, 'Calculated lazily');
+
+	equal(table.toCSV(), 'name,a,b,Ratio,label\r\nx,1,4,0.25,x#0\r\ny,3,2,1.5,y#1\r\nz,5,0,,z#2', 'toCSV');
+	equal(table.toJSON(), "{cols:[{id:'name',label:'name',type:'string'},{id:'a',label:'a',type:'number'},"+
+		"{id:'b',label:'b',type:'number'},{id:'ratio',label:'Ratio',type:'number'},"+
+		"{id:'label',label:'label',type:'string'}],rows:[{c:[{v:'x'},{v:1},{v:4},{v:0.25},{v:'x%230',f:'x%3A%200.25'}]},"+
+		"{c:[{v:'y'},{v:3},{v:2},{v:1.5},{v:'y%231',f:'y%3A%201.5'}]},"+
+		"{c:[{v:'z'},{v:5},{v:0},,{v:'z%232',f:'n/a'}]}]}", 'toJSON');
+	ok(table.toJSCode('t').indexOf("t.setCell(1, 3, 1.5);") > -1, 'toJSCode');
+	ok(table.toHTML().indexOf("<td>0.25</td>") > -1, 'toHTML');
+	deepEqual(table.preparedData([['ratio', 'desc']]).map(function(row){ return row[0].name; }), ['y', 'x', 'z'],
+		'Sort key in preparedData');
+	equal(table.query('select name where ratio > 1').toCSV(null, null, null, {header: false}), 'y', 'Query');
+	equal(table.getValue(0, 'ratio'), 0.25, 'getValue');
+	equal(table.getFormattedValue(2, 'label'), 'n/a', 'getFormattedValue');
+
+	table.setValue(1, 'b', 6);
+	equal(table.getValue(1, 'ratio'), 0.5, 'Recalculated after a change');
+	var later = new DataTable([['a', 'number']], [[2]]);
+	later.addCalculatedColumn(['double', 'number'], function(row) { return row.c == null ? null : row.c * 2; });
+	later.addColumn(['c', 'number']);
+	later.setValue(0, 'c', 4);
+	equal(later.getValue(0, 'double'), 8, 'Stored columns added after a calculated column are seen');
+	exception(function(){ table.setValue(0, 'ratio', 1); }, 'Calculated cells can\'t be set');
+	var sums = new DataTable([['a', 'number'], ['b', 'number']], [[1, 2]]);
+	sums.addCalculatedColumn(['sum', 'number'], function(row) { return row.a + row.b; });
+	var e = null;
+	try { sums.insertRows(0, [[3, 4, 99]]); } catch( err ) { e = err; }
+	ok(e instanceof SchemaError && e.columnId == 'sum', 'insertRows rejects values of calculated columns');
+	e = null;
+	try { sums.appendData([[3, 4, 99]]); } catch( err ) { e = err; }
+	ok(e instanceof SchemaError && e.columnId == 'sum', 'appendData rejects values of calculated columns');
+	equal(sums.numberOfRows(), 1, 'No row added on error');
+	sums.insertRows(0, [[3, 4, null]]);
+	sums.appendData([[5, 6]]);
+	equal(sums.toCSV(null, null, null, {header: false}), '3,4,7\r\n1,2,3\r\n5,6,11', 'Null or left out calculated cells');
+	exception(function(){ table.addCalculatedColumn(['c', 'number'], 5); }, 'calc must be a function');
+	table.addCalculatedColumn(['bad', 'number'], function(row) { return row.name; });
+	exception(function(){ table.toJSON(); }, 'Calculated values are checked');
+});
+
+test('DataView',function(){
+	var table = new DataTable([['name', 'string', 'Name'], ['done', 'number'], ['total', 'number']],
+		[['a', 1, 4], ['b', 0, 2], ['c', [3, 'three'], 3]], {owner: 'me'});
+	table.addCalculatedColumn(['left', 'number'], function(row) { return row.total - row.done; });
+	var view = new DataView(table);
+	equal(view.toJSON(), table.toJSON(), 'All the rows and columns by default');
+
+	view.setColumns(['name', 2, {id: 'pct', type: 'number', label: 'Percent', calc: function(row, rowIndex, t) {
+		return [row.done / row.total * 100, t.getValue(rowIndex, 'name')+'%'];
+	}}]);
+	view.setRows([2, 0]);
+	equal(view.toCSV(), 'Name,total,Percent\r\nc,3,100\r\na,4,25', 'Columns and rows of the view');
+	equal(view.toCSV(null, null, null, {formatted: true, header: false}), 'c,3,c%\r\na,4,a%',
+		'Calculated columns get the row index of the table');
+	deepEqual(view.getViewRows(), [2, 0], 'getViewRows');
+	deepEqual(view.getViewColumns(), [0, 2, -1], 'getViewColumns');
+	equal(view.getTableRowIndex(1), 0, 'getTableRowIndex');
+	equal(view.getTableColumnIndex('total'), 2, 'getTableColumnIndex');
+	equal(view.numberOfRows(), 2, 'numberOfRows');
+	equal(view.getNumberOfColumns(), 3, 'getNumberOfColumns');
+	equal(view.getValue(0, 'pct'), 100, 'getValue');
+	equal(view.getColumnLabel(2), 'Percent', 'getColumnLabel');
+	ok(view.toJSON().indexOf("p:{'owner':'me'}") > -1, 'Table custom properties');
+
+	table.setValue(0, 'total', 5);
+	equal(view.getValue(1, 'total'), 5, 'Changes to the table show in the view');
+	view.setRows(0, 1);
+	view.hideColumns(['total']);
+	equal(view.toCSV(null, null, null, {header: false}), 'a,20\r\nb,0', 'setRows range and hideColumns');
+	view.setColumns(null);
+	view.setRows(null);
+	deepEqual(view.getFilteredRows([{column: 'done', minValue: 1}]), [0, 2], 'getFilteredRows with minValue');
+	deepEqual(view.getFilteredRows([{column: 'name', value: 'b'}]), [1], 'getFilteredRows with a value');
+	deepEqual(view.getFilteredRows([{column: 'left', test: function(v) { return v < 3; }},
+		{column: 0, maxValue: 'b'}]), [1], 'getFilteredRows with a test and maxValue');
+	deepEqual(view.getSortedRows([['total', 'desc']]), [0, 2, 1], 'getSortedRows');
+	deepEqual(view.getSortedRows('left'), [2, 1, 0], 'getSortedRows by a calculated column');
+	deepEqual(view.getViewRows(), [0, 1, 2], 'The view is not sorted');
+
+	view.setColumns(['name', 'left']);
+	view.setRows(view.getFilteredRows([{column: 'left', minValue: 1}]));
+	var copy = view.toDataTable();
+	equal(copy.toJSON(), view.toJSON(), 'toDataTable');
+	table.setValue(0, 'name', 'z');
+	equal(copy.getValue(0, 'name'), 'a', 'toDataTable copies the rows');
+	copy.setValue(0, 'left', 9);
+	equal(copy.getValue(0, 'left'), 9, 'Calculated values are stored');
+
+	var calls = 0;
+	var big = new DataTable([['n', 'number']], [[1], [2], [3], [4]]);
+	big.addCalculatedColumn(['double', 'number'], function(row) { calls++; return row.n * 2; });
+	var bigView = new DataView(big);
+	bigView.setColumns(['n', {id: 'plus', type: 'number', calc: function(row) { calls++; return row.double + 1; }}]);
+	bigView.setRows([3, 1]);
+	equal(bigView.getValue(0, 'n'), 4, 'getValue of a column of the table');
+	equal(calls, 0, 'Nothing is calculated for a stored value');
+	equal(bigView.getValue(1, 'plus'), 5, 'getValue of a calculated column');
+	equal(calls, 2, 'Calculated for the row asked for only');
+	bigView.toJSON();
+	equal(calls, 6, 'Calculated for the rows of the view only');
+	exception(function(){ bigView.getValue(2, 0); }, 'Unknown row of the view');
+	exception(function(){ bigView.getValue(0, 'double'); }, 'Column hidden from the view');
+
+	exception(function(){ view.setColumns(['nope']); }, 'Unknown column');
+	exception(function(){ view.setColumns(['name', 0]); }, 'Column shown twice');
+	exception(function(){ view.setColumns([{type: 'number'}]); }, 'Calculated column without calc');
+	exception(function(){ view.setRows([3]); }, 'Unknown row');
+	exception(function(){ view.getFilteredRows([{column: 'name'}]); }, 'Filter without criteria');
+	exception(function(){ new DataView({}); }, 'Not a DataTable');
+});
+
+test('group',function(){
+	var table = new DataTable([['date', 'date', 'Date'], ['region', 'string', 'Region'],
+		['sales', 'number', 'Sales', {unit: 'EUR'}]],
+		[[new Date(2010, 0, 5), 'north', 10], [new Date(2010, 5, 1), 'south', 20],
+		[new Date(2011, 2, 3), 'north', [5, 'five']], [new Date(2010, 0, 20), 'north', null],
+		[new Date(2011, 7, 9), 'south', 7]], {owner: 'me'});
+
+	var grouped = table.group(['region'], [{column: 'sales', aggregation: 'sum'},
+		{column: 'sales', aggregation: 'count', id: 'n', label: 'Count'},
+		{column: 'date', aggregation: 'max'}, {column: 'date', aggregation: 'count-distinct'}]);
+	equal(grouped.toJSON(),
+		"{cols:[{id:'region',label:'Region',type:'string'},"+
+		"{id:'sum-sales',label:'Sales',type:'number',p:{'unit':'EUR'}},"+
+		"{id:'n',label:'Count',type:'number',p:{'unit':'EUR'}},"+
+		"{id:'max-date',label:'Date',type:'date'},"+
+		"{id:'count-distinct-date',label:'Date',type:'number'}],"+
+		"rows:[{c:[{v:'north'},{v:15},{v:2},{v:new Date(2011,2,3)},{v:3}]},"+
+		"{c:[{v:'south'},{v:27},{v:2},{v:new Date(2011,7,9)},{v:2}]}],"+
+		"p:{'owner':'me'}}", 'Aggregations, ids, labels and custom properties');
+
+	grouped = table.group([{column: 0, modifier: 'year', label: 'Year'}, 'region'],
+		[{column: 'sales', aggregation: 'avg'}]);
+	equal(grouped.toCSV(), 'Year,Region,Sales\r\n2010,north,10\r\n2010,south,20\r\n2011,north,5\r\n2011,south,7',
+		'Key modifier by name, ordered by the keys');
+	equal(grouped.getColumnType(0), 'number', 'The type of a modifier');
+
+	grouped = table.group([{column: 'date', modifier: function(d) { return d.getMonth() < 6 ? 'H1' : 'H2'; },
+		type: 'string', id: 'half'}], [{column: 'sales', aggregation: function(values) {
+		return values.join('+');
+	}, type: 'string', id: 'list'}]);
+	equal(grouped.toCSV(null, null, null, {header: false}), 'H1,10+20+5\r\nH2,7',
+		'Modifier and aggregation functions');
+
+	equal(table.group('region').toCSV(), 'Region\r\nnorth\r\nsouth', 'Distinct keys only');
+	equal(table.toCSV().split('\r\n').length, 6, 'The table is not modified');
+
+	exception(function(){ table.group(['nope']); }, 'Unknown key column');
+	exception(function(){ table.group(['region'], [{column: 'region', aggregation: 'sum'}]); },
+		'sum expects a number column');
+	exception(function(){ table.group(['region'], [{column: 'sales', aggregation: 'median'}]); },
+		'Unknown aggregation');
+	exception(function(){ table.group([{column: 'region', modifier: 'month'}]); },
+		'Modifier of the wrong type');
+	exception(function(){ table.group(['region'], [{column: 'region', aggregation: 'min', id: 'region'}]); },
+		'Duplicate result ids');
+});
+
+test('pivot',function(){
+	var table = new DataTable([['date', 'date', 'Date'], ['region', 'string', 'Region'],
+		['amount', 'number', 'Amount', {unit: 'EUR'}]],
+		[[new Date(2011, 0, 5), 'north', 10], [new Date(2010, 5, 1), 'south', 20],
+		[new Date(2011, 2, 3), 'north', 5], [new Date(2010, 0, 20), 'north', 1],
+		[new Date(2011, 7, 9), 'west', null]]);
+
+	var pivoted = table.pivot(['region'], [{column: 'date', modifier: 'year'}],
+		[{column: 'amount', aggregation: 'sum', id: 'sales', label: 'Sales'}]);
+	equal(pivoted.toJSON(),
+		"{cols:[{id:'region',label:'Region',type:'string'},"+
+		"{id:'2010%20sales',label:'2010%20Sales',type:'number',p:{'unit':'EUR'}},"+
+		"{id:'2011%20sales',label:'2011%20Sales',type:'number',p:{'unit':'EUR'}}],"+
+		"rows:[{c:[{v:'north'},{v:1},{v:15}]},{c:[{v:'south'},{v:20},{v:null}]},"+
+		"{c:[{v:'west'},,{v:null}]}]}",
+		'Columns named after the pivot values, null for missing combinations');
+
+	pivoted = table.pivot([], ['region', {column: 'date', modifier: 'year'}],
+		[{column: 'amount', aggregation: 'count'}, {column: 'amount', aggregation: 'max'}]);
+	equal(pivoted.toCSV(null, null, null, {header: false}), '1,2,1,0,1,10,20,', 'Without keys');
+	deepEqual([0, 2, 4].map(function(i) { return pivoted.getColumnId(i); }),
+		['north,2010 count-amount', 'south,2010 count-amount', 'north,2010 max-amount'],
+		'Several pivot columns and aggregations, ordered by the values');
+
+	pivoted = table.pivot('date', 'region', {column: 'amount', aggregation: 'sum'});
+	equal(pivoted.getColumnLabel(3), 'west Amount', 'Single pivot column and aggregation');
+	equal(pivoted.getNumberOfColumns(), 4, 'One column per pivot value');
+	equal(pivoted.numberOfRows(), 5, 'One row per key value');
+
+	var query = table.query('select region, sum(amount) group by region pivot year(`date`)');
+	pivoted = table.pivot('region', {column: 'date', modifier: 'year'}, {column: 'amount', aggregation: 'sum'});
+	equal(pivoted.toCSV(null, null, null, {header: false}), query.toCSV(null, null, null, {header: false}),
+		'Same values as the pivot clause of queries');
+	deepEqual([1, 2].map(function(i) { return pivoted.getColumnId(i); }),
+		[1, 2].map(function(i) { return query.getColumnId(i); }), 'Same column names as the pivot clause of queries');
+
+	exception(function(){ table.pivot(['region'], [], [{column: 'amount', aggregation: 'sum'}]); },
+		'No pivot column');
+	exception(function(){ table.pivot(['region'], 'date'); }, 'No aggregation');
+	exception(function(){ table.pivot(['region'], 'nope', {column: 'amount', aggregation: 'sum'}); },
+		'Unknown pivot column');
+});
+
+test('DataTable.join',function(){
+	var sales = new DataTable([['region', 'string', 'Region'], ['amount', 'number', 'Amount', {unit: 'EUR'}],
+		['day', 'date']],
+		[['south', [20, '$20'], new Date(2010, 0, 2)], ['north', 10, null],
+		['east', 3, null], ['north', [5, null, {style: 'bold'}], null]], {source: 'sales'});
+	sales.setRowsCustomProperties(1, {flag: 'yes'});
+	var regions = new DataTable([['id', 'string'], ['name', 'string', 'Name']],
+		[['north', 'North'], ['south', 'South'], ['west', 'West']]);
+
+	var joined = DataTable.join(sales, regions, 'inner', [['region', 'id']], ['amount'], ['name']);
+	equal(joined.toJSON(),
+		"{cols:[{id:'region',label:'Region',type:'string'},"+
+		"{id:'amount',label:'Amount',type:'number',p:{'unit':'EUR'}},"+
+		"{id:'name',label:'Name',type:'string'}],"+
+		"rows:[{c:[{v:'north'},{v:10},{v:'North'}],p:{'flag':'yes'}},"+
+		"{c:[{v:'north'},{v:5,p:{'style':'bold'}},{v:'North'}]},"+
+		"{c:[{v:'south'},{v:20,f:'$20'},{v:'South'}]}],"+
+		"p:{'source':'sales'}}", 'Inner join, sorted by key, with formatted values and properties');
+
+	var csv = function(method) {
+		return DataTable.join(sales, regions, method, [[0, 0]], ['amount'], ['name']).toCSV(
+			null, null, null, {header: false});
+	};
+	equal(csv('left'), 'east,3,\r\nnorth,10,North\r\nnorth,5,North\r\nsouth,20,South', 'Left join');
+	equal(csv('right'), 'north,10,North\r\nnorth,5,North\r\nsouth,20,South\r\nwest,,West', 'Right join');
+	equal(csv('full'), 'east,3,\r\nnorth,10,North\r\nnorth,5,North\r\nsouth,20,South\r\nwest,,West',
+		'Full join');
+	var all = DataTable.join(sales, regions, 'inner', [['region', 'id']]);
+	deepEqual([0, 1, 2, 3].map(function(i) { return all.getColumnId(i); }), ['region', 'amount', 'day', 'name'],
+		'All the other columns by default');
+
+	joined.setValue(0, 'amount', 11);
+	equal(sales.getValue(1, 'amount'), 10, 'The tables are not modified');
+	var view = new DataView(regions);
+	view.setRows([0]);
+	equal(DataTable.join(sales, view, 'inner', [['region', 'id']], [], []).numberOfRows(), 2,
+		'Joining a DataView');
+
+	var withNulls = [new DataTable([['k', 'string'], ['a', 'number']], [[null, 1], ['a', 2], [null, 3]]),
+		new DataTable([['k', 'string'], ['b', 'number']], [[null, 10], ['a', 20]])];
+	var nullCsv = function(joinMethod) {
+		return DataTable.join(withNulls[0], withNulls[1], joinMethod, ['k']).toCSV(null, null, null, {header: false});
+	};
+	equal(nullCsv('inner'), 'a,2,20', 'Null keys match no row');
+	equal(nullCsv('left'), ',1,\r\n,3,\r\na,2,20', 'Rows with a null key are unmatched rows of a left join');
+	equal(nullCsv('full'), ',1,\r\n,3,\r\n,,10\r\na,2,20', 'Rows with a null key are unmatched rows of a full join');
+
+	exception(function(){ DataTable.join(sales, regions, 'outer', [['region', 'id']]); }, 'Unknown join method');
+	exception(function(){ DataTable.join(sales, regions, 'inner', []); }, 'No key');
+	exception(function(){ DataTable.join(sales, regions, 'inner', [['amount', 'id']]); }, 'Key types differ');
+	exception(function(){ DataTable.join(sales, regions, 'inner', [['region', 'nope']]); }, 'Unknown key');
+	exception(function(){ DataTable.join(sales, sales, 'inner', ['region']); }, 'Duplicate result ids');
+	exception(function(){ DataTable.join(sales, {}, 'inner', ['region']); }, 'Not a DataTable');
+});
+
+test('sorting',function(){
+	var table = new DataTable([['name', 'string'], ['day', 'date'], ['score', 'number'], ['ok', 'boolean']],
+		[['b', new Date(2010, 0, 10), [9, 'nine'], true], ['a', new Date(2009, 11, 31), null, false],
+		['É', null, 10, null], ['c', new Date(2010, 0, 2), [9, 'NINE'], true]]);
+	var names = function(orderBy) {
+		return table.preparedData(orderBy).map(function(row) { return row[0].name; }).join('');
+	};
+
+	equal(names(['name', 'desc']), 'Écba', 'A single key with a direction');
+	equal(names('day'), 'Éacb', 'Dates compare by time, null first');
+	equal(names([['day', 'desc']]), 'bcaÉ', 'Null last in descending order');
+	equal(names([['score', 'desc'], 'name']), 'Ébca', 'Formatted cells compare by value');
+	equal(names({column: 'score', nulls: 'last'}), 'bcÉa', 'Nulls last');
+	equal(names([{column: 'day', desc: true, nulls: 'first'}]), 'Ébca', 'Nulls first in descending order');
+	equal(names({column: 'name', collator: 'en'}), 'abcÉ', 'Collation of a locale');
+	equal(names({column: 'name', collator: new Intl.Collator('en', {sensitivity: 'base'})}), 'abcÉ',
+		'Collator');
+	equal(names({column: 'name', compare: function(a, b) { return a.length - b.length || (a < b ? 1 : -1); }}),
+		'Écba', 'Custom comparator');
+	equal(names([{column: 2}]), 'abcÉ', 'Column index, stable for equal keys');
+	equal(names('ok'), 'Éabc', 'Booleans, false first');
+
+	var many = [];
+	for( var i = 0; i < 40; i++ ) { many.push([i % 3, i]); }
+	var big = new DataTable([['k', 'number'], ['i', 'number']], many);
+	var sorted = big.preparedData('k').map(function(row) { return row[0].i; });
+	deepEqual(sorted.slice(0, 4), [0, 3, 6, 9], 'Stable sort');
+	ok(sorted.every(function(v, i) { return i == 0 || many[sorted[i-1]][0] < many[v][0] ||
+		sorted[i-1] < v; }), 'Stable for every key');
+
+	exception(function(){ table.preparedData([['name', 'up']]); }, 'Unknown direction');
+	exception(function(){ table.preparedData({column: 'name', nulls: 'middle'}); }, 'Unknown null placement');
+	exception(function(){ table.preparedData('nope'); }, 'Unknown column');
+});
+
+test('row filtering',function(){
+	var table = new DataTable([['name', 'string', 'Name'], ['age', 'number', 'Age'], ['city', 'string']],
+		[['Ann', 34, 'Paris'], ['Bob', [17, 'seventeen'], 'Rome'], ['Cid', 52, 'Paris'], ['Dan', null, null]]);
+	table.addCalculatedColumn(['adult', 'boolean'], function(row) { return row.age == null ? null : row.age >= 18; });
+
+	deepEqual(table.getFilteredRows([{column: 'city', value: 'Paris'}, {column: 'age', maxValue: 40}]), [0],
+		'Criteria');
+	deepEqual(table.getFilteredRows({column: 1, minValue: 17}), [0, 1, 2], 'A single criterion on a formatted cell');
+	deepEqual(table.getFilteredRows(function(row, rowIndex, t) {
+		return row.adult === false || (rowIndex == 3 && t === table);
+	}), [1, 3], 'Predicate on the values of the row');
+	deepEqual(table.getFilteredRows([function(row) { return row.adult; }, {column: 'name', test: function(v) {
+		return v != 'Ann';
+	}}]), [2], 'Predicates and criteria together');
+
+	var adults = {filters: function(row) { return row.adult; }};
+	equal(table.toCSV(['name', 'age'], null, null, {filters: adults.filters, header: false}), 'Ann,34\r\nCid,52',
+		'toCSV');
+	equal(table.toJSON(['name'], 'name', adults),
+		"{cols:[{id:'name',label:'Name',type:'string'}],rows:[{c:[{v:'Ann'}]},{c:[{v:'Cid'}]}]}", 'toJSON');
+	ok(table.toStrictJSON(null, null, adults).indexOf('Bob') < 0, 'toStrictJSON');
+	var html = table.toHTML(null, [['age', 'desc']], {filters: [{column: 'city', value: 'Paris'}], fragment: true});
+	ok(html.indexOf('Cid') < html.indexOf('Ann') && html.indexOf('Bob') < 0, 'toHTML, sorted');
+	equal(table.toResponse(['name'], null, 'out:csv', '', [], adults), 'Name\r\nAnn\r\nCid',
+		'toResponse');
+	equal(table.toResponse(null, null, 'out:csv', 'select name where age > 40', [], adults), 'Name\r\nCid',
+		'Filters applied before the query');
+	equal(table.toCSV().split('\r\n').length, 5, 'The table is not modified');
+
+	exception(function(){ table.getFilteredRows([{column: 'nope', value: 1}]); }, 'Unknown column');
+	exception(function(){ table.getFilteredRows([5]); }, 'Not a filter');
+	exception(function(){ table.toJSON(null, null, {filters: [{column: 'age'}]}); }, 'Filter without criteria');
+});